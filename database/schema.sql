@@ -0,0 +1,279 @@
+-- ===================================================================
+-- database/schema.sql - SCHÉMA SUPABASE (POSTGRES)
+-- ===================================================================
+-- Tables et colonnes utilisées par les services, en complément des tables
+-- d'origine (users, subscriptions, payment_history, user_progress, audio_files).
+-- Idempotent : peut être rejoué sur une base existante (SQL editor Supabase ou psql).
+-- Les contraintes uniques sont nécessaires au code : plusieurs services comptent
+-- sur l'erreur 23505 (ou sur upsert onConflict) pour rester corrects en concurrence.
+
+create extension if not exists pgcrypto;
+
+-- ===================================================================
+-- UTILISATEURS
+-- ===================================================================
+
+alter table users add column if not exists role text not null default 'learner';
+alter table users add column if not exists guardian_id uuid references users(id) on delete cascade;
+alter table users add column if not exists display_name text;
+alter table users add column if not exists native_language text;
+alter table users add column if not exists target_languages text[] not null default '{}';
+alter table users add column if not exists daily_goal integer;
+alter table users add column if not exists ui_locale text;
+alter table users add column if not exists timezone text;
+alter table users add column if not exists country text;
+alter table users add column if not exists notification_preferences jsonb;
+alter table users add column if not exists deletion_requested_at timestamptz;
+alter table users add column if not exists deletion_scheduled_for timestamptz;
+alter table users add column if not exists updated_at timestamptz;
+-- Profils enfants et comptes Apple / lien magique : pas toujours d'email ni de google_id
+alter table users alter column email drop not null;
+alter table users alter column google_id drop not null;
+
+create index if not exists users_guardian_id_idx on users (guardian_id);
+create index if not exists users_deletion_scheduled_for_idx on users (deletion_scheduled_for)
+  where deletion_scheduled_for is not null;
+
+-- Identités de connexion liées à un compte (google, apple, email)
+create table if not exists user_identities (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  provider text not null,
+  provider_user_id text not null,
+  email text,
+  created_at timestamptz not null default now(),
+  unique (provider, provider_user_id)
+);
+
+create index if not exists user_identities_user_id_idx on user_identities (user_id);
+
+-- Sessions (refresh tokens à rotation)
+create table if not exists user_sessions (
+  id uuid primary key,
+  user_id uuid not null references users(id) on delete cascade,
+  refresh_token_hash text not null,
+  refresh_generation integer not null default 0,
+  expires_at timestamptz not null,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz,
+  revoked_at timestamptz,
+  revoked_reason text
+);
+
+create index if not exists user_sessions_user_id_idx on user_sessions (user_id);
+
+-- Trousseau de clés de signature JWT (voir services/keyService.js)
+create table if not exists signing_keys (
+  kid text primary key,
+  alg text not null,
+  public_jwk jsonb not null,
+  private_key_encrypted text not null,
+  status text not null check (status in ('active', 'previous', 'retired')),
+  created_at timestamptz not null default now(),
+  retire_at timestamptz,
+  retired_at timestamptz
+);
+
+-- Une seule clé active : deux instances qui démarrent sur une base vide ne créent qu'une clé
+create unique index if not exists signing_keys_single_active_idx on signing_keys (status)
+  where status = 'active';
+
+-- Liens de connexion par email (usage unique)
+create table if not exists magic_link_tokens (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- ===================================================================
+-- ABONNEMENTS ET PAIEMENTS
+-- ===================================================================
+
+-- Une ligne par utilisateur (upsert onConflict user_id)
+alter table subscriptions add column if not exists provider text;
+alter table subscriptions add column if not exists provider_subscription_id text;
+alter table subscriptions add column if not exists plan_id text;
+alter table subscriptions add column if not exists currency text;
+alter table subscriptions add column if not exists trial_ends_at timestamptz;
+alter table subscriptions add column if not exists cancel_at_period_end boolean not null default false;
+alter table subscriptions add column if not exists pending_plan_id text;
+alter table subscriptions add column if not exists pending_plan_effective_at timestamptz;
+alter table subscriptions add column if not exists stripe_schedule_id text;
+-- Relances après un échec de paiement (voir services/dunningService.js)
+alter table subscriptions add column if not exists past_due_since timestamptz;
+alter table subscriptions add column if not exists grace_period_ends_at timestamptz;
+alter table subscriptions add column if not exists dunning_stage integer;
+alter table subscriptions add column if not exists last_dunning_at timestamptz;
+
+create unique index if not exists subscriptions_user_id_key on subscriptions (user_id);
+create index if not exists subscriptions_stripe_subscription_id_idx on subscriptions (stripe_subscription_id);
+create index if not exists subscriptions_provider_subscription_id_idx on subscriptions (provider, provider_subscription_id);
+create index if not exists subscriptions_grace_period_ends_at_idx on subscriptions (grace_period_ends_at)
+  where past_due_since is not null;
+
+-- Historique conservé (anonymisé) après suppression du compte
+alter table payment_history add column if not exists provider text;
+alter table payment_history add column if not exists provider_reference text;
+alter table payment_history add column if not exists anonymized_at timestamptz;
+alter table payment_history alter column user_id drop not null;
+alter table payment_history alter column stripe_payment_intent_id drop not null;
+
+-- Journal des événements Stripe (id Stripe = clé : une livraison en double lève 23505)
+create table if not exists stripe_events (
+  id text primary key,
+  type text not null,
+  object_id text,
+  livemode boolean not null default false,
+  event_created timestamptz not null,
+  payload jsonb not null,
+  status text not null,
+  attempts integer not null default 0,
+  last_error text,
+  out_of_order boolean not null default false,
+  received_at timestamptz not null default now(),
+  processed_at timestamptz,
+  updated_at timestamptz
+);
+
+create index if not exists stripe_events_object_id_idx on stripe_events (object_id, event_created);
+create index if not exists stripe_events_status_idx on stripe_events (status);
+
+-- Catalogue des plans (voir services/planService.js)
+create table if not exists subscription_plans (
+  id text primary key,
+  name text not null,
+  description text,
+  tier text not null,
+  amount integer not null,
+  currency text not null default 'eur',
+  stripe_price_id text,
+  prices jsonb not null default '{}',
+  billing_interval text,
+  trial_days integer not null default 0,
+  app_store_product_id text unique,
+  google_play_product_id text unique,
+  features jsonb not null default '[]',
+  limits jsonb not null default '{}',
+  active boolean not null default true,
+  sort_order integer not null default 0
+);
+
+-- Droits par palier (voir services/entitlementService.js)
+create table if not exists tier_entitlements (
+  tier text primary key,
+  features jsonb not null default '[]',
+  limits jsonb not null default '{}'
+);
+
+insert into tier_entitlements (tier, features, limits) values
+  ('free', '[]', '{}'),
+  ('premium', '["grammar_full", "sentence_construction", "sentence_gap", "exercise_unlimited", "offline_mode", "google_drive_sync", "advanced_stats", "custom_audio_upload", "priority_support"]', '{}')
+on conflict (tier) do nothing;
+
+-- Paiements ponctuels hors Stripe (mobile money, voir services/paymentService.js)
+create table if not exists payment_transactions (
+  id uuid primary key,
+  user_id uuid references users(id) on delete set null,
+  provider text not null,
+  operator text,
+  plan_id text not null,
+  amount integer not null,
+  currency text not null,
+  status text not null check (status in ('pending', 'succeeded', 'failed')),
+  provider_reference text,
+  callback_token_hash text,
+  failure_reason text,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  updated_at timestamptz
+);
+
+create index if not exists payment_transactions_user_id_idx on payment_transactions (user_id);
+create index if not exists payment_transactions_pending_idx on payment_transactions (created_at)
+  where status = 'pending';
+
+-- Un seul essai par personne : par compte, et par empreinte d'email après suppression
+create table if not exists trial_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references users(id) on delete set null,
+  email_hash text,
+  plan_id text,
+  stripe_subscription_id text not null,
+  started_at timestamptz not null,
+  trial_ends_at timestamptz not null,
+  converted_at timestamptz,
+  reminder_sent_at timestamptz,
+  constraint trial_redemptions_user_id_key unique (user_id),
+  constraint trial_redemptions_email_hash_key unique (email_hash),
+  constraint trial_redemptions_stripe_subscription_id_key unique (stripe_subscription_id)
+);
+
+-- Quotas : une ligne par (utilisateur, fonctionnalité, période), voir services/usageService.js
+create table if not exists usage_counters (
+  user_id uuid not null references users(id) on delete cascade,
+  feature text not null,
+  period_start date not null,
+  count integer not null default 0,
+  updated_at timestamptz not null default now(),
+  constraint usage_counters_user_feature_period_key unique (user_id, feature, period_start)
+);
+
+-- Messages in-app (dedupe_key unique par utilisateur)
+create table if not exists user_notices (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  type text not null,
+  severity text not null default 'info',
+  title text not null,
+  message text not null,
+  action_url text,
+  dedupe_key text,
+  created_at timestamptz not null default now(),
+  read_at timestamptz,
+  unique (user_id, dedupe_key)
+);
+
+-- ===================================================================
+-- PROGRESSION ET CLASSES
+-- ===================================================================
+
+create unique index if not exists user_progress_user_language_key on user_progress (user_id, language_code);
+
+create table if not exists classrooms (
+  id uuid primary key default gen_random_uuid(),
+  teacher_id uuid not null references users(id) on delete cascade,
+  name text not null,
+  language_code text not null,
+  join_code text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists classrooms_teacher_id_idx on classrooms (teacher_id);
+
+create table if not exists classroom_members (
+  classroom_id uuid not null references classrooms(id) on delete cascade,
+  student_id uuid not null references users(id) on delete cascade,
+  joined_at timestamptz not null default now(),
+  primary key (classroom_id, student_id)
+);
+
+create index if not exists classroom_members_student_id_idx on classroom_members (student_id);
+
+create table if not exists assignments (
+  id uuid primary key default gen_random_uuid(),
+  classroom_id uuid not null references classrooms(id) on delete cascade,
+  created_by uuid references users(id) on delete set null,
+  title text not null,
+  language_code text not null,
+  categories text[] not null default '{}',
+  words text[] not null default '{}',
+  due_date timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists assignments_classroom_id_idx on assignments (classroom_id);
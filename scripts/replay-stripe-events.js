@@ -0,0 +1,25 @@
+// ===================================================================
+// scripts/replay-stripe-events.js - REJEU DES WEBHOOKS STRIPE EN ÉCHEC
+// ===================================================================
+// Usage : npm run replay-stripe-events [-- evt_xxx]
+// Sans argument, rejoue tous les événements au statut "failed" du plus ancien
+// au plus récent ; avec un id, rejoue uniquement cet événement.
+require('dotenv').config();
+
+const stripeEventService = require('../services/stripeEventService');
+
+const eventId = process.argv[2];
+
+stripeEventService.replayFailedEvents({ eventId })
+  .then(results => {
+    console.log('✅ Rejeu terminé');
+    for (const event of results.events) {
+      console.log(`  ${event.eventId}: ${event.status}${event.error ? ` (${event.error})` : ''}`);
+    }
+    console.log(`🔁 ${results.replayed} rejoués, ${results.processed} traités, ${results.failed} échecs, ${results.skipped} ignorés`);
+    process.exit(results.failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('❌ Échec du rejeu:', error.message);
+    process.exit(1);
+  });
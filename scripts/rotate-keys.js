@@ -0,0 +1,23 @@
+// ===================================================================
+// scripts/rotate-keys.js - ROTATION DES CLÉS DE SIGNATURE JWT
+// ===================================================================
+// Usage : npm run rotate-keys
+// Crée une nouvelle clé active, garde l'ancienne en vérification le temps
+// que toutes les instances relisent le trousseau plus la durée de vie maximale
+// d'un access token, puis retire les clés échues.
+require('dotenv').config();
+
+const authService = require('../services/authService');
+
+authService.rotateSigningKeys()
+  .then(result => {
+    console.log('✅ Rotation terminée');
+    console.log(`🔑 Clé active: ${result.activeKid}`);
+    console.log(`⏳ Clés précédentes (${result.previousKids.join(', ') || 'aucune'}) retirées le ${result.previousRetireAt}`);
+    console.log(`🗑️ Clés retirées: ${result.retiredKids.join(', ') || 'aucune'}`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Échec de la rotation:', error.message);
+    process.exit(1);
+  });
@@ -8,7 +8,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -34,6 +34,20 @@ console.log('✅ Variables d\'environnement vérifiées');
 const authService = require('./services/authService');
 const subscriptionService = require('./services/subscriptionService');
 const audioService = require('./services/audioService');
+const accountService = require('./services/accountService');
+const familyService = require('./services/familyService');
+const classroomService = require('./services/classroomService');
+const stripeEventService = require('./services/stripeEventService');
+const noticeService = require('./services/noticeService');
+const dunningService = require('./services/dunningService');
+const trialService = require('./services/trialService');
+const planService = require('./services/planService');
+const entitlementService = require('./services/entitlementService');
+const usageService = require('./services/usageService');
+const paymentService = require('./services/paymentService');
+const fakePaymentProvider = require('./services/fakePaymentProvider');
+const currencyService = require('./services/currencyService');
+const iapService = require('./services/iapService');
 
 // ===================================================================
 // MIDDLEWARE DE SÉCURITÉ
@@ -85,7 +99,7 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
   optionsSuccessStatus: 200
 }));
@@ -109,7 +123,9 @@ const globalLimiter = rateLimit({
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 10, // Augmenté de 5 à 10 pour les tests
-  message: { error: 'Trop de tentatives de connexion, réessayez dans 15 minutes' }
+  message: { error: 'Trop de tentatives de connexion, réessayez dans 15 minutes' },
+  // Le refresh est appelé à chaque expiration d'access token : limiteur global seulement
+  skip: (req) => req.path === '/refresh'
 });
 
 app.use('/api/', globalLimiter);
@@ -117,8 +133,38 @@ app.use('/api/auth/', authLimiter);
 
 // Middleware général
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Parsing des corps de requête.
+// Les webhooks signés doivent recevoir le corps brut (Buffer) : la signature porte
+// sur les octets exacts envoyés. Ils passent donc par express.raw, enregistré avant
+// les parseurs JSON/urlencoded, qui sont ignorés sur ces chemins.
+const RAW_BODY_PATHS = ['/api/stripe/webhook', '/api/payments/callback/mobile_money', '/api/payments/callback/fake'];
+
+const skipRawBodyPaths = (parser) => (req, res, next) => (
+  RAW_BODY_PATHS.includes(req.path) ? next() : parser(req, res, next)
+);
+
+app.use(RAW_BODY_PATHS, express.raw({ type: 'application/json', limit: '1mb' }));
+app.use(skipRawBodyPaths(express.json({ limit: '10mb' })));
+app.use(skipRawBodyPaths(express.urlencoded({ extended: true, limit: '10mb' })));
+
+// Informations sur l'appareil à l'origine de la requête (gestion des sessions)
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+// Réponse commune à toutes les méthodes de connexion
+const sendLoginResponse = (res, result) => {
+  res.json({
+    success: true,
+    token: result.jwtToken,
+    refreshToken: result.refreshToken,
+    expiresIn: result.expiresIn,
+    deletionCancelled: result.deletionCancelled,
+    user: result.user
+  });
+};
 
 // ===================================================================
 // ROUTES DE SANTÉ
@@ -137,292 +183,1710 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Status détaillé (pour monitoring)
-app.get('/api/status', async (req, res) => {
+// Status détaillé (pour monitoring)
+app.get('/api/status', async (req, res) => {
+  try {
+    console.log('📊 Status détaillé demandé');
+    const status = {
+      server: 'healthy',
+      database: await subscriptionService.checkDatabaseHealth(),
+      supabase: !!process.env.SUPABASE_URL,
+      stripe: !!process.env.STRIPE_SECRET_KEY,
+      google: !!process.env.GOOGLE_CLIENT_ID,
+      cors: allowedOrigins,
+      timestamp: new Date().toISOString(),
+      uptime: Math.floor(process.uptime())
+    };
+    
+    res.json(status);
+  } catch (error) {
+    console.error('❌ Erreur status:', error);
+    res.status(500).json({ 
+      error: 'Erreur de status',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Clés publiques de vérification des access tokens (JWKS)
+app.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    const jwks = await authService.getJwks();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    console.error('❌ Erreur JWKS:', error);
+    res.status(500).json({ error: 'Clés de signature indisponibles' });
+  }
+});
+
+// ===================================================================
+// ROUTES D'AUTHENTIFICATION
+// ===================================================================
+
+// Connexion Google
+app.post('/api/auth/google', [
+  body('googleToken').notEmpty().withMessage('Token Google requis'),
+  body('googleToken').isLength({ min: 100 }).withMessage('Token Google invalide')
+], async (req, res) => {
+  try {
+    console.log('🔐 Tentative de connexion Google');
+    console.log('🌐 Origin de la requête:', req.get('Origin'));
+    
+    // Validation des entrées
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.log('❌ Validation échouée:', errors.array());
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const { googleToken } = req.body;
+    console.log('🎫 Token Google reçu (longueur):', googleToken.length);
+    
+    const result = await authService.authenticateWithGoogle(googleToken, getDeviceInfo(req));
+    
+    console.log('✅ Connexion Google réussie pour:', result.user.email);
+    
+    sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('❌ Erreur authentification:', error.message);
+    res.status(401).json({ 
+      error: 'Authentification échouée',
+      message: 'Token Google invalide ou expiré',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Demande de lien magique par email
+app.post('/api/auth/email/request', [
+  body('email').isEmail().withMessage('Email invalide').normalizeEmail({ gmail_remove_dots: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    console.log('📧 Demande de lien magique');
+    await authService.getProvider('email').requestMagicLink(req.body.email);
+
+    // Réponse identique que le compte existe ou non
+    res.json({
+      success: true,
+      message: 'Si cette adresse est valide, un lien de connexion vient d\'être envoyé'
+    });
+  } catch (error) {
+    console.error('❌ Erreur envoi lien magique:', error.message);
+    res.status(500).json({ error: 'Impossible d\'envoyer le lien de connexion' });
+  }
+});
+
+// Connexion avec le token reçu par email
+app.post('/api/auth/email/verify', [
+  body('token').isLength({ min: 20, max: 200 }).withMessage('Token invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await authService.authenticateWithProvider('email', req.body.token, getDeviceInfo(req));
+    console.log('✅ Connexion par lien magique réussie pour:', result.user.email);
+    sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('❌ Erreur connexion lien magique:', error.message);
+    res.status(401).json({
+      error: 'Authentification échouée',
+      message: 'Lien de connexion invalide, expiré ou déjà utilisé'
+    });
+  }
+});
+
+// Connexion Sign in with Apple
+app.post('/api/auth/apple', [
+  body('identityToken').isLength({ min: 100 }).withMessage('Token Apple invalide'),
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Nom invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const { identityToken, name } = req.body;
+    const result = await authService.authenticateWithProvider('apple', { identityToken, name }, getDeviceInfo(req));
+    console.log('✅ Connexion Apple réussie pour:', result.user.email);
+    sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('❌ Erreur authentification Apple:', error.message);
+    res.status(401).json({
+      error: 'Authentification échouée',
+      message: 'Token Apple invalide ou expiré',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Renouvellement de l'access token (rotation du refresh token)
+app.post('/api/auth/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await authService.refreshSession(req.body.refreshToken, getDeviceInfo(req));
+
+    res.json({
+      success: true,
+      token: result.jwtToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('❌ Erreur refresh token:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors du renouvellement de la session',
+      code: error.status ? error.code : 'REFRESH_ERROR'
+    });
+  }
+});
+
+// Vérification du token JWT
+app.get('/api/auth/verify', authService.verifyToken, (req, res) => {
+  console.log('✅ Token JWT vérifié pour:', req.user.email);
+  res.json({
+    valid: true,
+    user: req.user
+  });
+});
+
+// Déconnexion
+app.post('/api/auth/logout', authService.verifyToken, async (req, res) => {
+  try {
+    console.log('🚪 Déconnexion utilisateur:', req.user.email);
+    await authService.revokeSession(req.tokenData.sid, 'logout');
+    res.json({ success: true, message: 'Déconnecté avec succès' });
+  } catch (error) {
+    console.error('❌ Erreur déconnexion:', error);
+    res.status(500).json({ error: 'Erreur lors de la déconnexion' });
+  }
+});
+
+// Lister les appareils connectés
+app.get('/api/auth/sessions', authService.verifyToken, async (req, res) => {
+  try {
+    console.log('📱 Liste des sessions pour:', req.user.email);
+    const sessions = await authService.listUserSessions(req.user.id, req.tokenData.sid);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('❌ Erreur liste sessions:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des sessions' });
+  }
+});
+
+// Déconnecter tous les autres appareils
+app.post('/api/auth/sessions/revoke-others', authService.verifyToken, async (req, res) => {
+  try {
+    console.log('🚪 Déconnexion des autres appareils pour:', req.user.email);
+    const revoked = await authService.revokeOtherSessions(req.user.id, req.tokenData.sid);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('❌ Erreur révocation sessions:', error);
+    res.status(500).json({ error: 'Erreur lors de la déconnexion des autres appareils' });
+  }
+});
+
+// Déconnecter un appareil précis
+app.delete('/api/auth/sessions/:id', [
+  authService.verifyToken,
+  param('id').isUUID().withMessage('Identifiant de session invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    console.log(`🚪 Révocation session ${req.params.id} pour:`, req.user.email);
+    await authService.revokeUserSession(req.user.id, req.params.id);
+    res.json({
+      success: true,
+      current: req.params.id === req.tokenData.sid
+    });
+  } catch (error) {
+    console.error('❌ Erreur révocation session:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors de la révocation de la session',
+      code: error.status ? error.code : 'SESSION_ERROR'
+    });
+  }
+});
+
+// Lister les méthodes de connexion liées au compte
+app.get('/api/auth/identities', authService.verifyToken, async (req, res) => {
+  try {
+    const identities = await authService.listIdentities(req.user.id);
+    res.json({ identities });
+  } catch (error) {
+    console.error('❌ Erreur liste identités:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des identités' });
+  }
+});
+
+// Lier une nouvelle méthode de connexion (google: token, apple: { identityToken }, email: token du lien)
+app.post('/api/auth/identities', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  body('provider').isIn(['google', 'apple', 'email']).withMessage('Fournisseur invalide'),
+  body('credential').notEmpty().withMessage('Preuve d\'identité requise')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    console.log(`🔗 Liaison ${req.body.provider} demandée par:`, req.user.email);
+    const identity = await authService.linkIdentity(req.user.id, req.body.provider, req.body.credential);
+    res.json({ success: true, identity });
+  } catch (error) {
+    console.error('❌ Erreur liaison identité:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors de la liaison',
+      code: error.status ? error.code : 'IDENTITY_ERROR'
+    });
+  }
+});
+
+// Retirer une méthode de connexion
+app.delete('/api/auth/identities/:provider', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    console.log(`🔓 Retrait ${req.params.provider} demandé par:`, req.user.email);
+    await authService.unlinkIdentity(req.user.id, req.params.provider);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Erreur retrait identité:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors du retrait',
+      code: error.status ? error.code : 'IDENTITY_ERROR'
+    });
+  }
+});
+
+// ===================================================================
+// ROUTES DE PROFIL
+// ===================================================================
+
+const LANGUAGE_CODE_REGEX = /^[a-z]{2,3}$/;
+const NOTIFICATION_PREFERENCE_KEYS = ['email', 'push', 'dailyReminder', 'marketing'];
+
+// Obtenir le profil
+app.get('/api/profile', authService.verifyToken, async (req, res) => {
+  try {
+    const profile = await authService.getUserProfile(req.user.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profil non trouvé' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('❌ Erreur récupération profil:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du profil' });
+  }
+});
+
+// Mettre à jour le profil (champs autorisés uniquement)
+app.patch('/api/profile', [
+  authService.verifyToken,
+  body().custom(value => {
+    const unknown = Object.keys(value || {}).filter(key => !authService.profileFields.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Champs non modifiables: ${unknown.join(', ')}`);
+    }
+    if (Object.keys(value || {}).length === 0) {
+      throw new Error('Aucun champ à mettre à jour');
+    }
+    return true;
+  }),
+  body('displayName').optional().trim().isLength({ min: 1, max: 60 }).withMessage('Nom affiché invalide (1 à 60 caractères)'),
+  body('nativeLanguage').optional().matches(LANGUAGE_CODE_REGEX).withMessage('Langue maternelle invalide'),
+  body('targetLanguages').optional().isArray({ max: 10 }).withMessage('Langues cibles invalides'),
+  body('targetLanguages.*').matches(LANGUAGE_CODE_REGEX).withMessage('Code de langue cible invalide'),
+  body('dailyGoal').optional().isInt({ min: 1, max: 1000 }).withMessage('Objectif quotidien invalide (1 à 1000 XP)').toInt(),
+  body('uiLocale').optional().matches(/^[a-z]{2,3}(-[A-Z]{2})?$/).withMessage('Locale invalide'),
+  body('timezone').optional().custom(value => {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: value });
+      return true;
+    } catch (error) {
+      throw new Error('Fuseau horaire invalide');
+    }
+  }),
+  // Pays (ISO 3166-1 alpha-2) : détermine la devise proposée au paiement
+  body('country').optional().isISO31661Alpha2().withMessage('Pays invalide (code ISO à 2 lettres)').toUpperCase(),
+  body('notificationPreferences').optional().isObject().custom(value => {
+    const invalid = Object.entries(value).filter(([key, enabled]) =>
+      !NOTIFICATION_PREFERENCE_KEYS.includes(key) || typeof enabled !== 'boolean'
+    );
+    if (invalid.length > 0) {
+      throw new Error(`Préférences de notification invalides (${NOTIFICATION_PREFERENCE_KEYS.join(', ')} : booléens)`);
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données de profil invalides', 
+        details: errors.array() 
+      });
+    }
+
+    console.log('✏️ Mise à jour profil pour:', req.user.email);
+    const profile = await authService.updateUserProfile(req.user.id, req.body);
+    res.json(profile);
+  } catch (error) {
+    console.error('❌ Erreur mise à jour profil:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du profil' });
+  }
+});
+
+// ===================================================================
+// CATALOGUE DES PLANS (public)
+// ===================================================================
+
+// Plans proposés, avec prix, période, essai et fonctionnalités.
+// ?country=SN pour les prix de la région, ?currency=XOF pour une devise précise de la région
+app.get('/api/plans', [
+  query('country').optional().isISO31661Alpha2().withMessage('Pays invalide'),
+  query('currency').optional().custom(value => currencyService.isSupported(value)).withMessage('Devise non prise en charge')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { country, currency } = req.query;
+    const plans = await planService.listPlans();
+    const region = currencyService.getRegion(country);
+
+    // Sans devise demandée : devise de la région dans laquelle chaque plan est proposé
+    const priced = plans
+      .map(plan => planService.priceIn(plan, currencyService.resolveCurrency({ country, currency, available: Object.keys(plan.prices) })))
+      .filter(Boolean);
+
+    res.json({
+      region: region.id,
+      currencies: region.currencies.map(code => currencyService.normalizeCurrency(code)),
+      plans: await Promise.all(priced.map(async plan => ({
+        ...planService.formatPlan(plan),
+        ...(await entitlementService.getPlanEntitlements(plan))
+      })))
+    });
+  } catch (error) {
+    console.error('❌ Erreur catalogue des plans:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Erreur lors de la récupération des plans' });
+  }
+});
+
+// ===================================================================
+// ROUTES D'ABONNEMENT SÉCURISÉES
+// ===================================================================
+
+// Vérifier l'abonnement actuel (?refresh=true pour forcer une synchronisation Stripe)
+app.get('/api/subscription/verify', [
+  authService.verifyToken,
+  query('refresh').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    console.log('🔍 Vérification abonnement pour:', req.user.email);
+    const subscription = await subscriptionService.verifyUserSubscription(req.user.id, {
+      forceSync: req.query.refresh === true
+    });
+    res.json(subscription);
+  } catch (error) {
+    console.error('❌ Erreur vérification abonnement:', error);
+    res.status(500).json({ error: 'Erreur serveur lors de la vérification' });
+  }
+});
+
+// Tous les droits de l'utilisateur (fonctionnalités et limites) en un appel
+app.get('/api/subscription/entitlements', authService.verifyToken, async (req, res) => {
+  try {
+    const entitlements = await subscriptionService.getEntitlements(req.user.id);
+    res.json(entitlements);
+  } catch (error) {
+    console.error('❌ Erreur récupération des droits:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des droits' });
+  }
+});
+
+// Vérifier l'accès à une fonctionnalité
+app.post('/api/subscription/check-access', [
+  authService.verifyToken,
+  body('feature').notEmpty().withMessage('Feature requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const { feature } = req.body;
+    console.log(`🔑 Vérification accès feature "${feature}" pour:`, req.user.email);
+    
+    const access = await subscriptionService.checkFeatureAccess(req.user.id, feature);
+    res.json(access);
+  } catch (error) {
+    console.error('❌ Erreur vérification accès:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ===================================================================
+// GESTION DE L'ABONNEMENT PAR L'UTILISATEUR
+// ===================================================================
+// Chaque route agit uniquement sur l'abonnement du compte connecté ;
+// les profils enfants n'ont pas accès à la facturation.
+
+const sendBillingError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallbackMessage,
+    code: error.status ? error.code : 'BILLING_ERROR'
+  });
+};
+
+// Annuler le renouvellement (accès conservé jusqu'à la fin de la période payée)
+app.post('/api/subscription/cancel', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    console.log('🚫 Annulation abonnement demandée par:', req.user.email);
+    const result = await subscriptionService.cancelUserSubscription(req.user.id);
+    res.json(result);
+  } catch (error) {
+    sendBillingError(res, error, 'Impossible d\'annuler l\'abonnement');
+  }
+});
+
+// Annuler une annulation programmée
+app.post('/api/subscription/reactivate', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    console.log('🔄 Réactivation abonnement demandée par:', req.user.email);
+    const result = await subscriptionService.reactivateUserSubscription(req.user.id);
+    res.json(result);
+  } catch (error) {
+    sendBillingError(res, error, 'Impossible de réactiver l\'abonnement');
+  }
+});
+
+// Changer de plan, étape 1 : montant dû immédiatement et date d'effet
+app.post('/api/subscription/change-plan/preview', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  body('planId').isString().trim().notEmpty().withMessage('Plan ID requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const preview = await subscriptionService.previewPlanChange(req.user.id, req.body.planId);
+    res.json(preview);
+  } catch (error) {
+    sendBillingError(res, error, 'Impossible de prévisualiser le changement de plan');
+  }
+});
+
+// Changer de plan, étape 2 : montée immédiate (avec le prorationDate de l'aperçu)
+// ou descente programmée à la fin de la période
+app.post('/api/subscription/change-plan', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  body('planId').isString().trim().notEmpty().withMessage('Plan ID requis'),
+  body('prorationDate').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    console.log(`🔀 Changement de plan vers ${req.body.planId} demandé par:`, req.user.email);
+    const result = await subscriptionService.changePlan(req.user.id, req.body.planId, {
+      prorationDate: req.body.prorationDate
+    });
+    res.json(result);
+  } catch (error) {
+    sendBillingError(res, error, 'Impossible de changer de plan');
+  }
+});
+
+// Remplacer le moyen de paiement (PaymentMethod créé côté client avec Stripe.js)
+app.put('/api/subscription/payment-method', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  body('paymentMethodId').matches(/^pm_[A-Za-z0-9]+$/).withMessage('Identifiant de moyen de paiement invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const result = await subscriptionService.updatePaymentMethod(req.user.id, req.body.paymentMethodId);
+    res.json(result);
+  } catch (error) {
+    sendBillingError(res, error, 'Impossible de mettre à jour le moyen de paiement');
+  }
+});
+
+// Ouvrir le portail client Stripe (retour vers une page de l'application uniquement)
+app.post('/api/subscription/portal', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  body('returnPath').optional().matches(/^\/(?!\/)[\w\-\/]*$/).withMessage('Chemin de retour invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const url = await subscriptionService.createCustomerPortalSession(req.user.id, req.body.returnPath);
+    res.json({ url });
+  } catch (error) {
+    sendBillingError(res, error, 'Impossible d\'ouvrir le portail de facturation');
+  }
+});
+
+// Factures Stripe (liens de consultation et PDF)
+app.get('/api/subscription/invoices', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    const invoices = await subscriptionService.listInvoices(req.user.id);
+    res.json({ invoices });
+  } catch (error) {
+    console.error('❌ Erreur récupération factures:', error);
+    sendBillingError(res, error, 'Erreur lors de la récupération des factures');
+  }
+});
+
+// Historique des paiements enregistrés
+app.get('/api/subscription/payments', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    const payments = await subscriptionService.getUserPaymentHistory(req.user.id);
+    res.json({
+      payments: payments.map(payment => ({
+        id: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        createdAt: payment.created_at,
+        completedAt: payment.completed_at
+      }))
+    });
+  } catch (error) {
+    sendBillingError(res, error, 'Erreur lors de la récupération des paiements');
+  }
+});
+
+// ===================================================================
+// QUOTAS DE CONSOMMATION
+// ===================================================================
+
+// Consommation de la période pour chaque fonctionnalité comptée
+app.get('/api/usage', authService.verifyToken, async (req, res) => {
+  try {
+    const entitlements = await subscriptionService.getEntitlements(req.user.id);
+    const usage = await usageService.getUsageSummary(req.user.id, entitlements);
+    res.json({ tier: entitlements.tier, usage });
+  } catch (error) {
+    console.error('❌ Erreur récupération consommation:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la consommation' });
+  }
+});
+
+// Enregistrer une consommation (exercice commencé, audio lu, téléchargement hors ligne) :
+// le client la déclare avant de la servir, le serveur fait foi sur le quota
+app.post('/api/usage/:feature', [
+  authService.verifyToken,
+  param('feature').isIn(usageService.getMeteredFeatures()).withMessage('Fonctionnalité non comptée')
+], (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Données invalides',
+      details: errors.array()
+    });
+  }
+  subscriptionService.requireQuota(req.params.feature)(req, res, next);
+}, (req, res) => {
+  const { allowed, ...quota } = req.quota;
+  res.json(quota);
+});
+
+// ===================================================================
+// MESSAGES IN-APP
+// ===================================================================
+
+// Lister mes messages (relances de paiement, etc.)
+app.get('/api/notices', [
+  authService.verifyToken,
+  query('unread').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const notices = await noticeService.listNotices(req.user.id, { unreadOnly: req.query.unread === true });
+    res.json({ notices });
+  } catch (error) {
+    console.error('❌ Erreur récupération messages:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des messages' });
+  }
+});
+
+// Marquer un message comme lu
+app.post('/api/notices/:id/read', [
+  authService.verifyToken,
+  param('id').isUUID().withMessage('Identifiant de message invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiant de message invalide' });
+    }
+
+    const updated = await noticeService.markAsRead(req.user.id, req.params.id);
+    if (!updated) {
+      return res.status(404).json({ error: 'Message non trouvé' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Erreur lecture message:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du message' });
+  }
+});
+
+// ===================================================================
+// ROUTES DE PAIEMENT (SÉCURISÉES)
+// ===================================================================
+
+// Moyens de paiement disponibles (carte, mobile money et ses opérateurs...)
+app.get('/api/payments/providers', authService.verifyToken, authService.denyChildProfile, (req, res) => {
+  res.json({ providers: paymentService.listProviders() });
+});
+
+// Région et devises proposées selon le pays du profil
+app.get('/api/payments/currencies', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    res.json(await currencyService.getUserCurrencyOptions(req.user.id));
+  } catch (error) {
+    console.error('❌ Erreur devises:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des devises' });
+  }
+});
+
+// Créer une session de checkout : abonnement Stripe par défaut, pass d'accès pour les autres fournisseurs.
+// currency (optionnel) : devise choisie, vérifiée pour la région du profil
+app.post('/api/payments/create-checkout-session', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  body('planId').isString().trim().notEmpty().withMessage('Plan ID requis'),
+  body('currency').optional().custom(value => currencyService.isSupported(value)).withMessage('Devise non prise en charge'),
+  body('provider').optional().isIn(['stripe', 'mobile_money', 'fake']).withMessage('Moyen de paiement invalide'),
+  body('operator').optional().isIn(['wave', 'orange_money']).withMessage('Opérateur invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    // Le prix est résolu depuis le catalogue ; un éventuel priceId client est ignoré
+    const { planId, provider = 'stripe', operator, currency } = req.body;
+
+    if (provider !== 'stripe') {
+      console.log(`💸 Création paiement ${provider} pour ${req.user.email}, plan: ${planId}`);
+      const checkout = await paymentService.createPassCheckout({
+        userId: req.user.id,
+        planId,
+        providerName: provider,
+        operator,
+        currency
+      });
+      return res.json(checkout);
+    }
+
+    console.log(`💳 Création session Stripe pour ${req.user.email}, plan: ${planId}`);
+
+    const sessionId = await subscriptionService.createCheckoutSession({
+      userId: req.user.id,
+      userEmail: req.user.email,
+      planId,
+      currency,
+      successUrl: `${process.env.FRONTEND_URL}/payment-success`,
+      cancelUrl: `${process.env.FRONTEND_URL}/subscription`
+    });
+
+    console.log('✅ Session Stripe créée:', sessionId);
+    res.json({ sessionId });
+  } catch (error) {
+    console.error('❌ Erreur création session:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Impossible de créer la session de paiement' });
+  }
+});
+
+// Vérifier un paiement
+app.get('/api/payments/verify-payment', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    console.log(`💰 Vérification paiement session: ${sessionId}`);
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID requis' });
+    }
+
+    const result = await subscriptionService.verifyPayment(sessionId, req.user.id);
+    console.log('✅ Paiement vérifié:', result.status);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Erreur vérification paiement:', error);
+    res.status(500).json({ error: 'Erreur lors de la vérification du paiement' });
+  }
+});
+
+// État d'un paiement de pass (retour depuis la page du fournisseur)
+app.get('/api/payments/transactions/:reference', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  param('reference').isUUID().withMessage('Référence de paiement invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const transaction = await paymentService.getTransaction(req.user.id, req.params.reference);
+    res.json(transaction);
+  } catch (error) {
+    console.error('❌ Erreur état du paiement:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors de la vérification du paiement',
+      code: error.status ? error.code : 'PAYMENT_ERROR'
+    });
+  }
+});
+
+// Notifications des fournisseurs de pass (corps brut, voir RAW_BODY_PATHS).
+// Wave : URL à déclarer dans le tableau de bord Wave avec ?operator=wave
+app.post('/api/payments/callback/:provider', async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: 'Corps de notification invalide' });
+    }
+
+    await paymentService.handleCallback(req.params.provider, {
+      headers: req.headers,
+      rawBody: req.body,
+      query: req.query
+    });
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`❌ Erreur notification ${req.params.provider}:`, error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Erreur de traitement' });
+  }
+});
+
+// Fournisseur factice : simuler l'issue d'un paiement (développement uniquement)
+if (fakePaymentProvider.isAvailable()) {
+  app.post('/api/payments/fake/:reference/complete', [
+    param('reference').isUUID(),
+    body('outcome').optional().isIn(['succeeded', 'failed'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+
+      const notification = fakePaymentProvider.simulate(req.params.reference, req.body.outcome || 'succeeded');
+      const transaction = await paymentService.handleCallback('fake', notification);
+      res.json(paymentService.formatTransaction(transaction));
+    } catch (error) {
+      console.error('❌ Erreur paiement factice:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+  console.log('🧪 Fournisseur de paiement factice actif');
+}
+
+// ===================================================================
+// ACHATS INTÉGRÉS (APPLICATIONS MOBILES)
+// ===================================================================
+
+// Vérifier un achat (ou restaurer les achats) : transactionId StoreKit 2 pour l'App Store,
+// purchaseToken pour Google Play
+app.post('/api/iap/:store/verify', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  param('store').isIn(iapService.getStores()).withMessage('Boutique invalide'),
+  body('transactionId').if(param('store').equals('app_store'))
+    .isString().trim().notEmpty().withMessage('Identifiant de transaction requis'),
+  body('purchaseToken').if(param('store').equals('google_play'))
+    .isString().trim().notEmpty().withMessage('Jeton d\'achat requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { store } = req.params;
+    const credential = store === 'app_store' ? req.body.transactionId : req.body.purchaseToken;
+    const subscription = await iapService.verifyPurchase(req.user.id, store, credential);
+    res.json(subscription);
+  } catch (error) {
+    console.error(`❌ Erreur vérification achat ${req.params.store}:`, error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors de la vérification de l\'achat',
+      code: error.status ? error.code : 'IAP_ERROR'
+    });
+  }
+});
+
+// Notifications serveur : App Store Server Notifications V2, push Pub/Sub Google Play.
+// Une erreur 5xx fait renvoyer la notification par la boutique.
+app.post('/api/iap/:store/notifications', async (req, res) => {
+  try {
+    if (!iapService.getStores().includes(req.params.store)) {
+      return res.status(404).json({ error: 'Boutique inconnue' });
+    }
+
+    await iapService.handleNotification(req.params.store, { headers: req.headers, body: req.body });
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`❌ Erreur notification ${req.params.store}:`, error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Erreur de traitement' });
+  }
+});
+
+// ===================================================================
+// ROUTES AUDIO SÉCURISÉES
+// ===================================================================
+
+// Rechercher des audios : chaque recherche servie compte une unité du quota audio_plays
+app.post('/api/audio/search', [
+  authService.verifyToken,
+  body('languageCode').optional().isLength({ min: 2, max: 3 }),
+  body('category').optional().isLength({ min: 1, max: 50 }),
+  body('word').optional().isLength({ min: 1, max: 100 })
+], (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Paramètres de recherche invalides', 
+      details: errors.array() 
+    });
+  }
+  next();
+}, subscriptionService.requireQuota('audio_plays'), async (req, res) => {
+  try {
+    const { languageCode, category, word } = req.body;
+    console.log(`🎵 Recherche audio: ${languageCode}/${category}/${word || 'all'}`);
+    
+    const results = await audioService.searchAudio({ languageCode, category, word });
+    
+    console.log(`✅ Trouvé ${results.length} audios`);
+    res.json({ results });
+  } catch (error) {
+    console.error('❌ Erreur recherche audio:', error);
+    res.status(500).json({ error: 'Erreur lors de la recherche audio' });
+  }
+});
+
+// Statistiques audio
+app.get('/api/audio/stats', authService.verifyToken, async (req, res) => {
+  try {
+    console.log('📊 Récupération statistiques audio');
+    const stats = await audioService.getAudioStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('❌ Erreur statistiques audio:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des statistiques' });
+  }
+});
+
+// ===================================================================
+// ROUTES DE PROGRESSION UTILISATEUR
+// ===================================================================
+
+// Sauvegarder la progression
+app.post('/api/progress/save', [
+  authService.verifyToken,
+  body('languageCode').notEmpty().withMessage('Code langue requis'),
+  body('progressData').isObject().withMessage('Données de progression requises')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données de progression invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const { languageCode, progressData, totalXP, completedCategories } = req.body;
+    console.log(`💾 Sauvegarde progression ${languageCode} pour:`, req.user.email);
+    
+    const result = await subscriptionService.saveUserProgress({
+      userId: req.user.id,
+      languageCode,
+      progressData,
+      totalXP: totalXP || 0,
+      completedCategories: completedCategories || []
+    });
+
+    console.log('✅ Progression sauvegardée');
+    res.json({ 
+      success: true, 
+      saved: true,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('❌ Erreur sauvegarde progression:', error);
+    res.status(500).json({ error: 'Erreur lors de la sauvegarde' });
+  }
+});
+
+// Charger la progression
+app.get('/api/progress/:languageCode', authService.verifyToken, async (req, res) => {
+  try {
+    const { languageCode } = req.params;
+    
+    if (!languageCode || languageCode.length < 2) {
+      return res.status(400).json({ error: 'Code langue invalide' });
+    }
+
+    console.log(`📂 Chargement progression ${languageCode} pour:`, req.user.email);
+    const progress = await subscriptionService.getUserProgress(req.user.id, languageCode);
+    res.json(progress || null);
+  } catch (error) {
+    console.error('❌ Erreur chargement progression:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement' });
+  }
+});
+
+// ===================================================================
+// ROUTES FAMILLE (PROFILS ENFANTS)
+// ===================================================================
+
+// Lister les profils enfants
+app.get('/api/family/children', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    const children = await familyService.listChildren(req.user.id);
+    res.json({ children });
+  } catch (error) {
+    console.error('❌ Erreur liste profils enfants:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des profils enfants' });
+  }
+});
+
+// Créer un profil enfant
+app.post('/api/family/children', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  body('displayName').trim().isLength({ min: 1, max: 60 }).withMessage('Nom affiché requis (1 à 60 caractères)'),
+  body('nativeLanguage').optional().matches(LANGUAGE_CODE_REGEX).withMessage('Langue maternelle invalide'),
+  body('targetLanguages').optional().isArray({ max: 10 }).withMessage('Langues cibles invalides'),
+  body('targetLanguages.*').matches(LANGUAGE_CODE_REGEX).withMessage('Code de langue cible invalide'),
+  body('dailyGoal').optional().isInt({ min: 1, max: 1000 }).withMessage('Objectif quotidien invalide (1 à 1000 XP)').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données de profil invalides', 
+        details: errors.array() 
+      });
+    }
+
+    console.log('👶 Création profil enfant demandée par:', req.user.email);
+    const child = await familyService.createChild(req.user.id, req.body);
+    res.status(201).json({ success: true, child });
+  } catch (error) {
+    console.error('❌ Erreur création profil enfant:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors de la création du profil enfant'
+    });
+  }
+});
+
+// Supprimer un profil enfant et sa progression
+app.delete('/api/family/children/:id', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  param('id').isUUID().withMessage('Identifiant de profil invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiant de profil invalide' });
+    }
+
+    const deleted = await familyService.deleteChild(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Profil enfant non trouvé' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Erreur suppression profil enfant:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression du profil enfant' });
+  }
+});
+
+// Ouvrir une session enfant (la progression sera enregistrée sous son profil)
+app.post('/api/family/children/:id/session', [
+  authService.verifyToken,
+  authService.denyChildProfile,
+  param('id').isUUID().withMessage('Identifiant de profil invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiant de profil invalide' });
+    }
+
+    const result = await familyService.openChildSession(req.user.id, req.params.id, getDeviceInfo(req));
+    if (!result) {
+      return res.status(404).json({ error: 'Profil enfant non trouvé' });
+    }
+    sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('❌ Erreur ouverture session enfant:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ouverture de la session enfant' });
+  }
+});
+
+// Résumé de progression des enfants
+app.get('/api/family/progress', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    console.log('📊 Résumé progression famille pour:', req.user.email);
+    const summary = await familyService.getChildrenProgressSummary(req.user.id);
+    res.json({ children: summary });
+  } catch (error) {
+    console.error('❌ Erreur résumé progression famille:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la progression' });
+  }
+});
+
+// ===================================================================
+// ROUTES CLASSES (CÔTÉ ÉLÈVE)
+// ===================================================================
+
+// Rejoindre une classe avec son code
+app.post('/api/classrooms/join', [
+  authService.verifyToken,
+  body('joinCode').trim().isLength({ min: 6, max: 6 }).isAlphanumeric().withMessage('Code de classe invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Code de classe invalide', 
+        details: errors.array() 
+      });
+    }
+
+    const classroom = await classroomService.joinClassroom(req.user.id, req.body.joinCode);
+    res.json({ success: true, classroom });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Erreur lors de l\'inscription à la classe'
+    });
+  }
+});
+
+// Mes classes, devoirs et avancement
+app.get('/api/classrooms', authService.verifyToken, async (req, res) => {
+  try {
+    const classrooms = await classroomService.listStudentClassrooms(req.user.id);
+    res.json({ classrooms });
+  } catch (error) {
+    res.status(500).json({ error: 'Erreur lors de la récupération des classes' });
+  }
+});
+
+// Quitter une classe
+app.delete('/api/classrooms/:id', [
+  authService.verifyToken,
+  param('id').isUUID().withMessage('Identifiant de classe invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiant de classe invalide' });
+    }
+
+    const left = await classroomService.leaveClassroom(req.user.id, req.params.id);
+    if (!left) {
+      return res.status(404).json({ error: 'Vous n\'êtes pas inscrit dans cette classe' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Erreur départ de classe:', error);
+    res.status(500).json({ error: 'Erreur lors du départ de la classe' });
+  }
+});
+
+// ===================================================================
+// ROUTES ENSEIGNANT (rôle teacher ou admin requis)
+// ===================================================================
+
+app.use('/api/teacher', authService.verifyToken, authService.requireRole('teacher', 'admin'));
+
+const classroomIdValidator = param('id').isUUID().withMessage('Identifiant de classe invalide');
+
+// Réponse d'erreur commune aux routes enseignant (404 si la classe n'est pas la sienne)
+const sendClassroomError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallbackMessage
+  });
+};
+
+// Lister mes classes
+app.get('/api/teacher/classrooms', async (req, res) => {
+  try {
+    const classrooms = await classroomService.listTeacherClassrooms(req.user);
+    res.json({ classrooms });
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors de la récupération des classes');
+  }
+});
+
+// Créer une classe
+app.post('/api/teacher/classrooms', [
+  body('name').trim().isLength({ min: 1, max: 80 }).withMessage('Nom de classe requis (1 à 80 caractères)'),
+  body('languageCode').matches(LANGUAGE_CODE_REGEX).withMessage('Code langue invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données de classe invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const classroom = await classroomService.createClassroom(req.user, req.body);
+    res.status(201).json({ success: true, classroom });
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors de la création de la classe');
+  }
+});
+
+// Supprimer une classe (devoirs et inscriptions compris)
+app.delete('/api/teacher/classrooms/:id', [classroomIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiant de classe invalide' });
+    }
+
+    await classroomService.deleteClassroom(req.user, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors de la suppression de la classe');
+  }
+});
+
+// Générer un nouveau code d'accès
+app.post('/api/teacher/classrooms/:id/join-code', [classroomIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiant de classe invalide' });
+    }
+
+    const classroom = await classroomService.regenerateJoinCode(req.user, req.params.id);
+    res.json({ success: true, classroom });
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors du renouvellement du code');
+  }
+});
+
+// Retirer un élève
+app.delete('/api/teacher/classrooms/:id/students/:studentId', [
+  classroomIdValidator,
+  param('studentId').isUUID().withMessage('Identifiant d\'élève invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiants invalides', details: errors.array() });
+    }
+
+    await classroomService.removeStudent(req.user, req.params.id, req.params.studentId);
+    res.json({ success: true });
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors du retrait de l\'élève');
+  }
+});
+
+// Créer un devoir (catégories du catalogue audio, mots optionnels)
+app.post('/api/teacher/classrooms/:id/assignments', [
+  classroomIdValidator,
+  body('title').trim().isLength({ min: 1, max: 120 }).withMessage('Titre requis (1 à 120 caractères)'),
+  body('categories').isArray({ min: 1, max: 20 }).withMessage('Au moins une catégorie requise'),
+  body('categories.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Catégorie invalide'),
+  body('words').optional().isArray({ max: 200 }).withMessage('Liste de mots invalide'),
+  body('words.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Mot invalide'),
+  body('dueDate').isISO8601().withMessage('Date d\'échéance invalide')
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('La date d\'échéance doit être dans le futur');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données de devoir invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const assignment = await classroomService.createAssignment(req.user, req.params.id, req.body);
+    res.status(201).json({ success: true, assignment });
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors de la création du devoir');
+  }
+});
+
+// Supprimer un devoir
+app.delete('/api/teacher/classrooms/:id/assignments/:assignmentId', [
+  classroomIdValidator,
+  param('assignmentId').isUUID().withMessage('Identifiant de devoir invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiants invalides', details: errors.array() });
+    }
+
+    await classroomService.deleteAssignment(req.user, req.params.id, req.params.assignmentId);
+    res.json({ success: true });
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors de la suppression du devoir');
+  }
+});
+
+// Vue enseignant : avancement de chaque élève sur chaque devoir
+app.get('/api/teacher/classrooms/:id/report', [classroomIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Identifiant de classe invalide' });
+    }
+
+    console.log(`📊 Rapport de classe ${req.params.id} demandé par:`, req.user.email);
+    const report = await classroomService.getClassroomReport(req.user, req.params.id);
+    res.json(report);
+  } catch (error) {
+    sendClassroomError(res, error, 'Erreur lors de la génération du rapport');
+  }
+});
+
+// ===================================================================
+// ROUTES DE COMPTE (EXPORT ET SUPPRESSION RGPD)
+// ===================================================================
+
+// Exporter toutes les données de l'utilisateur
+app.get('/api/account/export', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
   try {
-    console.log('📊 Status détaillé demandé');
-    const status = {
-      server: 'healthy',
-      database: await subscriptionService.checkDatabaseHealth(),
-      supabase: !!process.env.SUPABASE_URL,
-      stripe: !!process.env.STRIPE_SECRET_KEY,
-      google: !!process.env.GOOGLE_CLIENT_ID,
-      cors: allowedOrigins,
-      timestamp: new Date().toISOString(),
-      uptime: Math.floor(process.uptime())
-    };
-    
-    res.json(status);
+    console.log('📦 Export de données demandé par:', req.user.email);
+    const data = await accountService.exportUserData(req.user.id);
+    const fileName = `jogolinga-export-${new Date().toISOString().split('T')[0]}.json`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.type('application/json').send(JSON.stringify(data, null, 2));
   } catch (error) {
-    console.error('❌ Erreur status:', error);
-    res.status(500).json({ 
-      error: 'Erreur de status',
-      timestamp: new Date().toISOString()
+    console.error('❌ Erreur export données:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'export des données' });
+  }
+});
+
+// Demander la suppression du compte (annulable en se reconnectant)
+app.delete('/api/account', authService.verifyToken, authService.denyChildProfile, async (req, res) => {
+  try {
+    console.log('🗑️ Suppression de compte demandée par:', req.user.email);
+    const result = await accountService.requestAccountDeletion(req.user.id);
+    res.json({
+      ...result,
+      message: `Votre compte sera supprimé le ${result.scheduledFor}. Reconnectez-vous avant cette date pour annuler.`
     });
+  } catch (error) {
+    console.error('❌ Erreur suppression compte:', error);
+    res.status(500).json({ error: 'Erreur lors de la demande de suppression' });
   }
 });
 
 // ===================================================================
-// ROUTES D'AUTHENTIFICATION
+// ROUTES D'ADMINISTRATION (rôle admin requis)
 // ===================================================================
 
-// Connexion Google
-app.post('/api/auth/google', [
-  body('googleToken').notEmpty().withMessage('Token Google requis'),
-  body('googleToken').isLength({ min: 100 }).withMessage('Token Google invalide')
+app.use('/api/admin', authService.verifyToken, authService.requireRole('admin'));
+
+// Statistiques d'authentification
+app.get('/api/admin/stats/auth', async (req, res) => {
+  try {
+    console.log('📊 Statistiques auth demandées par:', req.user.email);
+    const stats = await authService.getAuthStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('❌ Erreur statistiques auth:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des statistiques' });
+  }
+});
+
+// Statistiques d'abonnements
+app.get('/api/admin/stats/subscriptions', async (req, res) => {
+  try {
+    console.log('📊 Statistiques abonnements demandées par:', req.user.email);
+    const stats = await subscriptionService.getSubscriptionStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('❌ Erreur statistiques abonnements:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des statistiques' });
+  }
+});
+
+// Rapport d'analyse de la bibliothèque audio
+app.get('/api/admin/audio/report', async (req, res) => {
+  try {
+    console.log('📊 Rapport audio demandé par:', req.user.email);
+    const report = await audioService.generateAnalyticsReport();
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Erreur rapport audio:', error);
+    res.status(500).json({ error: 'Erreur lors de la génération du rapport' });
+  }
+});
+
+// Changer le rôle d'un utilisateur
+app.put('/api/admin/users/:id/role', [
+  param('id').notEmpty().withMessage('Identifiant utilisateur requis'),
+  body('role').isIn(authService.roles).withMessage(`Rôle invalide (${authService.roles.join(', ')})`)
 ], async (req, res) => {
   try {
-    console.log('🔐 Tentative de connexion Google');
-    console.log('🌐 Origin de la requête:', req.get('Origin'));
-    
-    // Validation des entrées
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      console.log('❌ Validation échouée:', errors.array());
       return res.status(400).json({ 
         error: 'Données invalides', 
         details: errors.array() 
       });
     }
 
-    const { googleToken } = req.body;
-    console.log('🎫 Token Google reçu (longueur):', googleToken.length);
-    
-    const result = await authService.authenticateWithGoogle(googleToken);
-    
-    console.log('✅ Connexion Google réussie pour:', result.user.email);
-    
-    res.json({
-      success: true,
-      token: result.jwtToken,
-      user: result.user
-    });
+    if (req.params.id === req.user.id && req.body.role !== 'admin') {
+      return res.status(400).json({ error: 'Un admin ne peut pas retirer son propre rôle' });
+    }
+
+    console.log(`👑 Changement de rôle ${req.params.id} → ${req.body.role} par:`, req.user.email);
+    const user = await authService.setUserRole(req.params.id, req.body.role);
+    res.json({ success: true, user });
   } catch (error) {
-    console.error('❌ Erreur authentification:', error.message);
-    res.status(401).json({ 
-      error: 'Authentification échouée',
-      message: 'Token Google invalide ou expiré',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('❌ Erreur changement de rôle:', error);
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    res.status(500).json({ error: 'Erreur lors du changement de rôle' });
   }
 });
 
-// Vérification du token JWT
-app.get('/api/auth/verify', authService.verifyToken, (req, res) => {
-  console.log('✅ Token JWT vérifié pour:', req.user.email);
-  res.json({
-    valid: true,
-    user: req.user
-  });
+// Recharger le catalogue de plans et les droits par palier après une modification en base
+app.post('/api/admin/plans/reload', async (req, res) => {
+  try {
+    console.log('📋 Rechargement du catalogue demandé par:', req.user.email);
+    const [plans, tiers] = await Promise.all([planService.reload(), entitlementService.reload()]);
+    res.json({ success: true, plans, tiers });
+  } catch (error) {
+    console.error('❌ Erreur rechargement catalogue:', error);
+    res.status(500).json({ error: 'Erreur lors du rechargement du catalogue' });
+  }
 });
 
-// Déconnexion
-app.post('/api/auth/logout', authService.verifyToken, (req, res) => {
-  console.log('🚪 Déconnexion utilisateur:', req.user.email);
-  res.json({ success: true, message: 'Déconnecté avec succès' });
+// Envoyer immédiatement les relances de paiement échues
+app.post('/api/admin/billing/process-dunning', async (req, res) => {
+  try {
+    console.log('📨 Traitement des relances demandé par:', req.user.email);
+    const results = await dunningService.processDunning();
+    res.json(results);
+  } catch (error) {
+    console.error('❌ Erreur traitement relances:', error);
+    res.status(500).json({ error: 'Erreur lors du traitement des relances' });
+  }
 });
 
-// ===================================================================
-// ROUTES D'ABONNEMENT SÉCURISÉES
-// ===================================================================
-
-// Vérifier l'abonnement actuel
-app.get('/api/subscription/verify', authService.verifyToken, async (req, res) => {
+// Traiter immédiatement les suppressions de comptes échues
+app.post('/api/admin/accounts/process-deletions', async (req, res) => {
   try {
-    console.log('🔍 Vérification abonnement pour:', req.user.email);
-    const subscription = await subscriptionService.verifyUserSubscription(req.user.id);
-    res.json(subscription);
+    console.log('🗑️ Traitement des suppressions demandé par:', req.user.email);
+    const results = await accountService.processScheduledDeletions();
+    res.json(results);
   } catch (error) {
-    console.error('❌ Erreur vérification abonnement:', error);
-    res.status(500).json({ error: 'Erreur serveur lors de la vérification' });
+    console.error('❌ Erreur traitement suppressions:', error);
+    res.status(500).json({ error: 'Erreur lors du traitement des suppressions' });
   }
 });
 
-// Vérifier l'accès à une fonctionnalité
-app.post('/api/subscription/check-access', [
-  authService.verifyToken,
-  body('feature').notEmpty().withMessage('Feature requis')
+// Journal des webhooks Stripe (filtrable par statut et type)
+app.get('/api/admin/stripe/events', [
+  query('status').optional().isIn(['received', 'processing', 'processed', 'failed', 'stale', 'ignored']).withMessage('Statut invalide'),
+  query('type').optional().isLength({ min: 1, max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
-        error: 'Données invalides', 
+        error: 'Paramètres invalides', 
         details: errors.array() 
       });
     }
 
-    const { feature } = req.body;
-    console.log(`🔑 Vérification accès feature "${feature}" pour:`, req.user.email);
-    
-    const access = await subscriptionService.checkFeatureAccess(req.user.id, feature);
-    res.json(access);
+    const events = await stripeEventService.listEvents(req.query);
+    res.json({ events });
   } catch (error) {
-    console.error('❌ Erreur vérification accès:', error);
-    res.status(500).json({ error: 'Erreur serveur' });
+    console.error('❌ Erreur journal webhooks:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des événements' });
   }
 });
 
-// ===================================================================
-// ROUTES DE PAIEMENT STRIPE (SÉCURISÉES)
-// ===================================================================
-
-// Créer une session de checkout
-app.post('/api/payments/create-checkout-session', [
-  authService.verifyToken,
-  body('planId').notEmpty().withMessage('Plan ID requis'),
-  body('priceId').notEmpty().withMessage('Price ID requis')
+// Rejouer les webhooks en échec (ou un événement précis)
+app.post('/api/admin/stripe/events/replay', [
+  body('eventId').optional().matches(/^evt_\w+$/).withMessage('Identifiant d\'événement invalide'),
+  body('limit').optional().isInt({ min: 1, max: 500 }).toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
-        error: 'Données invalides', 
+        error: 'Paramètres invalides', 
         details: errors.array() 
       });
     }
 
-    const { planId, priceId } = req.body;
-    console.log(`💳 Création session Stripe pour ${req.user.email}, plan: ${planId}`);
-
-    const sessionId = await subscriptionService.createCheckoutSession({
-      userId: req.user.id,
-      userEmail: req.user.email,
-      planId,
-      priceId,
-      successUrl: `${process.env.FRONTEND_URL}/payment-success`,
-      cancelUrl: `${process.env.FRONTEND_URL}/subscription`
+    console.log('🔁 Rejeu des webhooks demandé par:', req.user.email);
+    const results = await stripeEventService.replayFailedEvents({
+      eventId: req.body.eventId,
+      limit: req.body.limit
     });
-
-    console.log('✅ Session Stripe créée:', sessionId);
-    res.json({ sessionId });
+    res.json(results);
   } catch (error) {
-    console.error('❌ Erreur création session:', error);
-    res.status(500).json({ error: 'Impossible de créer la session de paiement' });
+    console.error('❌ Erreur rejeu webhooks:', error);
+    res.status(500).json({ error: 'Erreur lors du rejeu des événements' });
   }
 });
 
-// Vérifier un paiement
-app.get('/api/payments/verify-payment', authService.verifyToken, async (req, res) => {
-  try {
-    const { sessionId } = req.query;
-    console.log(`💰 Vérification paiement session: ${sessionId}`);
-    
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID requis' });
-    }
+// ===================================================================
+// MAINTENANCE DE LA BIBLIOTHÈQUE AUDIO (admin)
+// ===================================================================
 
-    const result = await subscriptionService.verifyPayment(sessionId, req.user.id);
-    console.log('✅ Paiement vérifié:', result.status);
-    res.json(result);
+// Les opérations destructives tournent en dryRun sauf si "dryRun": false est envoyé
+const isDryRun = (req) => req.body.dryRun !== false;
+
+const dryRunValidator = body('dryRun').optional().isBoolean().withMessage('dryRun doit être un booléen');
+
+// Vérifier l'intégrité fichiers / métadonnées
+app.get('/api/admin/audio/integrity', async (req, res) => {
+  try {
+    console.log('🔍 Vérification intégrité audio demandée par:', req.user.email);
+    const report = await audioService.checkAudioIntegrity();
+    res.json(report);
   } catch (error) {
-    console.error('❌ Erreur vérification paiement:', error);
-    res.status(500).json({ error: 'Erreur lors de la vérification du paiement' });
+    console.error('❌ Erreur intégrité audio:', error);
+    res.status(500).json({ error: 'Erreur lors de la vérification d\'intégrité' });
   }
 });
 
-// ===================================================================
-// ROUTES AUDIO SÉCURISÉES
-// ===================================================================
+// Usage du storage
+app.get('/api/admin/audio/storage', async (req, res) => {
+  try {
+    console.log('📊 Usage storage demandé par:', req.user.email);
+    const usage = await audioService.getStorageUsage();
+    res.json(usage);
+  } catch (error) {
+    console.error('❌ Erreur usage storage:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul de l\'usage du storage' });
+  }
+});
 
-// Rechercher des audios
-app.post('/api/audio/search', [
-  authService.verifyToken,
-  body('languageCode').optional().isLength({ min: 2, max: 3 }),
-  body('category').optional().isLength({ min: 1, max: 50 }),
-  body('word').optional().isLength({ min: 1, max: 100 })
-], async (req, res) => {
+// Supprimer les métadonnées sans fichier
+app.post('/api/admin/audio/clean-orphans', [dryRunValidator], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
-        error: 'Paramètres de recherche invalides', 
+        error: 'Données invalides', 
         details: errors.array() 
       });
     }
 
-    const { languageCode, category, word } = req.body;
-    console.log(`🎵 Recherche audio: ${languageCode}/${category}/${word || 'all'}`);
-    
-    const results = await audioService.searchAudio({ languageCode, category, word });
-    
-    console.log(`✅ Trouvé ${results.length} audios`);
-    res.json({ results });
+    const dryRun = isDryRun(req);
+    console.log(`🧹 Nettoyage orphelins (dryRun=${dryRun}) demandé par:`, req.user.email);
+    const report = await audioService.cleanOrphanedMetadata({ dryRun });
+    res.status(report.error ? 500 : 200).json(report);
   } catch (error) {
-    console.error('❌ Erreur recherche audio:', error);
-    res.status(500).json({ error: 'Erreur lors de la recherche audio' });
+    console.error('❌ Erreur nettoyage orphelins:', error);
+    res.status(500).json({ error: 'Erreur lors du nettoyage' });
   }
 });
 
-// Statistiques audio
-app.get('/api/audio/stats', authService.verifyToken, async (req, res) => {
+// Créer les métadonnées des fichiers présents dans le storage
+app.post('/api/admin/audio/sync', [dryRunValidator], async (req, res) => {
   try {
-    console.log('📊 Récupération statistiques audio');
-    const stats = await audioService.getAudioStats();
-    res.json(stats);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
+    }
+
+    const dryRun = isDryRun(req);
+    console.log(`🔄 Synchronisation audio (dryRun=${dryRun}) demandée par:`, req.user.email);
+    const report = await audioService.syncMetadataWithFiles({ dryRun });
+    res.status(report.error ? 500 : 200).json(report);
   } catch (error) {
-    console.error('❌ Erreur statistiques audio:', error);
-    res.status(500).json({ error: 'Erreur lors de la récupération des statistiques' });
+    console.error('❌ Erreur synchronisation audio:', error);
+    res.status(500).json({ error: 'Erreur lors de la synchronisation' });
   }
 });
 
-// ===================================================================
-// ROUTES DE PROGRESSION UTILISATEUR
-// ===================================================================
-
-// Sauvegarder la progression
-app.post('/api/progress/save', [
-  authService.verifyToken,
-  body('languageCode').notEmpty().withMessage('Code langue requis'),
-  body('progressData').isObject().withMessage('Données de progression requises')
+// Analyser les fichiers trop volumineux
+app.post('/api/admin/audio/optimize', [
+  dryRunValidator,
+  body('maxSizeKB').optional().isInt({ min: 1 }).withMessage('maxSizeKB invalide')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
-        error: 'Données de progression invalides', 
+        error: 'Données invalides', 
         details: errors.array() 
       });
     }
 
-    const { languageCode, progressData, totalXP, completedCategories } = req.body;
-    console.log(`💾 Sauvegarde progression ${languageCode} pour:`, req.user.email);
-    
-    const result = await subscriptionService.saveUserProgress({
-      userId: req.user.id,
-      languageCode,
-      progressData,
-      totalXP: totalXP || 0,
-      completedCategories: completedCategories || []
+    const dryRun = isDryRun(req);
+    console.log(`⚡ Optimisation audio (dryRun=${dryRun}) demandée par:`, req.user.email);
+    const report = await audioService.optimizeAudioFiles({
+      dryRun,
+      ...(req.body.maxSizeKB && { maxSizeKB: req.body.maxSizeKB })
     });
+    res.json({ dryRun, ...report });
+  } catch (error) {
+    console.error('❌ Erreur optimisation audio:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'optimisation' });
+  }
+});
 
-    console.log('✅ Progression sauvegardée');
-    res.json({ 
-      success: true, 
-      saved: true,
-      timestamp: Date.now()
-    });
+// Sauvegarder les métadonnées dans le storage
+app.post('/api/admin/audio/backup', async (req, res) => {
+  try {
+    console.log('💾 Sauvegarde métadonnées demandée par:', req.user.email);
+    const report = await audioService.backupMetadata();
+    res.status(report.success ? 200 : 500).json(report);
   } catch (error) {
-    console.error('❌ Erreur sauvegarde progression:', error);
+    console.error('❌ Erreur sauvegarde audio:', error);
     res.status(500).json({ error: 'Erreur lors de la sauvegarde' });
   }
 });
 
-// Charger la progression
-app.get('/api/progress/:languageCode', authService.verifyToken, async (req, res) => {
+// Restaurer les métadonnées depuis une sauvegarde
+app.post('/api/admin/audio/restore', [
+  dryRunValidator,
+  body('backupPath')
+    .matches(/^backups\/backup_metadata_[\w-]+\.json$/)
+    .withMessage('Chemin de sauvegarde invalide')
+], async (req, res) => {
   try {
-    const { languageCode } = req.params;
-    
-    if (!languageCode || languageCode.length < 2) {
-      return res.status(400).json({ error: 'Code langue invalide' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: errors.array() 
+      });
     }
 
-    console.log(`📂 Chargement progression ${languageCode} pour:`, req.user.email);
-    const progress = await subscriptionService.getUserProgress(req.user.id, languageCode);
-    res.json(progress || null);
+    const dryRun = isDryRun(req);
+    console.log(`🔄 Restauration ${req.body.backupPath} (dryRun=${dryRun}) demandée par:`, req.user.email);
+    const report = await audioService.restoreMetadata(req.body.backupPath, { dryRun });
+    res.status(report.success ? 200 : 500).json(report);
   } catch (error) {
-    console.error('❌ Erreur chargement progression:', error);
-    res.status(500).json({ error: 'Erreur lors du chargement' });
+    console.error('❌ Erreur restauration audio:', error);
+    res.status(500).json({ error: 'Erreur lors de la restauration' });
   }
 });
 
@@ -448,12 +1912,17 @@ app.get('/api/test', (req, res) => {
 // WEBHOOKS STRIPE (sans authentification)
 // ===================================================================
 
-// Webhook Stripe (endpoint raw pour signature)
-app.post('/api/stripe/webhook', express.raw({type: 'application/json'}), async (req, res) => {
+// Webhook Stripe (corps brut fourni par express.raw, voir RAW_BODY_PATHS)
+app.post('/api/stripe/webhook', async (req, res) => {
   const sig = req.headers['stripe-signature'];
   
   try {
     console.log('🪝 Webhook Stripe reçu');
+
+    if (!Buffer.isBuffer(req.body)) {
+      console.error('❌ Corps du webhook non brut (Content-Type:', req.get('Content-Type'), ')');
+      return res.status(400).send('Webhook error: corps brut attendu (application/json)');
+    }
     
     // Vérification signature Stripe
     let event;
@@ -464,26 +1933,12 @@ app.post('/api/stripe/webhook', express.raw({type: 'application/json'}), async (
       return res.status(400).send(`Webhook signature error: ${err.message}`);
     }
 
-    // Traiter l'événement
-    switch (event.type) {
-      case 'checkout.session.completed':
-        console.log('💳 Paiement complété:', event.data.object.id);
-        // Traiter le paiement
-        break;
-      case 'customer.subscription.updated':
-        console.log('🔄 Abonnement mis à jour:', event.data.object.id);
-        await subscriptionService.handleSubscriptionUpdate(event.data.object);
-        break;
-      case 'customer.subscription.deleted':
-        console.log('❌ Abonnement annulé:', event.data.object.id);
-        await subscriptionService.handleSubscriptionCancellation(event.data.object);
-        break;
-      default:
-        console.log(`⚠️ Événement webhook non géré: ${event.type}`);
-    }
+    // Journaliser puis traiter l'événement (les doublons sont ignorés)
+    const result = await stripeEventService.handleEvent(event);
 
-    res.json({received: true});
+    res.json({received: true, status: result.status, duplicate: Boolean(result.duplicate)});
   } catch (error) {
+    // Réponse 500 : Stripe relancera l'événement, journalisé en échec
     console.error('❌ Erreur webhook:', error);
     res.status(500).json({error: 'Erreur traitement webhook'});
   }
@@ -504,7 +1959,11 @@ app.use((req, res) => {
     availableRoutes: [
       'GET /api/health',
       'GET /api/status', 
+      'GET /api/plans',
       'POST /api/auth/google',
+      'POST /api/auth/apple',
+      'POST /api/auth/email/request',
+      'POST /api/auth/refresh',
       'GET /api/auth/verify',
       'GET /api/test'
     ]
@@ -542,41 +2001,75 @@ app.use((error, req, res, next) => {
 // DÉMARRAGE DU SERVEUR
 // ===================================================================
 
-const server = app.listen(PORT, () => {
-  console.log('\n🚀 ===================================');
-  console.log('🎵 JogoLinga Backend démarré !');
-  console.log('🚀 ===================================');
-  console.log(`📡 Port: ${PORT}`);
-  console.log(`🔗 API: http://localhost:${PORT}/api/health`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`⚡ Stripe: ${process.env.STRIPE_SECRET_KEY ? '✅ Configuré' : '❌ Manquant'}`);
-  console.log(`🗄️  Supabase: ${process.env.SUPABASE_URL ? '✅ Configuré' : '❌ Manquant'}`);
-  console.log(`🔑 JWT: ${process.env.JWT_SECRET ? '✅ Configuré' : '❌ Manquant'}`);
-  console.log(`🔐 Google: ${process.env.GOOGLE_CLIENT_ID ? '✅ Configuré' : '❌ Manquant'}`);
-  console.log(`🌐 CORS Origins:`, allowedOrigins);
-  console.log(`🎯 Frontend URL: ${process.env.FRONTEND_URL || 'Non défini'}`);
-  console.log('=====================================\n');
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Arrêt du serveur...');
-  server.close(() => {
-    console.log('✅ Serveur arrêté proprement');
-    process.exit(0);
+// Écoute, tâches planifiées et gestionnaires de processus : uniquement quand le fichier
+// est lancé directement (npm start), pas quand les tests importent l'application
+const startServer = () => {
+  const server = app.listen(PORT, () => {
+    console.log('\n🚀 ===================================');
+    console.log('🎵 JogoLinga Backend démarré !');
+    console.log('🚀 ===================================');
+    console.log(`📡 Port: ${PORT}`);
+    console.log(`🔗 API: http://localhost:${PORT}/api/health`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`⚡ Stripe: ${process.env.STRIPE_SECRET_KEY ? '✅ Configuré' : '❌ Manquant'}`);
+    console.log(`🗄️  Supabase: ${process.env.SUPABASE_URL ? '✅ Configuré' : '❌ Manquant'}`);
+    console.log(`🔑 JWT: ${process.env.JWT_SECRET ? '✅ Configuré' : '❌ Manquant'}`);
+    console.log(`🔐 Google: ${process.env.GOOGLE_CLIENT_ID ? '✅ Configuré' : '❌ Manquant'}`);
+    console.log(`🌐 CORS Origins:`, allowedOrigins);
+    console.log(`🎯 Frontend URL: ${process.env.FRONTEND_URL || 'Non défini'}`);
+    console.log('=====================================\n');
   });
-});
 
-// Gestion des erreurs non capturées
-process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Suppressions de comptes arrivées à échéance (toutes les heures)
+  const deletionJob = setInterval(() => {
+    accountService.processScheduledDeletions();
+  }, 60 * 60 * 1000);
+  deletionJob.unref();
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  // Relances des paiements en échec et fin des délais de grâce (toutes les heures)
+  const dunningJob = setInterval(() => {
+    dunningService.processDunning();
+  }, 60 * 60 * 1000);
+  dunningJob.unref();
+
+  // Rappels avant la fin des essais gratuits (toutes les heures)
+  const trialReminderJob = setInterval(() => {
+    trialService.processTrialReminders();
+  }, 60 * 60 * 1000);
+  trialReminderJob.unref();
+
+  // Rappels avant la fin des pass d'accès non renouvelables (toutes les heures)
+  const passReminderJob = setInterval(() => {
+    paymentService.processPassReminders();
+  }, 60 * 60 * 1000);
+  passReminderJob.unref();
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('🛑 Arrêt du serveur...');
+    server.close(() => {
+      console.log('✅ Serveur arrêté proprement');
+      process.exit(0);
+    });
+  });
+
+  // Gestion des erreurs non capturées
+  process.on('uncaughtException', (error) => {
+    console.error('💥 Uncaught Exception:', error);
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+
+  return server;
+};
+
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
 
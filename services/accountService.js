@@ -0,0 +1,397 @@
+// ===================================================================
+// services/accountService.js - EXPORT ET SUPPRESSION DE COMPTE (RGPD)
+// ===================================================================
+const { createClient } = require('@supabase/supabase-js');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const subscriptionService = require('./subscriptionService');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Délai de rétractation avant suppression définitive
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+class AccountService {
+  constructor() {
+    console.log('🗂️ AccountService initialisé');
+
+    if (!process.env.SUPABASE_URL) {
+      throw new Error('SUPABASE_URL non configuré');
+    }
+  }
+
+  // ===================================================================
+  // EXPORT DES DONNÉES
+  // ===================================================================
+
+  // Rassembler tout ce que nous détenons sur un utilisateur
+  async exportUserData(userId) {
+    try {
+      console.log('📦 Export des données pour userId:', userId);
+
+      const [
+        user, identities, subscriptions, progress, payments, sessions, children,
+        transactions, trials, notices, usage, memberships
+      ] = await Promise.all([
+        supabase.from('users').select('*').eq('id', userId).single(),
+        supabase.from('user_identities').select('provider, email, created_at').eq('user_id', userId),
+        supabase.from('subscriptions').select('*').eq('user_id', userId),
+        supabase.from('user_progress').select('*').eq('user_id', userId),
+        supabase.from('payment_history').select('*').eq('user_id', userId),
+        supabase
+          .from('user_sessions')
+          .select('id, user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at, revoked_reason')
+          .eq('user_id', userId),
+        supabase.from('users').select('*').eq('guardian_id', userId),
+        supabase
+          .from('payment_transactions')
+          .select('id, provider, operator, plan_id, amount, currency, status, provider_reference, failure_reason, created_at, completed_at')
+          .eq('user_id', userId),
+        supabase
+          .from('trial_redemptions')
+          .select('plan_id, started_at, trial_ends_at, converted_at, reminder_sent_at')
+          .eq('user_id', userId),
+        supabase.from('user_notices').select('*').eq('user_id', userId),
+        supabase.from('usage_counters').select('feature, period_start, count').eq('user_id', userId),
+        supabase.from('classroom_members').select('classroom_id, joined_at').eq('student_id', userId)
+      ]);
+
+      const failed = [
+        user, identities, subscriptions, progress, payments, sessions, children,
+        transactions, trials, notices, usage, memberships
+      ].find(result => result.error);
+      if (failed) {
+        console.error('❌ Erreur export données:', failed.error);
+        throw failed.error;
+      }
+
+      // Progression des profils enfants gérés par ce compte
+      const childIds = (children.data || []).map(child => child.id);
+      const { data: childProgress, error: childProgressError } = childIds.length > 0
+        ? await supabase.from('user_progress').select('*').in('user_id', childIds)
+        : { data: [], error: null };
+
+      if (childProgressError) throw childProgressError;
+
+      console.log('✅ Export prêt pour:', user.data.email);
+      return {
+        exportedAt: new Date().toISOString(),
+        format: 'jogolinga-export-v1',
+        user: user.data,
+        identities: identities.data || [],
+        subscriptions: subscriptions.data || [],
+        progress: progress.data || [],
+        payments: payments.data || [],
+        paymentTransactions: transactions.data || [],
+        trials: trials.data || [],
+        sessions: sessions.data || [],
+        notices: notices.data || [],
+        usage: usage.data || [],
+        classroomMemberships: memberships.data || [],
+        children: (children.data || []).map(child => ({
+          ...child,
+          progress: (childProgress || []).filter(row => row.user_id === child.id)
+        }))
+      };
+    } catch (error) {
+      console.error('❌ Erreur exportUserData:', error);
+      throw error;
+    }
+  }
+
+  // ===================================================================
+  // SUPPRESSION DE COMPTE AVEC DÉLAI DE RÉTRACTATION
+  // ===================================================================
+
+  // Programmer la suppression : abonnement stoppé en fin de période, sessions révoquées
+  async requestAccountDeletion(userId) {
+    try {
+      console.log('🗑️ Demande de suppression de compte pour userId:', userId);
+
+      const now = new Date();
+      const scheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+      const { error } = await supabase
+        .from('users')
+        .update({
+          deletion_requested_at: now.toISOString(),
+          deletion_scheduled_for: scheduledFor.toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('id', userId);
+
+      if (error) {
+        console.error('❌ Erreur programmation suppression:', error);
+        throw error;
+      }
+
+      // Stopper le renouvellement (réversible tant que le compte existe)
+      const { data: subscription } = await supabase
+        .from('subscriptions')
+        .select('stripe_subscription_id, status, cancel_at_period_end')
+        .eq('user_id', userId)
+        .single();
+
+      if (subscription?.stripe_subscription_id && subscription.status === 'active' && !subscription.cancel_at_period_end) {
+        try {
+          await subscriptionService.cancelUserSubscription(userId);
+        } catch (cancelError) {
+          // L'abonnement sera de toute façon annulé lors de la suppression définitive
+          console.warn('⚠️ Arrêt du renouvellement impossible:', cancelError.message);
+        }
+      }
+
+      // Déconnecter tous les appareils : seule une reconnexion annule la demande
+      const { error: sessionError } = await supabase
+        .from('user_sessions')
+        .update({
+          revoked_at: now.toISOString(),
+          revoked_reason: 'account_deletion'
+        })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+      if (sessionError) {
+        console.warn('⚠️ Erreur révocation sessions (non critique):', sessionError);
+      }
+
+      console.log('✅ Suppression programmée pour le', scheduledFor.toISOString());
+      return {
+        success: true,
+        scheduledFor: scheduledFor.toISOString(),
+        graceDays: DELETION_GRACE_DAYS
+      };
+    } catch (error) {
+      console.error('❌ Erreur requestAccountDeletion:', error);
+      throw new Error('Impossible de programmer la suppression du compte: ' + error.message);
+    }
+  }
+
+  // Annuler une suppression programmée (appelé à la reconnexion)
+  async cancelAccountDeletion(user) {
+    try {
+      if (!user.deletion_requested_at) {
+        return false;
+      }
+
+      console.log('↩️ Annulation de la suppression de compte pour:', user.email);
+
+      const { error } = await supabase
+        .from('users')
+        .update({
+          deletion_requested_at: null,
+          deletion_scheduled_for: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', user.id);
+
+      if (error) {
+        console.error('❌ Erreur annulation suppression:', error);
+        throw error;
+      }
+
+      // Réactiver l'abonnement s'il a été stoppé par la demande de suppression
+      const { data: subscription } = await supabase
+        .from('subscriptions')
+        .select('stripe_subscription_id, cancel_at_period_end, cancelled_at')
+        .eq('user_id', user.id)
+        .single();
+
+      if (subscription?.stripe_subscription_id &&
+          subscription.cancel_at_period_end &&
+          subscription.cancelled_at &&
+          new Date(subscription.cancelled_at) >= new Date(user.deletion_requested_at)) {
+        try {
+          await subscriptionService.reactivateUserSubscription(user.id);
+        } catch (reactivateError) {
+          console.warn('⚠️ Réactivation abonnement impossible:', reactivateError.message);
+        }
+      }
+
+      console.log('✅ Suppression annulée');
+      return true;
+    } catch (error) {
+      console.error('❌ Erreur cancelAccountDeletion:', error);
+      throw error;
+    }
+  }
+
+  // Supprimer définitivement un compte
+  async purgeAccount(userId) {
+    try {
+      console.log('🔥 Suppression définitive du compte userId:', userId);
+
+      // 1. Annuler immédiatement l'abonnement Stripe
+      const { data: subscription } = await supabase
+        .from('subscriptions')
+        .select('stripe_subscription_id')
+        .eq('user_id', userId)
+        .single();
+
+      if (subscription?.stripe_subscription_id) {
+        try {
+          await stripe.subscriptions.cancel(subscription.stripe_subscription_id);
+        } catch (stripeError) {
+          if (stripeError.code !== 'resource_missing') {
+            throw stripeError;
+          }
+        }
+      }
+
+      // 2. Anonymiser l'historique de paiement (conservé pour la comptabilité)
+      const { error: paymentError } = await supabase
+        .from('payment_history')
+        .update({
+          user_id: null,
+          anonymized_at: new Date().toISOString()
+        })
+        .eq('user_id', userId);
+
+      if (paymentError) throw paymentError;
+
+      const { error: transactionError } = await supabase
+        .from('payment_transactions')
+        .update({ user_id: null })
+        .eq('user_id', userId);
+
+      if (transactionError) throw transactionError;
+
+      // Les essais utilisés restent connus (empreinte de l'email) pour empêcher un second essai
+      const { error: trialError } = await supabase
+        .from('trial_redemptions')
+        .update({ user_id: null })
+        .eq('user_id', userId);
+
+      if (trialError) throw trialError;
+
+      // 3. Supprimer les profils enfants et leur progression
+      const { data: children, error: childrenError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('guardian_id', userId);
+
+      if (childrenError) throw childrenError;
+
+      for (const child of children || []) {
+        for (const table of ['user_progress', 'user_sessions', 'usage_counters']) {
+          const { error } = await supabase
+            .from(table)
+            .delete()
+            .eq('user_id', child.id);
+
+          if (error) throw error;
+        }
+
+        const { error: memberError } = await supabase
+          .from('classroom_members')
+          .delete()
+          .eq('student_id', child.id);
+
+        if (memberError) throw memberError;
+
+        const { error: childError } = await supabase
+          .from('users')
+          .delete()
+          .eq('id', child.id);
+
+        if (childError) throw childError;
+      }
+
+      // 4. Quitter les classes et supprimer celles dont il est l'enseignant
+      const { error: membershipError } = await supabase
+        .from('classroom_members')
+        .delete()
+        .eq('student_id', userId);
+
+      if (membershipError) throw membershipError;
+
+      const { data: classrooms, error: classroomsError } = await supabase
+        .from('classrooms')
+        .select('id')
+        .eq('teacher_id', userId);
+
+      if (classroomsError) throw classroomsError;
+
+      for (const classroom of classrooms || []) {
+        for (const table of ['assignments', 'classroom_members']) {
+          const { error } = await supabase
+            .from(table)
+            .delete()
+            .eq('classroom_id', classroom.id);
+
+          if (error) throw error;
+        }
+
+        const { error: classroomError } = await supabase
+          .from('classrooms')
+          .delete()
+          .eq('id', classroom.id);
+
+        if (classroomError) throw classroomError;
+      }
+
+      // 5. Supprimer les données personnelles
+      for (const table of ['user_progress', 'user_sessions', 'user_identities', 'user_notices', 'usage_counters', 'subscriptions']) {
+        const { error } = await supabase
+          .from(table)
+          .delete()
+          .eq('user_id', userId);
+
+        if (error) throw error;
+      }
+
+      const { error: userError } = await supabase
+        .from('users')
+        .delete()
+        .eq('id', userId);
+
+      if (userError) throw userError;
+
+      console.log('✅ Compte supprimé:', userId);
+      return true;
+    } catch (error) {
+      console.error('❌ Erreur purgeAccount:', error);
+      throw error;
+    }
+  }
+
+  // Traiter les suppressions arrivées à échéance
+  async processScheduledDeletions() {
+    try {
+      const { data: users, error } = await supabase
+        .from('users')
+        .select('id')
+        .not('deletion_scheduled_for', 'is', null)
+        .lte('deletion_scheduled_for', new Date().toISOString());
+
+      if (error) throw error;
+
+      const results = { processed: 0, failed: 0, errors: [] };
+
+      for (const user of users || []) {
+        try {
+          await this.purgeAccount(user.id);
+          results.processed++;
+        } catch (purgeError) {
+          results.failed++;
+          results.errors.push({ userId: user.id, error: purgeError.message });
+        }
+      }
+
+      if (results.processed || results.failed) {
+        console.log(`🗑️ Suppressions traitées: ${results.processed} réussies, ${results.failed} échecs`);
+      }
+      return results;
+    } catch (error) {
+      console.error('❌ Erreur traitement des suppressions:', error);
+      return { processed: 0, failed: 0, errors: [error.message] };
+    }
+  }
+}
+
+// Export singleton
+const accountService = new AccountService();
+module.exports = accountService;
@@ -617,10 +617,10 @@ class AudioService {
     }
   }
 
-  // Nettoyer les métadonnées orphelines
-  async cleanOrphanedMetadata() {
+  // Nettoyer les métadonnées orphelines (dryRun: liste sans supprimer)
+  async cleanOrphanedMetadata({ dryRun = false } = {}) {
     try {
-      console.log('🧹 Nettoyage métadonnées orphelines');
+      console.log(`🧹 Nettoyage métadonnées orphelines${dryRun ? ' (dryRun)' : ''}`);
       
       const { data: audioFiles, error } = await supabase
         .from('audio_files')
@@ -628,16 +628,28 @@ class AudioService {
 
       if (error) throw error;
 
-      const orphanedIds = [];
+      const orphaned = [];
 
       // Vérifier chaque fichier
       for (const audio of audioFiles) {
         const exists = await this.fileExists(audio.file_path);
         if (!exists) {
-          orphanedIds.push(audio.id);
+          orphaned.push({ id: audio.id, path: audio.file_path });
         }
       }
 
+      const orphanedIds = orphaned.map(audio => audio.id);
+
+      if (dryRun) {
+        console.log(`🔍 ${orphanedIds.length} métadonnées orphelines seraient supprimées`);
+        return {
+          dryRun: true,
+          cleaned: 0,
+          orphanedIds,
+          orphaned
+        };
+      }
+
       if (orphanedIds.length > 0) {
         console.log(`🗑️ Suppression de ${orphanedIds.length} métadonnées orphelines`);
         
@@ -651,14 +663,19 @@ class AudioService {
 
       console.log('✅ Nettoyage terminé');
       return {
+        dryRun: false,
         cleaned: orphanedIds.length,
-        orphanedIds
+        orphanedIds,
+        orphaned
       };
     } catch (error) {
       console.error('❌ Erreur nettoyage:', error);
       return {
+        dryRun,
         cleaned: 0,
-        orphanedIds: []
+        orphanedIds: [],
+        orphaned: [],
+        error: error.message
       };
     }
   }
@@ -881,10 +898,10 @@ class AudioService {
     }
   }
 
-  // Synchroniser les métadonnées avec les fichiers existants
-  async syncMetadataWithFiles() {
+  // Synchroniser les métadonnées avec les fichiers existants (dryRun: liste sans créer)
+  async syncMetadataWithFiles({ dryRun = false } = {}) {
     try {
-      console.log('🔄 Synchronisation métadonnées avec fichiers');
+      console.log(`🔄 Synchronisation métadonnées avec fichiers${dryRun ? ' (dryRun)' : ''}`);
       
       // Lister tous les fichiers du storage
       const { data: storageFiles, error: storageError } = await supabase.storage
@@ -933,9 +950,21 @@ class AudioService {
       await processFolder();
 
       console.log(`📊 ${missingMetadata.length} fichiers sans métadonnées trouvés`);
+
+      if (dryRun) {
+        return {
+          dryRun: true,
+          filesChecked: storageFiles.length,
+          missingMetadata: missingMetadata.length,
+          metadataCreated: 0,
+          files: missingMetadata.map(file => file.path),
+          failed: []
+        };
+      }
       
       // Créer les métadonnées manquantes
       let created = 0;
+      const failed = [];
       for (const file of missingMetadata) {
         try {
           const pathParts = file.path.split('/');
@@ -955,21 +984,29 @@ class AudioService {
           created++;
         } catch (error) {
           console.warn(`⚠️ Erreur création métadonnées pour ${file.path}:`, error.message);
+          failed.push({ path: file.path, error: error.message });
         }
       }
 
       console.log(`✅ Synchronisation terminée: ${created} métadonnées créées`);
       return {
+        dryRun: false,
         filesChecked: storageFiles.length,
         missingMetadata: missingMetadata.length,
-        metadataCreated: created
+        metadataCreated: created,
+        files: missingMetadata.map(file => file.path),
+        failed
       };
     } catch (error) {
       console.error('❌ Erreur synchronisation:', error);
       return {
+        dryRun,
         filesChecked: 0,
         missingMetadata: 0,
-        metadataCreated: 0
+        metadataCreated: 0,
+        files: [],
+        failed: [],
+        error: error.message
       };
     }
   }
@@ -1079,10 +1116,10 @@ class AudioService {
     }
   }
 
-  // Restaurer les métadonnées depuis une sauvegarde
-  async restoreMetadata(backupPath) {
+  // Restaurer les métadonnées depuis une sauvegarde (dryRun: compare sans modifier)
+  async restoreMetadata(backupPath, { dryRun = false } = {}) {
     try {
-      console.log(`🔄 Restauration métadonnées depuis: ${backupPath}`);
+      console.log(`🔄 Restauration métadonnées depuis: ${backupPath}${dryRun ? ' (dryRun)' : ''}`);
       
       // Télécharger le fichier de sauvegarde
       const { data: backupData, error: downloadError } = await supabase.storage
@@ -1096,10 +1133,28 @@ class AudioService {
 
       console.log(`📦 Sauvegarde trouvée: ${backup.totalFiles} fichiers (${backup.createdAt})`);
 
+      if (dryRun) {
+        const { count, error: countError } = await supabase
+          .from('audio_files')
+          .select('id', { count: 'exact', head: true });
+
+        if (countError) throw countError;
+
+        return {
+          success: true,
+          dryRun: true,
+          deletedCount: 0,
+          restoredCount: 0,
+          wouldDelete: count || 0,
+          wouldRestore: backup.audioFiles.length,
+          backupDate: backup.createdAt
+        };
+      }
+
       // Nettoyer les métadonnées existantes
-      const { error: deleteError } = await supabase
+      const { error: deleteError, count: deletedCount } = await supabase
         .from('audio_files')
-        .delete()
+        .delete({ count: 'exact' })
         .neq('id', '00000000-0000-0000-0000-000000000000'); // Supprimer tout
 
       if (deleteError) {
@@ -1142,13 +1197,17 @@ class AudioService {
       console.log(`✅ Restauration terminée: ${restored} métadonnées restaurées`);
       return {
         success: true,
+        dryRun: false,
+        deletedCount: deletedCount || 0,
         restoredCount: restored,
+        failedCount: backup.audioFiles.length - restored,
         backupDate: backup.createdAt
       };
     } catch (error) {
       console.error('❌ Erreur restauration:', error);
       return {
         success: false,
+        dryRun,
         error: error.message
       };
     }
@@ -0,0 +1,118 @@
+// ===================================================================
+// services/authProviders/appleProvider.js - SIGN IN WITH APPLE
+// ===================================================================
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fetch = require('node-fetch');
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+
+// Durée de cache des clés publiques Apple
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+// Délai minimal entre deux rechargements déclenchés par un kid inconnu
+const UNKNOWN_KID_REFRESH_MS = 30 * 1000;
+
+class AppleProvider {
+  constructor() {
+    this.name = 'apple';
+
+    // Surchargeable pour pointer vers un JWKS local
+    this.jwksUrl = process.env.APPLE_JWKS_URL || `${APPLE_ISSUER}/auth/keys`;
+    this.keys = new Map();
+    this.keysFetchedAt = 0;
+    this.refreshAttemptedAt = 0;
+    this.refreshing = null;
+
+    if (!process.env.APPLE_CLIENT_ID) {
+      console.warn('⚠️ APPLE_CLIENT_ID non configuré - Sign in with Apple désactivé');
+    }
+  }
+
+  // Identifiants acceptés en audience (Services ID web, bundle ID iOS...)
+  getAudiences() {
+    return (process.env.APPLE_CLIENT_ID || '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean);
+  }
+
+  // Charger (ou recharger) le JWKS d'Apple
+  async refreshKeys() {
+    const response = await fetch(this.jwksUrl);
+    if (!response.ok) {
+      throw new Error(`JWKS Apple indisponible (${response.status})`);
+    }
+
+    const { keys } = await response.json();
+    this.keys = new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+    this.keysFetchedAt = Date.now();
+  }
+
+  // Au plus un rechargement par UNKNOWN_KID_REFRESH_MS, réussi ou non : des tokens
+  // forgés (kid inconnu) ne peuvent pas faire interroger Apple à chaque requête
+  async getSigningKey(kid) {
+    const needsRefresh = Date.now() - this.keysFetchedAt > JWKS_CACHE_TTL_MS || !this.keys.has(kid);
+    if (needsRefresh && !this.refreshing && Date.now() - this.refreshAttemptedAt > UNKNOWN_KID_REFRESH_MS) {
+      this.refreshAttemptedAt = Date.now();
+      this.refreshing = this.refreshKeys().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    if (this.refreshing) {
+      await this.refreshing;
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new Error('Clé de signature Apple inconnue');
+    }
+    return key;
+  }
+
+  // Vérifier un identity token Apple. Apple ne transmet le nom qu'à la
+  // première autorisation, côté client : il est passé dans credential.name.
+  async verifyCredential({ identityToken, name }) {
+    const audiences = this.getAudiences();
+    if (audiences.length === 0) {
+      throw new Error('Sign in with Apple non configuré');
+    }
+
+    const decoded = jwt.decode(identityToken, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw new Error('Format du token Apple invalide');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const payload = jwt.verify(identityToken, key, {
+      algorithms: ['RS256'],
+      audience: audiences,
+      issuer: APPLE_ISSUER,
+      clockTolerance: 60
+    });
+
+    console.log('✅ Token Apple vérifié pour sub:', payload.sub);
+
+    return {
+      provider: this.name,
+      providerUserId: payload.sub,
+      email: payload.email || null,
+      emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+      name: name || null,
+      picture: null
+    };
+  }
+
+  describeError(error) {
+    if (error.name === 'TokenExpiredError') {
+      return 'Token Apple expiré';
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return 'Token Apple invalide';
+    }
+    return null;
+  }
+}
+
+// Export singleton
+const appleProvider = new AppleProvider();
+module.exports = appleProvider;
@@ -0,0 +1,102 @@
+// ===================================================================
+// services/authProviders/emailProvider.js - CONNEXION PAR LIEN MAGIQUE
+// ===================================================================
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const mailer = require('../mailer');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Durée de validité d'un lien magique
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15;
+
+class EmailProvider {
+  constructor() {
+    this.name = 'email';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  buildMagicLink(token) {
+    const baseUrl = (process.env.FRONTEND_URL || 'https://jogolinga.app').replace(/\/$/, '');
+    return `${baseUrl}/auth/magic-link?token=${encodeURIComponent(token)}`;
+  }
+
+  // Générer un token à usage unique et l'envoyer par email
+  async requestMagicLink(email) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000);
+
+    const { error } = await supabase
+      .from('magic_link_tokens')
+      .insert([{
+        email: normalizedEmail,
+        token_hash: this.hashToken(token),
+        expires_at: expiresAt.toISOString(),
+        created_at: new Date().toISOString()
+      }]);
+
+    if (error) {
+      console.error('❌ Erreur création lien magique:', error);
+      throw new Error('Impossible de créer le lien de connexion: ' + error.message);
+    }
+
+    const link = this.buildMagicLink(token);
+    await mailer.sendMail({
+      to: normalizedEmail,
+      subject: 'Votre lien de connexion Jogolinga',
+      text: `Bonjour,\n\nCliquez sur ce lien pour vous connecter à Jogolinga :\n${link}\n\n` +
+        `Ce lien expire dans ${MAGIC_LINK_TTL_MINUTES} minutes et ne peut être utilisé qu'une fois.\n` +
+        'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email.',
+      html: `<p>Bonjour,</p><p><a href="${link}">Connectez-vous à Jogolinga</a></p>` +
+        `<p>Ce lien expire dans ${MAGIC_LINK_TTL_MINUTES} minutes et ne peut être utilisé qu'une fois.</p>`
+    });
+
+    console.log('📧 Lien magique envoyé à:', normalizedEmail);
+    return { expiresAt: expiresAt.toISOString() };
+  }
+
+  // Consommer le token (une seule fois) et retourner l'identité email
+  async verifyCredential(token) {
+    const { data: consumed, error } = await supabase
+      .from('magic_link_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', this.hashToken(token))
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('email');
+
+    if (error) {
+      console.error('❌ Erreur vérification lien magique:', error);
+      throw new Error('Erreur base de données: ' + error.message);
+    }
+    if (!consumed || consumed.length === 0) {
+      throw new Error('Lien de connexion invalide, expiré ou déjà utilisé');
+    }
+
+    const email = consumed[0].email;
+    return {
+      provider: this.name,
+      providerUserId: email,
+      email,
+      emailVerified: true,
+      name: null,
+      picture: null
+    };
+  }
+
+  describeError() {
+    return null;
+  }
+}
+
+// Export singleton
+const emailProvider = new EmailProvider();
+module.exports = emailProvider;
@@ -0,0 +1,71 @@
+// ===================================================================
+// services/authProviders/googleProvider.js - CONNEXION GOOGLE
+// ===================================================================
+const { OAuth2Client } = require('google-auth-library');
+
+// Client Google OAuth
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+class GoogleProvider {
+  constructor() {
+    this.name = 'google';
+  }
+
+  // Vérifier un ID token Google et retourner l'identité normalisée
+  async verifyCredential(googleToken) {
+    console.log('🔍 Vérification token Google...');
+    console.log('Token reçu (preview):', googleToken.substring(0, 50) + '...');
+
+    // Vérifier le token Google avec tolérance
+    const ticket = await googleClient.verifyIdToken({
+      idToken: googleToken,
+      audience: process.env.GOOGLE_CLIENT_ID,
+      clockTolerance: 60 // 60 secondes de tolérance pour l'horloge
+    });
+
+    const googleUser = ticket.getPayload();
+    if (!googleUser) {
+      throw new Error('Token Google invalide - payload vide');
+    }
+
+    console.log('✅ Payload Google reçu:', {
+      sub: googleUser.sub,
+      email: googleUser.email,
+      name: googleUser.name,
+      aud: googleUser.aud,
+      iss: googleUser.iss,
+      exp: new Date(googleUser.exp * 1000),
+      iat: new Date(googleUser.iat * 1000)
+    });
+
+    return {
+      provider: this.name,
+      providerUserId: googleUser.sub,
+      email: googleUser.email,
+      emailVerified: googleUser.email_verified === true,
+      name: googleUser.name,
+      picture: googleUser.picture
+    };
+  }
+
+  // Traduire les erreurs de la librairie Google en messages lisibles
+  describeError(error) {
+    if (error.message.includes('Token used too early')) {
+      return 'Token Google utilisé trop tôt, réessayez dans quelques secondes';
+    }
+    if (error.message.includes('Invalid token signature')) {
+      return 'Signature du token Google invalide';
+    }
+    if (error.message.includes('Wrong number of segments')) {
+      return 'Format du token Google invalide';
+    }
+    if (error.message.includes('audience')) {
+      return 'Client ID Google invalide';
+    }
+    return null;
+  }
+}
+
+// Export singleton
+const googleProvider = new GoogleProvider();
+module.exports = googleProvider;
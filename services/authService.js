@@ -1,9 +1,13 @@
 // ===================================================================
 // services/authService.js - SERVICE D'AUTHENTIFICATION BACKEND SÉCURISÉ
 // ===================================================================
-const jwt = require('jsonwebtoken');
-const { OAuth2Client } = require('google-auth-library');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
+const accountService = require('./accountService');
+const keyService = require('./keyService');
+const googleProvider = require('./authProviders/googleProvider');
+const appleProvider = require('./authProviders/appleProvider');
+const emailProvider = require('./authProviders/emailProvider');
 
 // Initialisation Supabase avec service key
 const supabase = createClient(
@@ -14,13 +18,48 @@ const supabase = createClient(
 console.log("SUPABASE_URL:", process.env.SUPABASE_URL);
 console.log("SUPABASE_SERVICE_KEY preview:", process.env.SUPABASE_SERVICE_KEY?.substring(0,10) + "...");
 
+// Durées de vie : access token court, refresh token long (rotatif, stocké côté serveur)
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
 
-// Client Google OAuth
-const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+// Rôles applicatifs (colonne users.role)
+const ROLES = ['learner', 'contributor', 'teacher', 'admin'];
+const DEFAULT_ROLE = 'learner';
+
+// Champs de profil modifiables par l'utilisateur (clé API → colonne users).
+// display_name est distinct de name : la synchro Google à la connexion ne l'écrase jamais.
+const PROFILE_FIELDS = {
+  displayName: 'display_name',
+  nativeLanguage: 'native_language',
+  targetLanguages: 'target_languages',
+  dailyGoal: 'daily_goal',
+  uiLocale: 'ui_locale',
+  timezone: 'timezone',
+  country: 'country',
+  notificationPreferences: 'notification_preferences'
+};
+
+// Fréquence maximale de mise à jour de last_seen_at par session
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Erreur d'authentification avec code exploitable par les routes
+function authError(message, code, status = 401) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
 
 class AuthService {
   constructor() {
     console.log('🔐 AuthService backend initialisé');
+
+    this.roles = ROLES;
+    this.profileFields = Object.keys(PROFILE_FIELDS);
+
+    // Fournisseurs d'identité disponibles
+    this.providers = {};
+    [googleProvider, appleProvider, emailProvider].forEach(provider => this.registerProvider(provider));
     
     // Debug des variables d'environnement
     console.log('🔍 Configuration Auth Service:', {
@@ -45,95 +84,50 @@ class AuthService {
   }
 
   // ===================================================================
-  // AUTHENTIFICATION AVEC GOOGLE (LA FONCTION MANQUANTE)
+  // AUTHENTIFICATION MULTI-FOURNISSEURS (GOOGLE, APPLE, LIEN MAGIQUE)
   // ===================================================================
-  async authenticateWithGoogle(googleToken) {
-    try {
-      console.log('🔍 Vérification token Google...');
-      console.log('Token reçu (preview):', googleToken.substring(0, 50) + '...');
-      
-      // 1. Vérifier le token Google avec tolérance
-      const ticket = await googleClient.verifyIdToken({
-        idToken: googleToken,
-        audience: process.env.GOOGLE_CLIENT_ID,
-        clockTolerance: 60 // 60 secondes de tolérance pour l'horloge
-      });
-      
-      const googleUser = ticket.getPayload();
-      if (!googleUser) {
-        throw new Error('Token Google invalide - payload vide');
-      }
+  // Un fournisseur expose { name, verifyCredential(credential), describeError(error) }
+  // et retourne une identité normalisée :
+  // { provider, providerUserId, email, emailVerified, name, picture }.
+  // Un utilisateur peut avoir plusieurs identités (table user_identities).
 
-      console.log('✅ Payload Google reçu:', {
-        sub: googleUser.sub,
-        email: googleUser.email,
-        name: googleUser.name,
-        aud: googleUser.aud,
-        iss: googleUser.iss,
-        exp: new Date(googleUser.exp * 1000),
-        iat: new Date(googleUser.iat * 1000)
-      });
+  // Ajouter ou remplacer un fournisseur (stand-in local pour les tests...)
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
 
-      // 2. Chercher l'utilisateur existant
-      console.log('🔍 Recherche utilisateur en base...');
-      let { data: existingUser, error: fetchError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('google_id', googleUser.sub)
-        .single();
+  getProvider(providerName) {
+    const provider = this.providers[providerName];
+    if (!provider) {
+      throw authError(`Fournisseur d'identité inconnu: ${providerName}`, 'UNKNOWN_PROVIDER', 400);
+    }
+    return provider;
+  }
 
-      let user;
-      
-      if (fetchError && fetchError.code === 'PGRST116') {
-        // Utilisateur n'existe pas, le créer
-        console.log('👤 Création nouvel utilisateur:', googleUser.email);
-        
-        const { data: newUser, error: createError } = await supabase
-          .from('users')
-          .insert([{
-            google_id: googleUser.sub,
-            email: googleUser.email,
-            name: googleUser.name,
-            picture: googleUser.picture,
-            created_at: new Date().toISOString()
-          }])
-          .select()
-          .single();
+  // Connexion via n'importe quel fournisseur enregistré
+  async authenticateWithProvider(providerName, credential, deviceInfo = {}) {
+    const provider = this.getProvider(providerName);
 
-        if (createError) {
-          console.error('❌ Erreur création utilisateur:', createError);
-          throw new Error('Impossible de créer l\'utilisateur: ' + createError.message);
-        }
+    try {
+      // 1. Vérifier la preuve d'identité auprès du fournisseur
+      const identity = await provider.verifyCredential(credential);
 
-        // Créer abonnement gratuit par défaut
-        const { error: subscriptionError } = await supabase
-          .from('subscriptions')
-          .insert([{
-            user_id: newUser.id,
-            tier: 'free',
-            status: 'active',
-            created_at: new Date().toISOString()
-          }]);
-
-        if (subscriptionError) {
-          console.warn('⚠️ Erreur création abonnement (non critique):', subscriptionError);
-        }
+      // 2. Retrouver ou créer l'utilisateur correspondant
+      console.log('🔍 Recherche utilisateur en base...');
+      const { user: existingUser, created } = await this.resolveUserForIdentity(identity);
 
-        user = newUser;
-        console.log('✅ Utilisateur créé avec abonnement gratuit');
-        
-      } else if (fetchError) {
-        console.error('❌ Erreur récupération utilisateur:', fetchError);
-        throw new Error('Erreur base de données: ' + fetchError.message);
-      } else {
-        // Utilisateur existe, mettre à jour les infos
+      let user = existingUser;
+      let deletionCancelled = false;
+
+      if (!created) {
+        // Utilisateur existe, mettre à jour les infos fournies par le fournisseur
         console.log('🔄 Mise à jour utilisateur existant:', existingUser.email);
         
         const { data: updatedUser, error: updateError } = await supabase
           .from('users')
           .update({
-            name: googleUser.name,
-            picture: googleUser.picture,
+            ...(identity.name && { name: identity.name }),
+            ...(identity.picture && { picture: identity.picture }),
             last_login: new Date().toISOString()
           })
           .eq('id', existingUser.id)
@@ -143,60 +137,272 @@ class AuthService {
         if (updateError) {
           console.error('❌ Erreur mise à jour utilisateur:', updateError);
           // Continuer avec les données existantes
-          user = existingUser;
         } else {
           user = updatedUser;
         }
+
+        // Une reconnexion pendant le délai de rétractation annule la suppression
+        deletionCancelled = await accountService.cancelAccountDeletion(existingUser);
       }
 
-      // 3. Générer JWT
-      console.log('🎫 Génération JWT...');
-      const jwtToken = jwt.sign(
-        { 
-          userId: user.id, 
-          email: user.email,
-          googleId: user.google_id,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' } // Token valide 7 jours
-      );
+      // 3. Ouvrir une session (access token court + refresh token rotatif)
+      console.log('🎫 Création de la session...');
+      const session = await this.createSession(user, deviceInfo);
 
-      console.log('✅ JWT généré pour:', user.email);
+      console.log(`✅ Session ${providerName} créée pour:`, user.email);
 
       return {
-        jwtToken,
+        jwtToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        deletionCancelled,
         user: {
           id: user.id,
           email: user.email,
-          name: user.name,
+          name: user.display_name || user.name,
           picture: user.picture,
+          role: user.role || DEFAULT_ROLE,
           createdAt: user.created_at,
           lastLogin: user.last_login || user.created_at
         }
       };
       
     } catch (error) {
-      console.error('❌ Erreur authentification Google:', error);
-      
-      // Erreurs spécifiques Google
-      if (error.message.includes('Token used too early')) {
-        throw new Error('Token Google utilisé trop tôt, réessayez dans quelques secondes');
-      }
-      if (error.message.includes('Invalid token signature')) {
-        throw new Error('Signature du token Google invalide');
-      }
-      if (error.message.includes('Wrong number of segments')) {
-        throw new Error('Format du token Google invalide');
+      console.error(`❌ Erreur authentification ${providerName}:`, error);
+
+      if (error.status) {
+        throw error;
       }
-      if (error.message.includes('audience')) {
-        throw new Error('Client ID Google invalide');
+
+      const description = provider.describeError(error);
+      if (description) {
+        throw new Error(description);
       }
       
       throw new Error('Authentification échouée: ' + error.message);
     }
   }
 
+  async authenticateWithGoogle(googleToken, deviceInfo = {}) {
+    return this.authenticateWithProvider('google', googleToken, deviceInfo);
+  }
+
+  // Retrouver l'utilisateur d'une identité, la rattacher ou créer le compte
+  async resolveUserForIdentity(identity) {
+    // 1. Identité déjà liée
+    const { data: link, error: linkError } = await supabase
+      .from('user_identities')
+      .select('user_id')
+      .eq('provider', identity.provider)
+      .eq('provider_user_id', identity.providerUserId)
+      .maybeSingle();
+
+    if (linkError) {
+      console.error('❌ Erreur récupération identité:', linkError);
+      throw new Error('Erreur base de données: ' + linkError.message);
+    }
+    if (link) {
+      const linkedUser = await this.getUserById(link.user_id);
+      if (linkedUser) {
+        return { user: linkedUser, created: false };
+      }
+    }
+
+    // 2. Comptes Google créés avant user_identities, puis même email vérifié
+    let user = null;
+    if (identity.provider === 'google') {
+      const { data } = await supabase
+        .from('users')
+        .select('*')
+        .eq('google_id', identity.providerUserId)
+        .maybeSingle();
+      user = data;
+    }
+    if (!user && identity.email && identity.emailVerified) {
+      const { data } = await supabase
+        .from('users')
+        .select('*')
+        .eq('email', identity.email.toLowerCase())
+        .maybeSingle();
+      user = data;
+    }
+
+    if (user) {
+      console.log(`🔗 Rattachement de l'identité ${identity.provider} à:`, user.email);
+      await this.insertIdentity(user.id, identity);
+      return { user, created: false };
+    }
+
+    // 3. Utilisateur n'existe pas, le créer
+    console.log('👤 Création nouvel utilisateur:', identity.email);
+    
+    const { data: newUser, error: createError } = await supabase
+      .from('users')
+      .insert([{
+        google_id: identity.provider === 'google' ? identity.providerUserId : null,
+        email: identity.email ? identity.email.toLowerCase() : null,
+        name: identity.name,
+        picture: identity.picture,
+        role: DEFAULT_ROLE,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (createError) {
+      console.error('❌ Erreur création utilisateur:', createError);
+      throw new Error('Impossible de créer l\'utilisateur: ' + createError.message);
+    }
+
+    // Créer abonnement gratuit par défaut
+    const { error: subscriptionError } = await supabase
+      .from('subscriptions')
+      .insert([{
+        user_id: newUser.id,
+        tier: 'free',
+        status: 'active',
+        created_at: new Date().toISOString()
+      }]);
+
+    if (subscriptionError) {
+      console.warn('⚠️ Erreur création abonnement (non critique):', subscriptionError);
+    }
+
+    await this.insertIdentity(newUser.id, identity);
+
+    console.log('✅ Utilisateur créé avec abonnement gratuit');
+    return { user: newUser, created: true };
+  }
+
+  async insertIdentity(userId, identity) {
+    const { error } = await supabase
+      .from('user_identities')
+      .insert([{
+        user_id: userId,
+        provider: identity.provider,
+        provider_user_id: identity.providerUserId,
+        email: identity.email,
+        created_at: new Date().toISOString()
+      }]);
+
+    if (error) {
+      // 23505 : identité déjà liée (contrainte unique provider + provider_user_id)
+      if (error.code === '23505') {
+        throw authError('Cette identité est déjà liée à un autre compte', 'IDENTITY_ALREADY_LINKED', 409);
+      }
+      console.error('❌ Erreur liaison identité:', error);
+      throw new Error('Impossible de lier l\'identité: ' + error.message);
+    }
+  }
+
+  // ===================================================================
+  // LIAISON DE COMPTES
+  // ===================================================================
+
+  // Lister les identités d'un utilisateur
+  async listIdentities(userId) {
+    const { data: identities, error } = await supabase
+      .from('user_identities')
+      .select('provider, email, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Erreur liste identités:', error);
+      throw new Error('Impossible de récupérer les identités: ' + error.message);
+    }
+
+    const result = (identities || []).map(identity => ({
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.created_at
+    }));
+
+    // Compte Google antérieur à user_identities, pas encore migré
+    const user = await this.getUserById(userId);
+    if (user?.google_id && !result.some(identity => identity.provider === 'google')) {
+      result.unshift({ provider: 'google', email: user.email, linkedAt: user.created_at });
+    }
+
+    return result;
+  }
+
+  // Lier une nouvelle identité au compte connecté
+  async linkIdentity(userId, providerName, credential) {
+    const provider = this.getProvider(providerName);
+
+    let identity;
+    try {
+      identity = await provider.verifyCredential(credential);
+    } catch (error) {
+      const description = provider.describeError(error);
+      throw authError(description || error.message, 'INVALID_CREDENTIAL', 401);
+    }
+
+    const { data: link } = await supabase
+      .from('user_identities')
+      .select('user_id')
+      .eq('provider', identity.provider)
+      .eq('provider_user_id', identity.providerUserId)
+      .maybeSingle();
+
+    if (link && link.user_id === userId) {
+      return { provider: identity.provider, email: identity.email, alreadyLinked: true };
+    }
+    if (link) {
+      throw authError('Cette identité est déjà liée à un autre compte', 'IDENTITY_ALREADY_LINKED', 409);
+    }
+
+    if (identity.provider === 'google') {
+      const { data: googleOwner } = await supabase
+        .from('users')
+        .select('id')
+        .eq('google_id', identity.providerUserId)
+        .maybeSingle();
+
+      if (googleOwner && googleOwner.id !== userId) {
+        throw authError('Cette identité est déjà liée à un autre compte', 'IDENTITY_ALREADY_LINKED', 409);
+      }
+    }
+
+    await this.insertIdentity(userId, identity);
+    console.log(`🔗 Identité ${identity.provider} liée au compte ${userId}`);
+
+    return { provider: identity.provider, email: identity.email, alreadyLinked: false };
+  }
+
+  // Retirer une identité (au moins une doit rester)
+  async unlinkIdentity(userId, providerName) {
+    const identities = await this.listIdentities(userId);
+    if (!identities.some(identity => identity.provider === providerName)) {
+      throw authError('Identité non liée à ce compte', 'IDENTITY_NOT_FOUND', 404);
+    }
+    if (identities.length <= 1) {
+      throw authError('Impossible de retirer la dernière méthode de connexion', 'LAST_IDENTITY', 400);
+    }
+
+    const { error } = await supabase
+      .from('user_identities')
+      .delete()
+      .eq('user_id', userId)
+      .eq('provider', providerName);
+
+    if (error) {
+      console.error('❌ Erreur suppression identité:', error);
+      throw new Error('Impossible de retirer l\'identité: ' + error.message);
+    }
+
+    if (providerName === 'google') {
+      await supabase
+        .from('users')
+        .update({ google_id: null, updated_at: new Date().toISOString() })
+        .eq('id', userId);
+    }
+
+    console.log(`🔓 Identité ${providerName} retirée du compte ${userId}`);
+    return true;
+  }
+
   // ===================================================================
   // MIDDLEWARE DE VÉRIFICATION JWT
   // ===================================================================
@@ -216,7 +422,7 @@ class AuthService {
       // 2. Vérifier le JWT
       let decoded;
       try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
+        decoded = await keyService.verifyJwt(token);
       } catch (jwtError) {
         if (jwtError.name === 'TokenExpiredError') {
           return res.status(401).json({ 
@@ -232,11 +438,25 @@ class AuthService {
         }
         throw jwtError;
       }
-      
-      // 3. Vérifier que l'utilisateur existe toujours
+
+      // 3. Vérifier que la session n'a pas été révoquée
+      const session = await this.getActiveSession(decoded.sid);
+      if (!session) {
+        return res.status(401).json({
+          error: 'Session révoquée ou expirée, reconnectez-vous',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      this.touchSession(session, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      }).catch(() => {});
+
+      // 4. Vérifier que l'utilisateur existe toujours
       const { data: user, error } = await supabase
         .from('users')
-        .select('id, email, name, picture, created_at, last_login')
+        .select('id, email, name, picture, role, guardian_id, created_at, last_login')
         .eq('id', decoded.userId)
         .single();
 
@@ -247,7 +467,8 @@ class AuthService {
         });
       }
 
-      // 4. Ajouter les infos utilisateur à la requête
+      // 5. Ajouter les infos utilisateur à la requête
+      user.role = user.role || DEFAULT_ROLE;
       req.user = user;
       req.tokenData = decoded;
       
@@ -261,6 +482,332 @@ class AuthService {
     }
   }
 
+  // Middleware bloquant les profils enfants (paiements, gestion du compte...)
+  denyChildProfile = (req, res, next) => {
+    if (req.user?.guardian_id) {
+      return res.status(403).json({
+        error: 'Accès réservé au compte parent',
+        message: 'Cette action doit être effectuée depuis le compte du parent',
+        code: 'CHILD_PROFILE_FORBIDDEN'
+      });
+    }
+    next();
+  }
+
+  // Middleware de contrôle des rôles (à placer après verifyToken).
+  // Le rôle est relu en base par verifyToken : une rétrogradation s'applique immédiatement.
+  requireRole = (...allowedRoles) => {
+    return (req, res, next) => {
+      const role = req.user?.role || DEFAULT_ROLE;
+
+      if (!allowedRoles.includes(role)) {
+        console.warn(`🚫 Accès refusé (${role}) pour ${req.method} ${req.path}`);
+        return res.status(403).json({
+          error: 'Accès refusé',
+          message: 'Votre rôle ne permet pas d\'accéder à cette ressource',
+          code: 'FORBIDDEN_ROLE',
+          currentRole: role,
+          requiredRoles: allowedRoles
+        });
+      }
+
+      next();
+    };
+  }
+
+  // ===================================================================
+  // SESSIONS ET REFRESH TOKENS
+  // ===================================================================
+  // Une ligne de user_sessions = une famille de refresh tokens.
+  // Le refresh token a la forme "<sessionId>.<génération>.<secret>" ;
+  // seul le hash SHA-256 du token courant est stocké en base.
+
+  // Signer un access token court rattaché à une session (clé active du trousseau)
+  async issueAccessToken(user, sessionId) {
+    const accessToken = await keyService.signJwt(
+      {
+        userId: user.id,
+        email: user.email,
+        googleId: user.google_id,
+        role: user.role || DEFAULT_ROLE,
+        ...(user.guardian_id && { guardianId: user.guardian_id }),
+        sid: sessionId,
+        iat: Math.floor(Date.now() / 1000)
+      },
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+
+    return {
+      accessToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  buildRefreshToken(sessionId, generation) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return `${sessionId}.${generation}.${secret}`;
+  }
+
+  parseRefreshToken(refreshToken) {
+    const parts = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (parts.length !== 3 || !parts[0] || !/^\d+$/.test(parts[1])) {
+      return null;
+    }
+    return { sessionId: parts[0], generation: parseInt(parts[1], 10) };
+  }
+
+  // Créer une nouvelle session (nouvelle famille de tokens) pour un appareil
+  async createSession(user, { userAgent, ipAddress } = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = this.buildRefreshToken(sessionId, 0);
+    const now = new Date();
+
+    const { error } = await supabase
+      .from('user_sessions')
+      .insert([{
+        id: sessionId,
+        user_id: user.id,
+        refresh_token_hash: this.hashToken(refreshToken),
+        refresh_generation: 0,
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        user_agent: userAgent ? userAgent.substring(0, 500) : null,
+        ip_address: ipAddress || null,
+        created_at: now.toISOString(),
+        last_seen_at: now.toISOString()
+      }]);
+
+    if (error) {
+      console.error('❌ Erreur création session:', error);
+      throw new Error('Impossible de créer la session: ' + error.message);
+    }
+
+    const { accessToken, expiresIn } = await this.issueAccessToken(user, sessionId);
+    return { sessionId, accessToken, refreshToken, expiresIn };
+  }
+
+  // Échanger un refresh token contre une nouvelle paire (rotation)
+  async refreshSession(refreshToken, { userAgent, ipAddress } = {}) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw authError('Refresh token invalide', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('id', parsed.sessionId)
+      .single();
+
+    if (error || !session) {
+      throw authError('Refresh token invalide', 'INVALID_REFRESH_TOKEN');
+    }
+    if (session.revoked_at) {
+      throw authError('Session révoquée, reconnectez-vous', 'SESSION_REVOKED');
+    }
+    if (new Date(session.expires_at) <= new Date()) {
+      throw authError('Session expirée, reconnectez-vous', 'SESSION_EXPIRED');
+    }
+
+    // Token d'une génération déjà échangée : vol probable, on révoque toute la famille
+    if (parsed.generation < session.refresh_generation) {
+      console.warn('🚨 Réutilisation de refresh token détectée, session:', session.id);
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      throw authError('Refresh token déjà utilisé, session révoquée', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const expectedHash = Buffer.from(session.refresh_token_hash, 'hex');
+    const receivedHash = Buffer.from(this.hashToken(refreshToken), 'hex');
+    if (parsed.generation !== session.refresh_generation ||
+        expectedHash.length !== receivedHash.length ||
+        !crypto.timingSafeEqual(expectedHash, receivedHash)) {
+      throw authError('Refresh token invalide', 'INVALID_REFRESH_TOKEN');
+    }
+
+    // Rotation conditionnelle : échoue si une autre requête a déjà consommé ce token
+    const nextGeneration = session.refresh_generation + 1;
+    const nextRefreshToken = this.buildRefreshToken(session.id, nextGeneration);
+
+    const { data: rotated, error: rotateError } = await supabase
+      .from('user_sessions')
+      .update({
+        refresh_token_hash: this.hashToken(nextRefreshToken),
+        refresh_generation: nextGeneration,
+        ...(userAgent && { user_agent: userAgent.substring(0, 500) }),
+        ...(ipAddress && { ip_address: ipAddress }),
+        last_seen_at: new Date().toISOString()
+      })
+      .eq('id', session.id)
+      .eq('refresh_generation', session.refresh_generation)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (rotateError) {
+      console.error('❌ Erreur rotation refresh token:', rotateError);
+      throw new Error('Impossible de renouveler la session: ' + rotateError.message);
+    }
+    if (!rotated || rotated.length === 0) {
+      console.warn('🚨 Refresh token consommé en parallèle, session:', session.id);
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      throw authError('Refresh token déjà utilisé, session révoquée', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const user = await this.getUserById(session.user_id);
+    if (!user) {
+      throw authError('Utilisateur non trouvé', 'USER_NOT_FOUND');
+    }
+
+    const { accessToken, expiresIn } = await this.issueAccessToken(user, session.id);
+    console.log('🔄 Session renouvelée pour:', user.email);
+
+    return {
+      jwtToken: accessToken,
+      refreshToken: nextRefreshToken,
+      expiresIn
+    };
+  }
+
+  // Récupérer une session non révoquée et non expirée
+  async getActiveSession(sessionId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    if (error || !session) {
+      return null;
+    }
+    return session;
+  }
+
+  // Révoquer une session (logout, réutilisation de token...)
+  async revokeSession(sessionId, reason = 'logout') {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason
+      })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (error) {
+      console.error('❌ Erreur révocation session:', error);
+      throw new Error('Impossible de révoquer la session: ' + error.message);
+    }
+
+    console.log(`🔒 Session ${sessionId} révoquée (${reason})`);
+    return true;
+  }
+
+  // Mettre à jour la dernière activité d'une session (au plus toutes les 5 minutes)
+  async touchSession(session, { userAgent, ipAddress } = {}) {
+    const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+    if (Date.now() - lastSeen < SESSION_TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({
+        last_seen_at: new Date().toISOString(),
+        ...(userAgent && { user_agent: userAgent.substring(0, 500) }),
+        ...(ipAddress && { ip_address: ipAddress })
+      })
+      .eq('id', session.id);
+
+    if (error) {
+      console.warn('⚠️ Erreur mise à jour activité session (non critique):', error.message);
+    }
+  }
+
+  // ===================================================================
+  // GESTION DES APPAREILS CONNECTÉS
+  // ===================================================================
+
+  // Lister les sessions actives d'un utilisateur
+  async listUserSessions(userId, currentSessionId) {
+    const { data: sessions, error } = await supabase
+      .from('user_sessions')
+      .select('id, user_agent, ip_address, created_at, last_seen_at, expires_at')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_seen_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Erreur liste sessions:', error);
+      throw new Error('Impossible de récupérer les sessions: ' + error.message);
+    }
+
+    return (sessions || []).map(session => ({
+      id: session.id,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastSeenAt: session.last_seen_at,
+      expiresAt: session.expires_at,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  // Révoquer une session précise appartenant à l'utilisateur
+  async revokeUserSession(userId, sessionId) {
+    const { data: revoked, error } = await supabase
+      .from('user_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: 'user_revoked'
+      })
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('❌ Erreur révocation session:', error);
+      throw new Error('Impossible de révoquer la session: ' + error.message);
+    }
+    if (!revoked || revoked.length === 0) {
+      throw authError('Session introuvable', 'SESSION_NOT_FOUND', 404);
+    }
+
+    console.log(`🔒 Session ${sessionId} révoquée par l'utilisateur ${userId}`);
+    return true;
+  }
+
+  // Déconnecter tous les autres appareils
+  async revokeOtherSessions(userId, currentSessionId) {
+    const { data: revoked, error } = await supabase
+      .from('user_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: 'signed_out_elsewhere'
+      })
+      .eq('user_id', userId)
+      .neq('id', currentSessionId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('❌ Erreur révocation des autres sessions:', error);
+      throw new Error('Impossible de révoquer les sessions: ' + error.message);
+    }
+
+    console.log(`🔒 ${revoked.length} autre(s) session(s) révoquée(s) pour ${userId}`);
+    return revoked.length;
+  }
+
   // ===================================================================
   // UTILITAIRES
   // ===================================================================
@@ -286,13 +833,47 @@ class AuthService {
     }
   }
 
-  // Mettre à jour le profil utilisateur
+  // Formater le profil exposé par l'API
+  formatProfile(user) {
+    const profile = {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      picture: user.picture
+    };
+
+    Object.entries(PROFILE_FIELDS).forEach(([key, column]) => {
+      profile[key] = user[column] ?? null;
+    });
+    profile.displayName = user.display_name || user.name;
+
+    return profile;
+  }
+
+  // Obtenir le profil utilisateur
+  async getUserProfile(userId) {
+    const user = await this.getUserById(userId);
+    return user ? this.formatProfile(user) : null;
+  }
+
+  // Mettre à jour le profil utilisateur (seuls les champs de PROFILE_FIELDS sont acceptés)
   async updateUserProfile(userId, profileData) {
     try {
+      const updates = {};
+      Object.entries(PROFILE_FIELDS).forEach(([key, column]) => {
+        if (profileData[key] !== undefined) {
+          updates[column] = profileData[key];
+        }
+      });
+
+      if (Object.keys(updates).length === 0) {
+        throw new Error('Aucun champ de profil à mettre à jour');
+      }
+
       const { data, error } = await supabase
         .from('users')
         .update({
-          ...profileData,
+          ...updates,
           updated_at: new Date().toISOString()
         })
         .eq('id', userId)
@@ -305,33 +886,53 @@ class AuthService {
       }
       
       console.log('✅ Profil mis à jour pour:', data.email);
-      return data;
+      return this.formatProfile(data);
     } catch (error) {
       console.error('❌ Erreur updateUserProfile:', error);
       throw error;
     }
   }
 
-  // Générer un nouveau JWT pour un utilisateur
-  async generateNewToken(userId) {
+  // Changer le rôle d'un utilisateur (réservé aux admins)
+  async setUserRole(userId, role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Rôle inconnu: ${role}`);
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .update({
+        role,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select('id, email, role')
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur changement de rôle:', error);
+      throw error;
+    }
+
+    console.log(`👑 Rôle de ${data.email} changé en ${role}`);
+    return data;
+  }
+
+  // Générer un nouvel access token pour une session existante
+  async generateNewToken(userId, sessionId) {
     try {
       const user = await this.getUserById(userId);
       if (!user) {
         throw new Error('Utilisateur non trouvé');
       }
 
-      const jwtToken = jwt.sign(
-        { 
-          userId: user.id, 
-          email: user.email,
-          googleId: user.google_id,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-
-      return jwtToken;
+      const session = await this.getActiveSession(sessionId);
+      if (!session || session.user_id !== user.id) {
+        throw new Error('Session invalide');
+      }
+
+      const { accessToken } = await this.issueAccessToken(user, session.id);
+      return accessToken;
     } catch (error) {
       console.error('❌ Erreur génération token:', error);
       throw error;
@@ -341,7 +942,11 @@ class AuthService {
   // Vérifier si un token est valide (sans middleware)
   async isTokenValid(token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await keyService.verifyJwt(token);
+      const session = await this.getActiveSession(decoded.sid);
+      if (!session) {
+        return false;
+      }
       const user = await this.getUserById(decoded.userId);
       return !!user;
     } catch (error) {
@@ -349,6 +954,20 @@ class AuthService {
     }
   }
 
+  // Rotation des clés de signature : les autres instances signent encore avec
+  // l'ancienne clé jusqu'à la relecture de leur trousseau, puis ces tokens vivent
+  // ACCESS_TOKEN_TTL_SECONDS ; l'ancienne clé les vérifie jusque-là (+ tolérance d'horloge)
+  async rotateSigningKeys() {
+    return keyService.rotateKeys({
+      retireAfterSeconds: ACCESS_TOKEN_TTL_SECONDS + Math.ceil(keyService.cacheTtlMs / 1000) + 60
+    });
+  }
+
+  // Clés publiques pour les services qui vérifient nos tokens
+  async getJwks() {
+    return keyService.getJwks();
+  }
+
   // Test de connexion Supabase
   async testSupabaseConnection() {
     try {
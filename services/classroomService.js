@@ -0,0 +1,503 @@
+// ===================================================================
+// services/classroomService.js - CLASSES, ÉLÈVES ET DEVOIRS
+// ===================================================================
+// Tables :
+// - classrooms         : une classe appartient à un enseignant (teacher_id)
+// - classroom_members  : élèves inscrits via le code d'accès de la classe
+// - assignments        : catégories (et éventuellement mots) à terminer avant due_date
+// Un enseignant ne voit que ses propres classes ; un admin les voit toutes.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const audioService = require('./audioService');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Alphabet sans caractères ambigus (0/O, 1/I/L) pour les codes dictés en classe
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const MAX_STUDENTS_PER_CLASSROOM = parseInt(process.env.MAX_STUDENTS_PER_CLASSROOM, 10) || 60;
+
+const classroomError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class ClassroomService {
+  constructor() {
+    console.log('🏫 ClassroomService initialisé');
+
+    if (!process.env.SUPABASE_URL) {
+      throw new Error('SUPABASE_URL non configuré');
+    }
+  }
+
+  generateJoinCode() {
+    const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+    return [...bytes].map(byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+  }
+
+  formatClassroom(classroom, studentCount) {
+    return {
+      id: classroom.id,
+      name: classroom.name,
+      languageCode: classroom.language_code,
+      joinCode: classroom.join_code,
+      teacherId: classroom.teacher_id,
+      studentCount: studentCount ?? undefined,
+      createdAt: classroom.created_at
+    };
+  }
+
+  formatAssignment(assignment) {
+    return {
+      id: assignment.id,
+      classroomId: assignment.classroom_id,
+      title: assignment.title,
+      languageCode: assignment.language_code,
+      categories: assignment.categories || [],
+      words: assignment.words || [],
+      dueDate: assignment.due_date,
+      createdAt: assignment.created_at
+    };
+  }
+
+  // ===================================================================
+  // CLASSES (CÔTÉ ENSEIGNANT)
+  // ===================================================================
+
+  // Récupérer une classe en vérifiant qu'elle appartient à l'enseignant
+  async getClassroomForTeacher(teacher, classroomId) {
+    let query = supabase
+      .from('classrooms')
+      .select('*')
+      .eq('id', classroomId);
+
+    if (teacher.role !== 'admin') {
+      query = query.eq('teacher_id', teacher.id);
+    }
+
+    const { data: classroom, error } = await query.maybeSingle();
+    if (error) throw error;
+    if (!classroom) {
+      throw classroomError('Classe non trouvée', 404);
+    }
+    return classroom;
+  }
+
+  async listTeacherClassrooms(teacher) {
+    try {
+      let query = supabase
+        .from('classrooms')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (teacher.role !== 'admin') {
+        query = query.eq('teacher_id', teacher.id);
+      }
+
+      const { data: classrooms, error } = await query;
+      if (error) throw error;
+
+      if (!classrooms || classrooms.length === 0) {
+        return [];
+      }
+
+      const { data: members, error: membersError } = await supabase
+        .from('classroom_members')
+        .select('classroom_id')
+        .in('classroom_id', classrooms.map(classroom => classroom.id));
+
+      if (membersError) throw membersError;
+
+      return classrooms.map(classroom => this.formatClassroom(
+        classroom,
+        (members || []).filter(member => member.classroom_id === classroom.id).length
+      ));
+    } catch (error) {
+      console.error('❌ Erreur liste des classes:', error);
+      throw error;
+    }
+  }
+
+  async createClassroom(teacher, { name, languageCode }) {
+    try {
+      console.log(`🏫 Création classe "${name}" par:`, teacher.email);
+
+      // Nouvelle tentative si le code tiré existe déjà (contrainte unique)
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const { data: classroom, error } = await supabase
+          .from('classrooms')
+          .insert([{
+            teacher_id: teacher.id,
+            name,
+            language_code: languageCode,
+            join_code: this.generateJoinCode(),
+            created_at: new Date().toISOString()
+          }])
+          .select()
+          .single();
+
+        if (error?.code === '23505') continue;
+        if (error) throw error;
+
+        console.log('✅ Classe créée:', classroom.id);
+        return this.formatClassroom(classroom, 0);
+      }
+
+      throw new Error('Impossible de générer un code de classe unique');
+    } catch (error) {
+      console.error('❌ Erreur création classe:', error);
+      throw error;
+    }
+  }
+
+  // Nouveau code d'accès (l'ancien cesse de fonctionner, les élèves inscrits restent)
+  async regenerateJoinCode(teacher, classroomId) {
+    const classroom = await this.getClassroomForTeacher(teacher, classroomId);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { data: updated, error } = await supabase
+        .from('classrooms')
+        .update({ join_code: this.generateJoinCode() })
+        .eq('id', classroom.id)
+        .select()
+        .single();
+
+      if (error?.code === '23505') continue;
+      if (error) throw error;
+
+      console.log('🔄 Nouveau code pour la classe:', classroom.id);
+      return this.formatClassroom(updated);
+    }
+
+    throw new Error('Impossible de générer un code de classe unique');
+  }
+
+  async deleteClassroom(teacher, classroomId) {
+    const classroom = await this.getClassroomForTeacher(teacher, classroomId);
+
+    for (const table of ['assignments', 'classroom_members']) {
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq('classroom_id', classroom.id);
+
+      if (error) throw error;
+    }
+
+    const { error } = await supabase
+      .from('classrooms')
+      .delete()
+      .eq('id', classroom.id);
+
+    if (error) throw error;
+
+    console.log('🗑️ Classe supprimée:', classroom.id);
+    return true;
+  }
+
+  async removeStudent(teacher, classroomId, studentId) {
+    const classroom = await this.getClassroomForTeacher(teacher, classroomId);
+
+    const { data: removed, error } = await supabase
+      .from('classroom_members')
+      .delete()
+      .eq('classroom_id', classroom.id)
+      .eq('student_id', studentId)
+      .select('student_id');
+
+    if (error) throw error;
+    if (!removed || removed.length === 0) {
+      throw classroomError('Élève non inscrit dans cette classe', 404);
+    }
+
+    console.log(`👋 Élève ${studentId} retiré de la classe ${classroom.id}`);
+    return true;
+  }
+
+  // ===================================================================
+  // DEVOIRS
+  // ===================================================================
+
+  // Vérifier que les catégories et mots existent dans le catalogue audio
+  async validateAssignmentContent(languageCode, categories, words) {
+    const knownWords = new Set();
+
+    for (const category of categories) {
+      const audios = await audioService.getCategoryAudios(languageCode, category);
+      if (audios.length === 0) {
+        throw classroomError(`Catégorie inconnue pour ${languageCode}: ${category}`, 400);
+      }
+      audios.forEach(audio => audio.word && knownWords.add(audio.word));
+    }
+
+    const unknownWords = words.filter(word => !knownWords.has(word.toLowerCase()));
+    if (unknownWords.length > 0) {
+      throw classroomError(`Mots absents des catégories choisies: ${unknownWords.join(', ')}`, 400);
+    }
+  }
+
+  async createAssignment(teacher, classroomId, { title, categories, words = [], dueDate }) {
+    try {
+      const classroom = await this.getClassroomForTeacher(teacher, classroomId);
+      await this.validateAssignmentContent(classroom.language_code, categories, words);
+
+      const { data: assignment, error } = await supabase
+        .from('assignments')
+        .insert([{
+          classroom_id: classroom.id,
+          created_by: teacher.id,
+          title,
+          language_code: classroom.language_code,
+          categories,
+          words: words.map(word => word.toLowerCase()),
+          due_date: new Date(dueDate).toISOString(),
+          created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      console.log(`📝 Devoir "${title}" créé pour la classe ${classroom.id}`);
+      return this.formatAssignment(assignment);
+    } catch (error) {
+      console.error('❌ Erreur création devoir:', error.message);
+      throw error;
+    }
+  }
+
+  async listAssignments(classroomId) {
+    const { data: assignments, error } = await supabase
+      .from('assignments')
+      .select('*')
+      .eq('classroom_id', classroomId)
+      .order('due_date', { ascending: true });
+
+    if (error) throw error;
+    return (assignments || []).map(assignment => this.formatAssignment(assignment));
+  }
+
+  async deleteAssignment(teacher, classroomId, assignmentId) {
+    const classroom = await this.getClassroomForTeacher(teacher, classroomId);
+
+    const { data: deleted, error } = await supabase
+      .from('assignments')
+      .delete()
+      .eq('id', assignmentId)
+      .eq('classroom_id', classroom.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!deleted || deleted.length === 0) {
+      throw classroomError('Devoir non trouvé', 404);
+    }
+    return true;
+  }
+
+  // Avancement d'un devoir d'après user_progress.completed_categories
+  getAssignmentCompletion(assignment, progressRow, now = new Date()) {
+    const completed = new Set(progressRow?.completed_categories || []);
+    const completedCategories = assignment.categories.filter(category => completed.has(category));
+    const total = assignment.categories.length;
+
+    let status = 'not_started';
+    if (total > 0 && completedCategories.length === total) {
+      status = 'completed';
+    } else if (new Date(assignment.dueDate) < now) {
+      status = 'overdue';
+    } else if (completedCategories.length > 0) {
+      status = 'in_progress';
+    }
+
+    return {
+      assignmentId: assignment.id,
+      completedCategories,
+      completionRate: total > 0 ? Math.round((completedCategories.length / total) * 100) : 0,
+      status
+    };
+  }
+
+  // ===================================================================
+  // VUE ENSEIGNANT
+  // ===================================================================
+
+  async getClassroomReport(teacher, classroomId) {
+    try {
+      const classroom = await this.getClassroomForTeacher(teacher, classroomId);
+      const assignments = await this.listAssignments(classroom.id);
+
+      const { data: members, error: membersError } = await supabase
+        .from('classroom_members')
+        .select('student_id, joined_at')
+        .eq('classroom_id', classroom.id);
+
+      if (membersError) throw membersError;
+
+      const studentIds = (members || []).map(member => member.student_id);
+      let students = [];
+      let progressRows = [];
+
+      if (studentIds.length > 0) {
+        const [usersResult, progressResult] = await Promise.all([
+          supabase.from('users').select('id, name, display_name, picture').in('id', studentIds),
+          supabase
+            .from('user_progress')
+            .select('user_id, total_xp, completed_categories, last_synced')
+            .eq('language_code', classroom.language_code)
+            .in('user_id', studentIds)
+        ]);
+
+        if (usersResult.error) throw usersResult.error;
+        if (progressResult.error) throw progressResult.error;
+
+        students = usersResult.data || [];
+        progressRows = progressResult.data || [];
+      }
+
+      const now = new Date();
+      const report = (members || []).map(member => {
+        const student = students.find(user => user.id === member.student_id) || {};
+        const progress = progressRows.find(row => row.user_id === member.student_id);
+
+        return {
+          student: {
+            id: member.student_id,
+            displayName: student.display_name || student.name || null,
+            picture: student.picture || null,
+            joinedAt: member.joined_at
+          },
+          totalXP: progress?.total_xp || 0,
+          lastActivity: progress?.last_synced || null,
+          assignments: assignments.map(assignment => this.getAssignmentCompletion(assignment, progress, now))
+        };
+      });
+
+      return {
+        classroom: this.formatClassroom(classroom, report.length),
+        assignments: assignments.map(assignment => ({
+          ...assignment,
+          completedBy: report.filter(row =>
+            row.assignments.find(item => item.assignmentId === assignment.id).status === 'completed'
+          ).length
+        })),
+        students: report
+      };
+    } catch (error) {
+      console.error('❌ Erreur rapport de classe:', error.message);
+      throw error;
+    }
+  }
+
+  // ===================================================================
+  // CÔTÉ ÉLÈVE
+  // ===================================================================
+
+  async joinClassroom(studentId, joinCode) {
+    try {
+      const { data: classroom, error } = await supabase
+        .from('classrooms')
+        .select('*')
+        .eq('join_code', joinCode.trim().toUpperCase())
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!classroom) {
+        throw classroomError('Code de classe invalide', 404);
+      }
+      if (classroom.teacher_id === studentId) {
+        throw classroomError('Vous êtes l\'enseignant de cette classe', 400);
+      }
+
+      const { count, error: countError } = await supabase
+        .from('classroom_members')
+        .select('student_id', { count: 'exact', head: true })
+        .eq('classroom_id', classroom.id);
+
+      if (countError) throw countError;
+      if (count >= MAX_STUDENTS_PER_CLASSROOM) {
+        throw classroomError('Cette classe est complète', 400);
+      }
+
+      // Rejoindre deux fois la même classe ne crée pas de doublon
+      const { error: joinError } = await supabase
+        .from('classroom_members')
+        .upsert([{
+          classroom_id: classroom.id,
+          student_id: studentId,
+          joined_at: new Date().toISOString()
+        }], {
+          onConflict: 'classroom_id,student_id',
+          ignoreDuplicates: true
+        });
+
+      if (joinError) throw joinError;
+
+      console.log(`🎒 Élève ${studentId} inscrit dans la classe ${classroom.id}`);
+      const { join_code: _joinCode, ...publicClassroom } = classroom;
+      return this.formatClassroom(publicClassroom);
+    } catch (error) {
+      console.error('❌ Erreur inscription classe:', error.message);
+      throw error;
+    }
+  }
+
+  async leaveClassroom(studentId, classroomId) {
+    const { data: removed, error } = await supabase
+      .from('classroom_members')
+      .delete()
+      .eq('classroom_id', classroomId)
+      .eq('student_id', studentId)
+      .select('classroom_id');
+
+    if (error) throw error;
+    return Boolean(removed && removed.length > 0);
+  }
+
+  // Classes de l'élève avec ses devoirs et son avancement
+  async listStudentClassrooms(studentId) {
+    try {
+      const { data: memberships, error } = await supabase
+        .from('classroom_members')
+        .select('classroom_id, joined_at, classrooms(id, name, language_code, teacher_id, created_at)')
+        .eq('student_id', studentId);
+
+      if (error) throw error;
+
+      const { data: progressRows, error: progressError } = await supabase
+        .from('user_progress')
+        .select('language_code, completed_categories')
+        .eq('user_id', studentId);
+
+      if (progressError) throw progressError;
+
+      const now = new Date();
+      return Promise.all((memberships || []).filter(membership => membership.classrooms).map(async membership => {
+        const classroom = membership.classrooms;
+        const assignments = await this.listAssignments(classroom.id);
+        const progress = (progressRows || []).find(row => row.language_code === classroom.language_code);
+
+        return {
+          ...this.formatClassroom(classroom),
+          joinedAt: membership.joined_at,
+          assignments: assignments.map(assignment => ({
+            ...assignment,
+            ...this.getAssignmentCompletion(assignment, progress, now)
+          }))
+        };
+      }));
+    } catch (error) {
+      console.error('❌ Erreur classes de l\'élève:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton
+const classroomService = new ClassroomService();
+module.exports = classroomService;
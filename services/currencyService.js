@@ -0,0 +1,134 @@
+// ===================================================================
+// services/currencyService.js - DEVISES ET TARIFICATION RÉGIONALE
+// ===================================================================
+// La devise proposée dépend de la région du pays du profil (users.country,
+// ISO 3166-1 alpha-2) ; sans pays connu, la région internationale s'applique.
+// Un choix explicite de devise n'est accepté que parmi celles de la région :
+// le tarif XOF reste réservé à la zone CFA.
+// Conventions :
+// - montants en unité mineure Stripe (centimes pour EUR/USD, francs pour XOF qui n'a pas de décimale)
+// - codes en minuscules en interne et côté Stripe, en majuscules (ISO 4217) en base
+//   (subscriptions.currency, payment_history.currency) et dans les réponses de l'API
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Régions tarifaires : la première devise est celle proposée par défaut
+const REGIONS = {
+  uemoa: {
+    countries: ['BJ', 'BF', 'CI', 'GW', 'ML', 'NE', 'SN', 'TG'],
+    currencies: ['xof', 'eur']
+  },
+  eurozone: {
+    countries: ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'],
+    currencies: ['eur']
+  },
+  international: {
+    countries: [],
+    currencies: ['usd', 'eur']
+  }
+};
+
+const DEFAULT_REGION = 'international';
+
+// Devises sans unité mineure (le montant Stripe est déjà l'unité principale)
+const ZERO_DECIMAL_CURRENCIES = ['xof', 'xaf', 'gnf', 'jpy', 'krw'];
+
+const currencyError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+class CurrencyService {
+  constructor() {
+    this.currencies = [...new Set(Object.values(REGIONS).flatMap(region => region.currencies))];
+
+    console.log(`💱 CurrencyService initialisé (devises: ${this.currencies.map(c => c.toUpperCase()).join(', ')})`);
+  }
+
+  // Code ISO en majuscules pour la base et l'API
+  normalizeCurrency(currency) {
+    return currency ? String(currency).trim().toUpperCase() : null;
+  }
+
+  isSupported(currency) {
+    return Boolean(currency) && this.currencies.includes(String(currency).toLowerCase());
+  }
+
+  getRegion(country) {
+    const code = country ? String(country).toUpperCase() : null;
+    const id = Object.keys(REGIONS).find(key => REGIONS[key].countries.includes(code)) || DEFAULT_REGION;
+    return { id, currencies: REGIONS[id].currencies };
+  }
+
+  // Devise retenue : choix explicite s'il est autorisé dans la région, sinon la première
+  // devise de la région parmi celles où l'offre existe (available)
+  resolveCurrency({ country = null, currency = null, available = null } = {}) {
+    const region = this.getRegion(country);
+    if (!currency) {
+      return (available && region.currencies.find(code => available.includes(code))) || region.currencies[0];
+    }
+
+    const requested = String(currency).toLowerCase();
+    if (!region.currencies.includes(requested)) {
+      throw currencyError(
+        `Devise non proposée dans votre région: ${requested.toUpperCase()} (disponibles: ${region.currencies.map(c => c.toUpperCase()).join(', ')})`,
+        'CURRENCY_NOT_ALLOWED'
+      );
+    }
+    return requested;
+  }
+
+  async getUserCountry(userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('country')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return user?.country || null;
+  }
+
+  // Région et devises proposées à un utilisateur
+  async getUserCurrencyOptions(userId) {
+    const country = await this.getUserCountry(userId);
+    const region = this.getRegion(country);
+    return {
+      country,
+      region: region.id,
+      currencies: region.currencies.map(currency => this.normalizeCurrency(currency)),
+      defaultCurrency: this.normalizeCurrency(region.currencies[0])
+    };
+  }
+
+  async resolveUserCurrency(userId, currency = null, available = null) {
+    return this.resolveCurrency({ country: await this.getUserCountry(userId), currency, available });
+  }
+
+  // Montant en unité principale (affichage, statistiques)
+  toMajorUnits(amount, currency) {
+    if (amount === null || amount === undefined) {
+      return null;
+    }
+    return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? amount : amount / 100;
+  }
+
+  // Montant en unité mineure (prix exprimés en unité principale par les boutiques mobiles)
+  toMinorUnits(amount, currency) {
+    if (amount === null || amount === undefined) {
+      return null;
+    }
+    return Math.round(ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? amount : amount * 100);
+  }
+}
+
+// Export singleton
+const currencyService = new CurrencyService();
+module.exports = currencyService;
@@ -0,0 +1,246 @@
+// ===================================================================
+// services/dunningService.js - RELANCES ET DÉLAI DE GRÂCE (PAIEMENTS ÉCHOUÉS)
+// ===================================================================
+// Quand un renouvellement échoue, l'abonnement passe en past_due : les fonctionnalités
+// premium restent actives jusqu'à grace_period_ends_at. Pendant ce délai, l'utilisateur
+// reçoit les relances de DUNNING_SCHEDULE_DAYS (jours après l'échec), par email et
+// message in-app, puis un dernier message quand l'accès est suspendu.
+// dunning_stage compte les messages déjà envoyés : chaque relance part une seule fois.
+// Un invoice.paid (ou Stripe redevenu active) referme le délai et rétablit l'accès.
+const { createClient } = require('@supabase/supabase-js');
+const noticeService = require('./noticeService');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.PAST_DUE_GRACE_DAYS, 10) || 7;
+const DUNNING_SCHEDULE_DAYS = (process.env.DUNNING_SCHEDULE_DAYS || '0,3,6')
+  .split(',')
+  .map(day => parseInt(day, 10))
+  .filter(day => Number.isInteger(day) && day >= 0 && day < GRACE_PERIOD_DAYS)
+  .sort((a, b) => a - b);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DunningService {
+  constructor() {
+    this.gracePeriodDays = GRACE_PERIOD_DAYS;
+    this.schedule = DUNNING_SCHEDULE_DAYS;
+    console.log(`⏳ DunningService initialisé (grâce: ${GRACE_PERIOD_DAYS} j, relances: J+${DUNNING_SCHEDULE_DAYS.join(', J+')})`);
+  }
+
+  getBillingUrl() {
+    const baseUrl = (process.env.FRONTEND_URL || 'https://jogolinga.app').replace(/\/$/, '');
+    return `${baseUrl}/subscription`;
+  }
+
+  isInGracePeriod(subscription, now = new Date()) {
+    return subscription.status === 'past_due' &&
+      Boolean(subscription.grace_period_ends_at) &&
+      now < new Date(subscription.grace_period_ends_at);
+  }
+
+  async getSubscription(userId) {
+    const { data: subscription, error } = await supabase
+      .from('subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return subscription;
+  }
+
+  // ===================================================================
+  // OUVERTURE ET FERMETURE DU DÉLAI DE GRÂCE
+  // ===================================================================
+
+  // Passer l'abonnement en past_due (sans effet si le délai est déjà ouvert).
+  // Seuls les abonnements Stripe ont des relances : un pass ou un achat en boutique n'est
+  // jamais suspendu ici (provider vide : ligne antérieure à la colonne, donc Stripe)
+  async startGracePeriod(userId) {
+    const subscription = await this.getSubscription(userId);
+    if (!subscription) {
+      return null;
+    }
+    if (subscription.past_due_since || (subscription.provider && subscription.provider !== 'stripe')) {
+      return subscription;
+    }
+
+    const now = new Date();
+    const graceEndsAt = new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+
+    const { data: updated, error } = await supabase
+      .from('subscriptions')
+      .update({
+        status: 'past_due',
+        past_due_since: now.toISOString(),
+        grace_period_ends_at: graceEndsAt.toISOString(),
+        dunning_stage: 0,
+        updated_at: now.toISOString()
+      })
+      .eq('user_id', userId)
+      .is('past_due_since', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Ouvert entre-temps par un autre traitement (webhook et vérification simultanés)
+    if (!updated) {
+      return this.getSubscription(userId);
+    }
+
+    console.log(`⏳ Délai de grâce ouvert pour userId ${userId} jusqu'au ${graceEndsAt.toISOString()}`);
+
+    // Première relance immédiate
+    await this.sendDueNotices(updated, now);
+    return this.getSubscription(userId);
+  }
+
+  // Paiement régularisé : refermer le délai et prévenir l'utilisateur
+  async clearGracePeriod(userId) {
+    const { data: cleared, error } = await supabase
+      .from('subscriptions')
+      .update({
+        past_due_since: null,
+        grace_period_ends_at: null,
+        dunning_stage: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId)
+      .not('past_due_since', 'is', null)
+      .select('user_id');
+
+    if (error) throw error;
+    if (!cleared || cleared.length === 0) {
+      return false;
+    }
+
+    console.log('✅ Paiement régularisé, accès premium rétabli pour userId:', userId);
+    await this.notify(userId, {
+      type: 'payment_recovered',
+      severity: 'success',
+      title: 'Paiement reçu',
+      message: 'Merci ! Votre paiement a bien été reçu et votre accès Premium est rétabli.'
+    });
+    return true;
+  }
+
+  // ===================================================================
+  // RELANCES
+  // ===================================================================
+
+  // Email + message in-app avec lien vers la gestion de l'abonnement
+  async notify(userId, notice) {
+    return noticeService.notify(userId, {
+      ...notice,
+      actionUrl: this.getBillingUrl(),
+      actionLabel: 'Gérer mon abonnement'
+    });
+  }
+
+  buildReminder(subscription, now) {
+    const graceEndsAt = new Date(subscription.grace_period_ends_at);
+    const daysLeft = Math.max(1, Math.ceil((graceEndsAt - now) / DAY_MS));
+    const endDate = graceEndsAt.toLocaleDateString('fr-FR');
+    const isFirst = subscription.dunning_stage === 0;
+    const isLast = subscription.dunning_stage === DUNNING_SCHEDULE_DAYS.length - 1;
+
+    return {
+      type: 'payment_failed',
+      severity: isLast ? 'error' : 'warning',
+      title: isFirst ? 'Échec du paiement de votre abonnement' : 'Rappel : paiement en attente',
+      message: `Nous n'avons pas pu renouveler votre abonnement Premium. ` +
+        `Votre accès reste actif encore ${daysLeft} jour${daysLeft > 1 ? 's' : ''} (jusqu'au ${endDate}). ` +
+        'Mettez à jour votre moyen de paiement pour ne pas perdre vos avantages.'
+    };
+  }
+
+  // Envoyer les messages échus pour un abonnement past_due
+  async sendDueNotices(subscription, now = new Date()) {
+    const stage = subscription.dunning_stage || 0;
+    const elapsedDays = (now - new Date(subscription.past_due_since)) / DAY_MS;
+    const graceEnded = !this.isInGracePeriod(subscription, now);
+
+    let notice = null;
+    if (graceEnded && stage <= DUNNING_SCHEDULE_DAYS.length) {
+      notice = {
+        type: 'premium_suspended',
+        severity: 'error',
+        title: 'Accès Premium suspendu',
+        message: 'Le délai de régularisation de votre paiement est écoulé : votre accès Premium est suspendu. ' +
+          'Il sera rétabli automatiquement dès que le paiement aura abouti.'
+      };
+    } else if (!graceEnded && stage < DUNNING_SCHEDULE_DAYS.length && elapsedDays >= DUNNING_SCHEDULE_DAYS[stage]) {
+      notice = this.buildReminder({ ...subscription, dunning_stage: stage }, now);
+    }
+
+    if (!notice) {
+      return false;
+    }
+
+    // Réserver l'étape avant l'envoi : deux passages simultanés n'envoient qu'une relance
+    const nextStage = notice.type === 'premium_suspended' ? DUNNING_SCHEDULE_DAYS.length + 1 : stage + 1;
+    const { data: reserved, error } = await supabase
+      .from('subscriptions')
+      .update({ dunning_stage: nextStage, last_dunning_at: now.toISOString() })
+      .eq('user_id', subscription.user_id)
+      .eq('dunning_stage', stage)
+      .select('user_id');
+
+    if (error) throw error;
+    if (!reserved || reserved.length === 0) {
+      return false;
+    }
+
+    await this.notify(subscription.user_id, {
+      ...notice,
+      dedupeKey: `${notice.type}:${subscription.past_due_since}:${stage}`
+    });
+    return true;
+  }
+
+  // Tâche planifiée : relances et suspensions échues
+  async processDunning() {
+    try {
+      const { data: subscriptions, error } = await supabase
+        .from('subscriptions')
+        .select('*')
+        .eq('status', 'past_due')
+        .not('past_due_since', 'is', null);
+
+      if (error) throw error;
+
+      const now = new Date();
+      const results = { checked: 0, noticesSent: 0, failed: 0 };
+
+      for (const subscription of subscriptions || []) {
+        results.checked++;
+        try {
+          if (await this.sendDueNotices(subscription, now)) {
+            results.noticesSent++;
+          }
+        } catch (noticeError) {
+          results.failed++;
+          console.error(`❌ Erreur relance userId ${subscription.user_id}:`, noticeError.message);
+        }
+      }
+
+      if (results.noticesSent || results.failed) {
+        console.log(`📨 Relances de paiement: ${results.noticesSent} envoyées, ${results.failed} échecs`);
+      }
+      return results;
+    } catch (error) {
+      console.error('❌ Erreur traitement des relances:', error);
+      return { checked: 0, noticesSent: 0, failed: 0, error: error.message };
+    }
+  }
+}
+
+// Export singleton
+const dunningService = new DunningService();
+module.exports = dunningService;
@@ -0,0 +1,164 @@
+// ===================================================================
+// services/entitlementService.js - DROITS PAR PALIER ET PAR PLAN
+// ===================================================================
+// Table tier_entitlements : une ligne par palier (free, premium...) avec
+// - features : liste des fonctionnalités accordées
+// - limits   : limites numériques { "exercises": 20, ... } (null = illimité),
+//              quotas par période pour les fonctionnalités comptées (voir usageService)
+// Un plan du catalogue peut ajouter des fonctionnalités et surcharger des limites
+// (colonnes features/limits de subscription_plans).
+// Toute fonctionnalité absente de ces listes est refusée.
+// Table vide (base pas encore initialisée) : DEFAULT_TIER_ENTITLEMENTS s'applique, soit
+// les anciennes fonctionnalités premium codées en dur et aucun quota.
+// Les données sont relues toutes les 5 minutes ou sur demande (reload) : un
+// changement en base ne demande pas de redéploiement.
+const { createClient } = require('@supabase/supabase-js');
+const planService = require('./planService');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ENTITLEMENT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Droits par défaut, tant que tier_entitlements n'a aucune ligne
+const DEFAULT_TIER_ENTITLEMENTS = {
+  free: { features: [], limits: {} },
+  premium: {
+    features: [
+      'grammar_full',
+      'sentence_construction',
+      'sentence_gap',
+      'exercise_unlimited',
+      'offline_mode',
+      'google_drive_sync',
+      'advanced_stats',
+      'custom_audio_upload',
+      'priority_support'
+    ],
+    limits: {}
+  }
+};
+
+class EntitlementService {
+  constructor() {
+    this.tiers = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+
+    console.log('🎟️ EntitlementService initialisé');
+  }
+
+  async loadTiers() {
+    const { data: rows, error } = await supabase
+      .from('tier_entitlements')
+      .select('tier, features, limits');
+
+    if (error) {
+      console.error('❌ Erreur chargement des droits:', error);
+      throw new Error('Impossible de charger les droits par palier: ' + error.message);
+    }
+
+    if (!rows || rows.length === 0) {
+      console.warn('⚠️ Table tier_entitlements vide : droits par défaut appliqués');
+      this.tiers = new Map(Object.entries(DEFAULT_TIER_ENTITLEMENTS).map(([tier, entitlements]) => [tier, {
+        features: [...entitlements.features],
+        limits: { ...entitlements.limits }
+      }]));
+    } else {
+      this.tiers = new Map(rows.map(row => [row.tier, {
+        features: row.features || [],
+        limits: row.limits || {}
+      }]));
+    }
+    this.loadedAt = Date.now();
+  }
+
+  async ensureLoaded({ force = false } = {}) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < ENTITLEMENT_CACHE_TTL_MS) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = this.loadTiers().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async reload() {
+    await this.ensureLoaded({ force: true });
+    console.log(`🎟️ Droits rechargés: ${this.tiers.size} paliers`);
+    return this.tiers.size;
+  }
+
+  // Droits effectifs : palier de l'abonnement vérifié + ajouts du plan
+  async resolveEntitlements(subscription, plan = null) {
+    await this.ensureLoaded();
+
+    const tier = this.tiers.get(subscription.tier) || { features: [], limits: {} };
+    const planFeatures = subscription.tier !== 'free' && plan ? plan.features : [];
+    const planLimits = subscription.tier !== 'free' && plan ? plan.limits : {};
+
+    return {
+      tier: subscription.tier,
+      planId: subscription.planId,
+      isPremium: subscription.isPremium,
+      isTrial: Boolean(subscription.isTrial),
+      status: subscription.status,
+      expiresAt: subscription.expiresAt,
+      features: [...new Set([...tier.features, ...planFeatures])].sort(),
+      limits: { ...tier.limits, ...planLimits }
+    };
+  }
+
+  // Droits complets d'un plan du catalogue (palier + ajouts), pour l'affichage des offres
+  async getPlanEntitlements(plan) {
+    await this.ensureLoaded();
+
+    const tier = this.tiers.get(plan.tier) || { features: [], limits: {} };
+    return {
+      features: [...new Set([...tier.features, ...plan.features])].sort(),
+      limits: { ...tier.limits, ...plan.limits }
+    };
+  }
+
+  // Fonctionnalité accordée par ces droits (dans la liste, ou quota non nul)
+  grants(entitlements, feature) {
+    return entitlements.features.includes(feature) ||
+      (feature in entitlements.limits && entitlements.limits[feature] !== 0);
+  }
+
+  // Palier minimal donnant accès à une fonctionnalité : celui du premier plan du catalogue
+  // (ordre d'affichage) qui l'inclut, à défaut le premier palier qui l'accorde
+  async getRequiredTier(feature) {
+    await this.ensureLoaded();
+
+    for (const plan of await planService.listPlans()) {
+      if (this.grants(await this.getPlanEntitlements(plan), feature)) {
+        return plan.tier;
+      }
+    }
+    for (const [tier, entitlements] of this.tiers) {
+      if (this.grants(entitlements, feature)) {
+        return tier;
+      }
+    }
+    return null;
+  }
+
+  hasFeature(entitlements, feature) {
+    return entitlements.features.includes(feature);
+  }
+
+  // Limite numérique d'une fonctionnalité : undefined si non définie, null si illimitée
+  getLimit(entitlements, key) {
+    return entitlements.limits[key];
+  }
+}
+
+// Export singleton
+const entitlementService = new EntitlementService();
+module.exports = entitlementService;
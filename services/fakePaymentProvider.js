@@ -0,0 +1,81 @@
+// ===================================================================
+// services/fakePaymentProvider.js - FOURNISSEUR DE PAIEMENT FACTICE (DÉVELOPPEMENT)
+// ===================================================================
+// Rejoue localement le parcours d'un paiement unique, sans réseau :
+// - createCheckout renvoie directement l'URL de retour de l'application
+// - la route de développement /api/payments/fake/:reference/complete construit
+//   une notification signée (simulate) qui suit le même chemin qu'un vrai callback
+// Activé uniquement si PAYMENT_FAKE_PROVIDER=true et hors production.
+// Interface commune des fournisseurs : voir paymentService.
+const crypto = require('crypto');
+
+const FAKE_SECRET = process.env.PAYMENT_FAKE_SECRET || 'fake-payment-secret';
+
+const providerError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', FAKE_SECRET).update(payload).digest('hex');
+
+const fakePaymentProvider = {
+  name: 'fake',
+  recurring: false,
+
+  isAvailable() {
+    return process.env.PAYMENT_FAKE_PROVIDER === 'true' && process.env.NODE_ENV !== 'production';
+  },
+
+  // Paiements connus du fournisseur : reference → { status, amount, currency }
+  payments: new Map(),
+
+  async createCheckout({ reference, amount, currency, successUrl }) {
+    this.payments.set(reference, { status: 'pending', amount, currency });
+    return {
+      checkoutUrl: `${successUrl}?reference=${reference}`,
+      providerReference: `fake_${reference}`
+    };
+  },
+
+  // Notification telle que l'enverrait le fournisseur, signée avec le secret local
+  simulate(reference, outcome) {
+    const payment = this.payments.get(reference);
+    if (!payment) {
+      throw providerError('Paiement factice inconnu', 404);
+    }
+
+    payment.status = outcome;
+    const rawBody = Buffer.from(JSON.stringify({ reference, ...payment }));
+    return {
+      headers: { 'x-fake-signature': sign(rawBody) },
+      rawBody,
+      query: {}
+    };
+  },
+
+  parseCallback({ headers, rawBody }) {
+    const signature = headers['x-fake-signature'] || '';
+    const expected = sign(rawBody);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw providerError('Signature invalide', 400);
+    }
+
+    const { reference, status, amount, currency } = JSON.parse(rawBody.toString('utf8'));
+    return { reference, providerReference: `fake_${reference}`, status, amount, currency };
+  },
+
+  async getPaymentStatus(transaction) {
+    const payment = this.payments.get(transaction.id);
+    return {
+      reference: transaction.id,
+      providerReference: transaction.provider_reference,
+      status: payment ? payment.status : 'pending',
+      amount: payment?.amount,
+      currency: payment?.currency
+    };
+  }
+};
+
+module.exports = fakePaymentProvider;
@@ -0,0 +1,218 @@
+// ===================================================================
+// services/familyService.js - COMPTES PARENTS ET PROFILS ENFANTS
+// ===================================================================
+// Un profil enfant est une ligne de users avec guardian_id = id du parent.
+// Il n'a aucune identité de connexion : le parent ouvre une session enfant,
+// la progression est donc enregistrée sous l'id de l'enfant, et l'abonnement
+// est celui du parent (voir subscriptionService.resolveBillingUserId).
+const { createClient } = require('@supabase/supabase-js');
+const authService = require('./authService');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const MAX_CHILDREN_PER_GUARDIAN = parseInt(process.env.MAX_CHILDREN_PER_GUARDIAN, 10) || 6;
+
+class FamilyService {
+  constructor() {
+    console.log('👨‍👩‍👧 FamilyService initialisé');
+
+    if (!process.env.SUPABASE_URL) {
+      throw new Error('SUPABASE_URL non configuré');
+    }
+  }
+
+  formatChild(child) {
+    return {
+      id: child.id,
+      displayName: child.display_name || child.name,
+      nativeLanguage: child.native_language || null,
+      targetLanguages: child.target_languages || [],
+      dailyGoal: child.daily_goal || null,
+      createdAt: child.created_at,
+      lastLogin: child.last_login || null
+    };
+  }
+
+  // Lister les profils enfants d'un parent
+  async listChildren(guardianId) {
+    try {
+      const { data: children, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('guardian_id', guardianId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return (children || []).map(child => this.formatChild(child));
+    } catch (error) {
+      console.error('❌ Erreur liste profils enfants:', error);
+      throw error;
+    }
+  }
+
+  // Récupérer un profil enfant en vérifiant qu'il appartient au parent
+  async getChild(guardianId, childId) {
+    const { data: child, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', childId)
+      .eq('guardian_id', guardianId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return child;
+  }
+
+  // Créer un profil enfant
+  async createChild(guardianId, { displayName, nativeLanguage, targetLanguages, dailyGoal }) {
+    try {
+      console.log('👶 Création profil enfant pour le parent:', guardianId);
+
+      const { count, error: countError } = await supabase
+        .from('users')
+        .select('id', { count: 'exact', head: true })
+        .eq('guardian_id', guardianId);
+
+      if (countError) throw countError;
+      if (count >= MAX_CHILDREN_PER_GUARDIAN) {
+        const error = new Error(`Limite de ${MAX_CHILDREN_PER_GUARDIAN} profils enfants atteinte`);
+        error.status = 400;
+        throw error;
+      }
+
+      const { data: child, error } = await supabase
+        .from('users')
+        .insert([{
+          guardian_id: guardianId,
+          email: null,
+          name: displayName,
+          display_name: displayName,
+          native_language: nativeLanguage || null,
+          target_languages: targetLanguages || [],
+          daily_goal: dailyGoal || null,
+          role: 'learner',
+          created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      console.log('✅ Profil enfant créé:', child.id);
+      return this.formatChild(child);
+    } catch (error) {
+      console.error('❌ Erreur création profil enfant:', error);
+      throw error;
+    }
+  }
+
+  // Supprimer un profil enfant et ses données
+  async deleteChild(guardianId, childId) {
+    try {
+      const child = await this.getChild(guardianId, childId);
+      if (!child) {
+        return false;
+      }
+
+      for (const table of ['user_progress', 'user_sessions', 'usage_counters']) {
+        const { error } = await supabase
+          .from(table)
+          .delete()
+          .eq('user_id', childId);
+
+        if (error) throw error;
+      }
+
+      const { error: memberError } = await supabase
+        .from('classroom_members')
+        .delete()
+        .eq('student_id', childId);
+
+      if (memberError) throw memberError;
+
+      const { error } = await supabase
+        .from('users')
+        .delete()
+        .eq('id', childId)
+        .eq('guardian_id', guardianId);
+
+      if (error) throw error;
+
+      console.log('🗑️ Profil enfant supprimé:', childId);
+      return true;
+    } catch (error) {
+      console.error('❌ Erreur suppression profil enfant:', error);
+      throw error;
+    }
+  }
+
+  // Ouvrir une session au nom d'un enfant (depuis l'appareil du parent)
+  async openChildSession(guardianId, childId, deviceInfo = {}) {
+    const child = await this.getChild(guardianId, childId);
+    if (!child) {
+      return null;
+    }
+
+    const session = await authService.createSession(child, deviceInfo);
+    console.log(`🎫 Session enfant ${childId} ouverte par le parent ${guardianId}`);
+
+    return {
+      jwtToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: {
+        ...this.formatChild(child),
+        guardianId
+      }
+    };
+  }
+
+  // Résumé de progression de chaque enfant
+  async getChildrenProgressSummary(guardianId) {
+    try {
+      const children = await this.listChildren(guardianId);
+      if (children.length === 0) {
+        return [];
+      }
+
+      const { data: progressRows, error } = await supabase
+        .from('user_progress')
+        .select('user_id, language_code, total_xp, completed_categories, last_synced')
+        .in('user_id', children.map(child => child.id));
+
+      if (error) throw error;
+
+      return children.map(child => {
+        const rows = (progressRows || []).filter(row => row.user_id === child.id);
+        const lastSynced = rows
+          .map(row => row.last_synced)
+          .filter(Boolean)
+          .sort()
+          .pop() || null;
+
+        return {
+          child: { id: child.id, displayName: child.displayName },
+          totalXP: rows.reduce((sum, row) => sum + (row.total_xp || 0), 0),
+          lastActivity: lastSynced,
+          languages: rows.map(row => ({
+            languageCode: row.language_code,
+            totalXP: row.total_xp || 0,
+            completedCategories: (row.completed_categories || []).length
+          }))
+        };
+      });
+    } catch (error) {
+      console.error('❌ Erreur résumé progression enfants:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton
+const familyService = new FamilyService();
+module.exports = familyService;
@@ -0,0 +1,222 @@
+// ===================================================================
+// services/iapService.js - ACHATS INTÉGRÉS (APP STORE, GOOGLE PLAY)
+// ===================================================================
+// Les applications mobiles vendent l'abonnement par la boutique de la plateforme.
+// Un fournisseur de boutique (voir storeProviders/) expose :
+// - name, isAvailable()
+// - getSubscription(identifiant) → état normalisé, toujours relu auprès de la boutique :
+//   { store, storeSubscriptionId, linkedSubscriptionId, productId, accountId,
+//     state: 'active' | 'grace' | 'expired' | 'revoked' | 'pending', expiresAt, autoRenew,
+//     transactionId, price: { amount, currency } | null, needsAcknowledgement }
+// - parseNotification({ headers, body }) → { type, event, storeSubscriptionId, payment } ou null
+// - acknowledge(état) (optionnel)
+// L'état est reporté sur la ligne subscriptions de l'utilisateur (provider = boutique,
+// provider_subscription_id = originalTransactionId ou purchaseToken) : les contrôles
+// d'accès restent les mêmes quel que soit le canal d'achat.
+// accountId (appAccountToken iOS, obfuscatedExternalAccountId Android) est l'id utilisateur
+// transmis par l'application à l'achat : il rattache les notifications arrivées avant la vérification.
+// IAP_FAKE_STORES=true (hors production) remplace les API des boutiques par fakeStoreApis.
+const { createClient } = require('@supabase/supabase-js');
+const subscriptionService = require('./subscriptionService');
+const planService = require('./planService');
+const appStoreProvider = require('./storeProviders/appStoreProvider');
+const googlePlayProvider = require('./storeProviders/googlePlayProvider');
+const { createFakeAppStoreApi, createFakeGooglePlayApi } = require('./storeProviders/fakeStoreApis');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const iapError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+class IapService {
+  constructor() {
+    if (process.env.IAP_FAKE_STORES === 'true' && process.env.NODE_ENV !== 'production') {
+      appStoreProvider.setApi(createFakeAppStoreApi());
+      googlePlayProvider.setApi(createFakeGooglePlayApi());
+      console.log('🧪 API des boutiques remplacées par des stand-ins locaux');
+    }
+
+    this.providers = new Map();
+    [appStoreProvider, googlePlayProvider].forEach(provider => this.registerProvider(provider));
+
+    const available = [...this.providers.values()].filter(provider => provider.isAvailable()).map(provider => provider.name);
+    console.log(`📱 IapService initialisé (boutiques: ${available.join(', ') || 'aucune'})`);
+  }
+
+  // Ajouter ou remplacer un fournisseur (stand-in de test...)
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(store) {
+    const provider = this.providers.get(store);
+    if (!provider || !provider.isAvailable()) {
+      throw iapError(`Boutique indisponible: ${store}`, 400, 'STORE_UNAVAILABLE');
+    }
+    return provider;
+  }
+
+  getStores() {
+    return [...this.providers.keys()];
+  }
+
+  // Ligne subscriptions déjà rattachée à cet achat (ou à l'achat qu'il remplace)
+  async findOwner(storeSubscription) {
+    const ids = [storeSubscription.storeSubscriptionId, storeSubscription.linkedSubscriptionId].filter(Boolean);
+    const { data: rows, error } = await supabase
+      .from('subscriptions')
+      .select('user_id, status, expires_at, provider_subscription_id')
+      .eq('provider', storeSubscription.store)
+      .in('provider_subscription_id', ids)
+      .limit(1);
+
+    if (error) throw error;
+    return rows && rows.length > 0 ? rows[0] : null;
+  }
+
+  async getPlan(storeSubscription) {
+    const plan = await planService.getPlanByStoreProduct(storeSubscription.store, storeSubscription.productId);
+    if (!plan) {
+      throw iapError(`Produit inconnu: ${storeSubscription.productId}`, 400, 'UNKNOWN_PRODUCT');
+    }
+    return plan;
+  }
+
+  // Paiement de la boutique dans l'historique (prix de la boutique, à défaut celui du catalogue)
+  async recordStorePayment(userId, storeSubscription, plan, { reference, price }, status) {
+    if (!reference) {
+      return;
+    }
+    const paid = price || storeSubscription.price || { amount: plan.amount, currency: plan.currency };
+    await subscriptionService.recordPayment({
+      userId,
+      provider: storeSubscription.store,
+      providerReference: reference,
+      amount: paid.amount,
+      currency: paid.currency,
+      status
+    });
+  }
+
+  async applyState(userId, plan, storeSubscription) {
+    await subscriptionService.applyStoreSubscription(userId, plan, storeSubscription);
+
+    const provider = this.providers.get(storeSubscription.store);
+    if (provider.acknowledge && ['active', 'grace'].includes(storeSubscription.state)) {
+      await provider.acknowledge(storeSubscription);
+    }
+  }
+
+  // ===================================================================
+  // VÉRIFICATION À L'ACHAT (ET RESTAURATION DES ACHATS)
+  // ===================================================================
+
+  async verifyPurchase(userId, store, credential) {
+    const provider = this.getProvider(store);
+    const storeSubscription = await provider.getSubscription(credential);
+
+    if (storeSubscription.accountId && storeSubscription.accountId !== userId) {
+      throw iapError('Cet achat a été effectué depuis un autre compte', 403, 'PURCHASE_ACCOUNT_MISMATCH');
+    }
+    if (storeSubscription.state === 'pending') {
+      throw iapError('Le paiement est en attente de confirmation par la boutique', 409, 'PURCHASE_PENDING');
+    }
+
+    const plan = await this.getPlan(storeSubscription);
+    const owner = await this.findOwner(storeSubscription);
+    if (owner && owner.user_id !== userId) {
+      throw iapError('Cet achat est déjà associé à un autre compte', 409, 'PURCHASE_IN_USE');
+    }
+
+    // Un autre abonnement renouvelé automatiquement (Stripe, autre boutique) reste prioritaire
+    const current = await subscriptionService.verifyUserSubscription(userId, { forceSync: true });
+    if (!owner && current.autoRenew) {
+      throw iapError('Vous avez déjà un abonnement actif renouvelé automatiquement', 409, 'ALREADY_SUBSCRIBED');
+    }
+
+    await this.applyState(userId, plan, storeSubscription);
+    if (['active', 'grace'].includes(storeSubscription.state)) {
+      await this.recordStorePayment(userId, storeSubscription, plan, { reference: storeSubscription.transactionId }, 'completed');
+    }
+
+    console.log(`✅ Achat ${store} vérifié pour userId ${userId}: ${storeSubscription.productId} (${storeSubscription.state})`);
+    return subscriptionService.verifyUserSubscription(userId);
+  }
+
+  // ===================================================================
+  // NOTIFICATIONS SERVEUR DES BOUTIQUES
+  // ===================================================================
+
+  // Utilisateur concerné : ligne déjà rattachée, sinon l'accountId transmis à l'achat
+  async resolveNotificationUser(storeSubscription) {
+    const owner = await this.findOwner(storeSubscription);
+    if (owner) {
+      return owner.user_id;
+    }
+    if (!storeSubscription.accountId || !UUID_REGEX.test(storeSubscription.accountId)) {
+      return null;
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', storeSubscription.accountId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) {
+      return null;
+    }
+
+    // Achat non rattaché : appliqué seulement si aucun accès n'est en cours. Un pass, un
+    // abonnement Stripe annulé en fin de période ou un autre achat restent en place :
+    // une notification tardive d'un ancien achat ne doit pas les écraser
+    const current = await subscriptionService.verifyUserSubscription(user.id, { forceSync: true });
+    return current.tier === 'free' ? user.id : null;
+  }
+
+  async handleNotification(store, request) {
+    const provider = this.getProvider(store);
+    const notification = await provider.parseNotification(request);
+    if (!notification) {
+      return null;
+    }
+
+    const current = await provider.getSubscription(notification.storeSubscriptionId);
+    // Remboursement : l'accès est retiré même si la boutique affiche encore la période
+    const storeSubscription = notification.event === 'refunded' ? { ...current, state: 'revoked' } : current;
+
+    const userId = await this.resolveNotificationUser(storeSubscription);
+    if (!userId) {
+      console.log(`ℹ️ Notification ${store} ${notification.type} sans utilisateur associé`);
+      return null;
+    }
+
+    const plan = await this.getPlan(storeSubscription);
+    await this.applyState(userId, plan, storeSubscription);
+
+    const payment = notification.payment || { reference: storeSubscription.transactionId };
+    if (['purchased', 'renewed'].includes(notification.event)) {
+      await this.recordStorePayment(userId, storeSubscription, plan, payment, 'completed');
+    } else if (notification.event === 'refunded') {
+      await this.recordStorePayment(userId, storeSubscription, plan, payment, 'refunded');
+    }
+
+    console.log(`📱 Notification ${store} ${notification.type} traitée pour userId ${userId}`);
+    return { userId, event: notification.event, state: storeSubscription.state };
+  }
+}
+
+// Export singleton
+const iapService = new IapService();
+module.exports = iapService;
@@ -0,0 +1,282 @@
+// ===================================================================
+// services/keyService.js - TROUSSEAU DE CLÉS DE SIGNATURE JWT (ES256/RS256)
+// ===================================================================
+// Table signing_keys : une ligne par clé, identifiée par son kid.
+// - active   : signe les nouveaux tokens (une seule : index unique partiel, voir database/schema.sql)
+// - previous : ne signe plus mais vérifie encore jusqu'à retire_at
+// - retired  : ignorée
+// Les clés privées sont chiffrées (AES-256-GCM) avec JWT_KEY_ENCRYPTION_KEY,
+// ou à défaut une clé dérivée de JWT_SECRET.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const SUPPORTED_ALGORITHMS = ['ES256', 'RS256'];
+
+// Relecture périodique du trousseau (rotation faite par une autre instance)
+const KEY_CACHE_TTL_MS = 5 * 60 * 1000;
+// Délai minimal entre deux rechargements déclenchés par un kid inconnu
+const UNKNOWN_KID_REFRESH_MS = 30 * 1000;
+
+class KeyService {
+  constructor() {
+    this.algorithm = process.env.JWT_ALGORITHM || 'ES256';
+    if (!SUPPORTED_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`JWT_ALGORITHM non supporté: ${this.algorithm}`);
+    }
+
+    this.keys = new Map();
+    this.activeKey = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.creating = null;
+    // Une rotation n'est vue par les autres instances qu'à leur prochaine relecture
+    this.cacheTtlMs = KEY_CACHE_TTL_MS;
+
+    console.log(`🔑 KeyService initialisé (${this.algorithm})`);
+  }
+
+  // ===================================================================
+  // CHIFFREMENT DES CLÉS PRIVÉES
+  // ===================================================================
+
+  getEncryptionKey() {
+    const secret = process.env.JWT_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  encryptPrivateKey(pem) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  decryptPrivateKey(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // ===================================================================
+  // CHARGEMENT DU TROUSSEAU
+  // ===================================================================
+
+  async loadKeys() {
+    const { data: rows, error } = await supabase
+      .from('signing_keys')
+      .select('*')
+      .in('status', ['active', 'previous'])
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Erreur chargement des clés de signature:', error);
+      throw new Error('Impossible de charger les clés de signature: ' + error.message);
+    }
+
+    const now = new Date();
+    const keys = new Map();
+    let activeKey = null;
+
+    for (const row of rows || []) {
+      // Une clé "previous" dont la date de retrait est passée n'est plus acceptée
+      if (row.status === 'previous' && row.retire_at && new Date(row.retire_at) <= now) {
+        continue;
+      }
+
+      const key = {
+        kid: row.kid,
+        alg: row.alg,
+        status: row.status,
+        jwk: row.public_jwk,
+        publicKey: crypto.createPublicKey({ key: row.public_jwk, format: 'jwk' })
+      };
+      keys.set(row.kid, key);
+
+      if (row.status === 'active' && !activeKey) {
+        activeKey = { ...key, privateKey: crypto.createPrivateKey(this.decryptPrivateKey(row.private_key_encrypted)) };
+      }
+    }
+
+    this.keys = keys;
+    this.activeKey = activeKey;
+    this.loadedAt = Date.now();
+  }
+
+  async ensureLoaded({ force = false } = {}) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < KEY_CACHE_TTL_MS) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = this.loadKeys().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  // Générer une paire de clés et l'enregistrer comme clé active
+  // (null si une autre instance a enregistré la sienne entre-temps)
+  async createKey() {
+    const { publicKey, privateKey } = this.algorithm === 'ES256'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const kid = `${new Date().toISOString().split('T')[0]}-${crypto.randomBytes(4).toString('hex')}`;
+    const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: this.algorithm, use: 'sig' };
+
+    const { error } = await supabase
+      .from('signing_keys')
+      .insert([{
+        kid,
+        alg: this.algorithm,
+        public_jwk: publicJwk,
+        private_key_encrypted: this.encryptPrivateKey(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+        status: 'active',
+        created_at: new Date().toISOString()
+      }]);
+
+    // 23505 : il existe déjà une clé active (index unique partiel sur status = 'active')
+    if (error?.code === '23505') {
+      console.log('🔑 Clé active déjà créée par une autre instance');
+      return null;
+    }
+    if (error) {
+      console.error('❌ Erreur création clé de signature:', error);
+      throw new Error('Impossible de créer la clé de signature: ' + error.message);
+    }
+
+    console.log('🔑 Nouvelle clé de signature créée:', kid);
+    return kid;
+  }
+
+  async getActiveKey() {
+    await this.ensureLoaded();
+
+    // Premier démarrage : aucune clé en base. Une seule création par processus ;
+    // entre instances, l'index unique fait échouer la seconde, qui relit la clé gagnante.
+    if (!this.activeKey) {
+      if (!this.creating) {
+        this.creating = this.createKey()
+          .then(() => this.ensureLoaded({ force: true }))
+          .finally(() => {
+            this.creating = null;
+          });
+      }
+      await this.creating;
+    }
+    if (!this.activeKey) {
+      throw new Error('Aucune clé de signature active');
+    }
+    return this.activeKey;
+  }
+
+  async getVerificationKey(kid) {
+    await this.ensureLoaded();
+
+    if (!this.keys.has(kid) && Date.now() - this.loadedAt > UNKNOWN_KID_REFRESH_MS) {
+      await this.ensureLoaded({ force: true });
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new Error('Clé de signature inconnue ou retirée');
+    }
+    return key.publicKey;
+  }
+
+  // ===================================================================
+  // SIGNATURE ET VÉRIFICATION
+  // ===================================================================
+
+  async signJwt(payload, { expiresIn }) {
+    const key = await this.getActiveKey();
+    return jwt.sign(payload, key.privateKey, {
+      algorithm: key.alg,
+      keyid: key.kid,
+      expiresIn
+    });
+  }
+
+  // Vérifier un JWT signé par n'importe quelle clé non retirée
+  verifyJwt(token) {
+    return new Promise((resolve, reject) => {
+      jwt.verify(
+        token,
+        (header, callback) => {
+          this.getVerificationKey(header.kid)
+            .then(key => callback(null, key))
+            .catch(callback);
+        },
+        { algorithms: SUPPORTED_ALGORITHMS },
+        (error, decoded) => (error ? reject(error) : resolve(decoded))
+      );
+    });
+  }
+
+  // Clés publiques au format JWKS
+  async getJwks() {
+    await this.ensureLoaded();
+    return {
+      keys: [...this.keys.values()].map(key => key.jwk)
+    };
+  }
+
+  // ===================================================================
+  // ROTATION
+  // ===================================================================
+
+  // Créer une nouvelle clé active ; l'ancienne reste valide retireAfterSeconds
+  async rotateKeys({ retireAfterSeconds }) {
+    const now = new Date();
+
+    // 1. Retirer les clés "previous" arrivées à échéance
+    const { data: retired, error: retireError } = await supabase
+      .from('signing_keys')
+      .update({ status: 'retired', retired_at: now.toISOString() })
+      .eq('status', 'previous')
+      .lte('retire_at', now.toISOString())
+      .select('kid');
+
+    if (retireError) {
+      throw new Error('Impossible de retirer les anciennes clés: ' + retireError.message);
+    }
+
+    // 2. Rétrograder les clés actives (vérification seulement jusqu'à retire_at)
+    const retireAt = new Date(now.getTime() + retireAfterSeconds * 1000);
+    const { data: demoted, error: demoteError } = await supabase
+      .from('signing_keys')
+      .update({ status: 'previous', retire_at: retireAt.toISOString() })
+      .eq('status', 'active')
+      .select('kid');
+
+    if (demoteError) {
+      throw new Error('Impossible de rétrograder la clé active: ' + demoteError.message);
+    }
+
+    // 3. Nouvelle clé active (ou celle créée au même moment par une instance sans clé)
+    await this.createKey();
+    await this.ensureLoaded({ force: true });
+
+    const result = {
+      activeKid: this.activeKey?.kid || null,
+      previousKids: (demoted || []).map(key => key.kid),
+      previousRetireAt: retireAt.toISOString(),
+      retiredKids: (retired || []).map(key => key.kid)
+    };
+
+    console.log('🔄 Rotation des clés terminée:', result);
+    return result;
+  }
+}
+
+// Export singleton
+const keyService = new KeyService();
+module.exports = keyService;
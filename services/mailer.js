@@ -0,0 +1,76 @@
+// ===================================================================
+// services/mailer.js - INTERFACE D'ENVOI D'EMAILS
+// ===================================================================
+// Un transport est un objet { name, send({ to, subject, text, html }) }.
+// - "console" (défaut) : affiche l'email dans les logs, pour le développement. Le corps
+//   (lien magique à usage unique...) n'est affiché qu'en développement, et ce transport
+//   refuse d'envoyer en production : MAILER_API_URL y est obligatoire
+// - "http" : POST JSON vers MAILER_API_URL (API transactionnelle du fournisseur)
+// Les tests et scripts peuvent injecter leur propre transport via setTransport().
+const fetch = require('node-fetch');
+
+const isDevelopment = () => (process.env.NODE_ENV || 'development') === 'development';
+
+const consoleTransport = {
+  name: 'console',
+  async send({ to, subject, text }) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Aucun transport email configuré (MAILER_API_URL)');
+    }
+    console.log(`📧 [mailer:console] À: ${to} | Sujet: ${subject}${isDevelopment() ? `\n${text}` : ''}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+const httpTransport = {
+  name: 'http',
+  async send(message) {
+    const response = await fetch(process.env.MAILER_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.MAILER_API_KEY}`
+      },
+      body: JSON.stringify({
+        from: process.env.MAILER_FROM || 'Jogolinga <no-reply@jogolinga.app>',
+        ...message
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Envoi email refusé (${response.status})`);
+    }
+    return response.json().catch(() => ({}));
+  }
+};
+
+class Mailer {
+  constructor() {
+    this.transport = process.env.MAILER_API_URL ? httpTransport : consoleTransport;
+    console.log(`📧 Mailer initialisé (transport: ${this.transport.name})`);
+
+    if (this.transport === consoleTransport && process.env.NODE_ENV === 'production') {
+      console.error('❌ MAILER_API_URL non configuré en production : aucun email ne sera envoyé');
+    }
+  }
+
+  // Remplacer le transport (fournisseur différent, stand-in de test...)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async sendMail({ to, subject, text, html }) {
+    try {
+      const result = await this.transport.send({ to, subject, text, html });
+      console.log(`✅ Email envoyé à ${to}: ${subject}`);
+      return result;
+    } catch (error) {
+      console.error('❌ Erreur envoi email:', error.message);
+      throw error;
+    }
+  }
+}
+
+// Export singleton
+const mailer = new Mailer();
+module.exports = mailer;
@@ -0,0 +1,285 @@
+// ===================================================================
+// services/mobileMoneyProvider.js - FOURNISSEUR MOBILE MONEY (WAVE, ORANGE MONEY)
+// ===================================================================
+// Paiement unique : chaque paiement confirmé donne un pass d'accès d'une période
+// (voir paymentService), il n'y a pas de renouvellement automatique.
+// Un opérateur est un objet { name, callbackAuth, isConfigured(), createCheckout(), parseCallback(), getPaymentStatus() } :
+// - wave : API Checkout, webhook signé (en-tête Wave-Signature, HMAC-SHA256 du corps brut)
+// - orange_money : API Web Payment, notification authentifiée par le notif_token
+//   renvoyé à la création (seule son empreinte est conservée)
+// Interface commune des fournisseurs : voir paymentService.
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// Écart toléré entre l'horodatage signé par Wave et la réception
+const WAVE_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const providerError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const parseJson = (rawBody) => {
+  try {
+    return JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+  } catch (error) {
+    throw providerError('Notification illisible', 400);
+  }
+};
+
+// ===================================================================
+// WAVE
+// ===================================================================
+
+const WAVE_PAYMENT_STATUS = {
+  succeeded: 'succeeded',
+  processing: 'pending',
+  cancelled: 'failed'
+};
+
+const wave = {
+  name: 'wave',
+  callbackAuth: 'signature',
+  apiUrl: process.env.WAVE_API_URL || 'https://api.wave.com',
+
+  isConfigured() {
+    return Boolean(process.env.WAVE_API_KEY && process.env.WAVE_WEBHOOK_SECRET);
+  },
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.WAVE_API_KEY}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Wave a refusé la requête (${response.status})`);
+    }
+    return response.json();
+  },
+
+  toResult(session) {
+    return {
+      reference: session.client_reference,
+      providerReference: session.id,
+      status: WAVE_PAYMENT_STATUS[session.payment_status] || 'pending',
+      amount: parseInt(session.amount, 10),
+      currency: (session.currency || '').toLowerCase()
+    };
+  },
+
+  async createCheckout({ reference, amount, currency, successUrl, cancelUrl }) {
+    const session = await this.request('/v1/checkout/sessions', {
+      method: 'POST',
+      body: JSON.stringify({
+        amount: String(amount),
+        currency: currency.toUpperCase(),
+        client_reference: reference,
+        success_url: successUrl,
+        error_url: cancelUrl
+      })
+    });
+
+    return {
+      checkoutUrl: session.wave_launch_url,
+      providerReference: session.id
+    };
+  },
+
+  // Wave-Signature: t=<horodatage>,v1=<signature>[,v1=...]
+  parseCallback({ headers, rawBody }) {
+    const header = headers['wave-signature'] || '';
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || signatures.length === 0) {
+      throw providerError('Signature Wave manquante', 400);
+    }
+    if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > WAVE_SIGNATURE_TOLERANCE_SECONDS) {
+      throw providerError('Signature Wave expirée', 400);
+    }
+
+    const expected = crypto
+      .createHmac('sha256', process.env.WAVE_WEBHOOK_SECRET)
+      .update(timestamp + rawBody.toString('utf8'))
+      .digest('hex');
+    const valid = signatures.some(signature => (
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ));
+    if (!valid) {
+      throw providerError('Signature Wave invalide', 400);
+    }
+
+    const event = parseJson(rawBody);
+    if (!event.type?.startsWith('checkout.session.')) {
+      return null;
+    }
+    return this.toResult(event.data);
+  },
+
+  async getPaymentStatus(transaction) {
+    const session = await this.request(`/v1/checkout/sessions/${transaction.provider_reference}`);
+    return this.toResult(session);
+  }
+};
+
+// ===================================================================
+// ORANGE MONEY
+// ===================================================================
+
+const orangeMoney = {
+  name: 'orange_money',
+  callbackAuth: 'token',
+  apiUrl: process.env.ORANGE_MONEY_API_URL || 'https://api.orange.com',
+  country: process.env.ORANGE_MONEY_COUNTRY || 'sn',
+  token: null,
+  tokenExpiresAt: 0,
+
+  isConfigured() {
+    return Boolean(process.env.ORANGE_MONEY_CLIENT_AUTH && process.env.ORANGE_MONEY_MERCHANT_KEY);
+  },
+
+  // Jeton OAuth client_credentials, réutilisé jusqu'à son expiration
+  async getAccessToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt) {
+      return this.token;
+    }
+
+    const response = await fetch(`${this.apiUrl}/oauth/v3/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${process.env.ORANGE_MONEY_CLIENT_AUTH}`
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    if (!response.ok) {
+      throw new Error(`Authentification Orange Money refusée (${response.status})`);
+    }
+    const { access_token: accessToken, expires_in: expiresIn } = await response.json();
+    this.token = accessToken;
+    this.tokenExpiresAt = Date.now() + (expiresIn - 60) * 1000;
+    return accessToken;
+  },
+
+  async request(path, body) {
+    const response = await fetch(`${this.apiUrl}/orange-money-webpay/${this.country}/v1${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${await this.getAccessToken()}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Orange Money a refusé la requête (${response.status})`);
+    }
+    return response.json();
+  },
+
+  async createCheckout({ reference, amount, currency, successUrl, cancelUrl, callbackUrl }) {
+    const payment = await this.request('/webpayment', {
+      merchant_key: process.env.ORANGE_MONEY_MERCHANT_KEY,
+      currency: currency.toUpperCase(),
+      order_id: reference,
+      amount,
+      return_url: successUrl,
+      cancel_url: cancelUrl,
+      notif_url: callbackUrl,
+      lang: 'fr',
+      reference: 'Jogolinga'
+    });
+
+    return {
+      checkoutUrl: payment.payment_url,
+      providerReference: payment.pay_token,
+      callbackToken: payment.notif_token
+    };
+  },
+
+  // La notification ne contient pas notre référence : elle est dans l'URL de notification
+  parseCallback({ query, rawBody }) {
+    const notification = parseJson(rawBody);
+    if (!query.reference || !notification.notif_token) {
+      throw providerError('Notification Orange Money incomplète', 400);
+    }
+
+    return {
+      reference: query.reference,
+      callbackToken: notification.notif_token,
+      status: notification.status === 'SUCCESS' ? 'succeeded' : (notification.status === 'FAILED' ? 'failed' : 'pending')
+    };
+  },
+
+  async getPaymentStatus(transaction) {
+    const result = await this.request('/transactionstatus', {
+      order_id: transaction.id,
+      amount: transaction.amount,
+      pay_token: transaction.provider_reference
+    });
+
+    return {
+      reference: transaction.id,
+      providerReference: transaction.provider_reference,
+      status: result.status === 'SUCCESS' ? 'succeeded' : (['FAILED', 'EXPIRED'].includes(result.status) ? 'failed' : 'pending')
+    };
+  }
+};
+
+// ===================================================================
+// FOURNISSEUR
+// ===================================================================
+
+const OPERATORS = { [wave.name]: wave, [orangeMoney.name]: orangeMoney };
+
+const getOperator = (name) => {
+  const operator = OPERATORS[name];
+  if (!operator || !operator.isConfigured()) {
+    throw providerError(`Opérateur mobile money indisponible: ${name}`, 400);
+  }
+  return operator;
+};
+
+const mobileMoneyProvider = {
+  name: 'mobile_money',
+  recurring: false,
+  currencies: ['xof'],
+
+  isAvailable() {
+    return Object.values(OPERATORS).some(operator => operator.isConfigured());
+  },
+
+  listOperators() {
+    return Object.values(OPERATORS)
+      .filter(operator => operator.isConfigured())
+      .map(operator => operator.name);
+  },
+
+  createCheckout(params) {
+    return getOperator(params.operator).createCheckout(params);
+  },
+
+  // Notification authentifiée uniquement par le jeton renvoyé à la création (Orange Money)
+  usesCallbackToken(operator) {
+    return OPERATORS[operator]?.callbackAuth === 'token';
+  },
+
+  // L'opérateur est indiqué dans l'URL de notification (?operator=...)
+  parseCallback(request) {
+    return getOperator(request.query.operator).parseCallback(request);
+  },
+
+  getPaymentStatus(transaction) {
+    return getOperator(transaction.operator).getPaymentStatus(transaction);
+  }
+};
+
+module.exports = mobileMoneyProvider;
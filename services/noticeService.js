@@ -0,0 +1,129 @@
+// ===================================================================
+// services/noticeService.js - MESSAGES IN-APP
+// ===================================================================
+// Table user_notices : messages affichés dans l'application (relance de paiement,
+// fin d'essai...). dedupe_key (unique par utilisateur) évite de créer deux fois
+// le même message lorsqu'une tâche planifiée repasse sur un utilisateur.
+const { createClient } = require('@supabase/supabase-js');
+const mailer = require('./mailer');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+class NoticeService {
+  constructor() {
+    console.log('🔔 NoticeService initialisé');
+  }
+
+  formatNotice(notice) {
+    return {
+      id: notice.id,
+      type: notice.type,
+      severity: notice.severity,
+      title: notice.title,
+      message: notice.message,
+      actionUrl: notice.action_url || null,
+      createdAt: notice.created_at,
+      readAt: notice.read_at || null
+    };
+  }
+
+  async createNotice(userId, { type, severity = 'info', title, message, actionUrl, dedupeKey }) {
+    const { data: notice, error } = await supabase
+      .from('user_notices')
+      .insert([{
+        user_id: userId,
+        type,
+        severity,
+        title,
+        message,
+        action_url: actionUrl || null,
+        dedupe_key: dedupeKey || null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    // Message déjà créé pour cette clé
+    if (error?.code === '23505') {
+      return null;
+    }
+    if (error) {
+      console.error('❌ Erreur création message in-app:', error);
+      throw error;
+    }
+
+    console.log(`🔔 Message "${type}" créé pour userId:`, userId);
+    return this.formatNotice(notice);
+  }
+
+  // Message in-app doublé d'un email ; un échec d'email n'empêche pas le message in-app
+  async notify(userId, { type, severity, title, message, actionUrl, actionLabel = 'Ouvrir Jogolinga', dedupeKey }) {
+    const notice = await this.createNotice(userId, { type, severity, title, message, actionUrl, dedupeKey });
+
+    // Message déjà envoyé pour cette clé : pas de second email
+    if (!notice) {
+      return null;
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('email, name')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (!user?.email) {
+      return notice;
+    }
+
+    const link = actionUrl ? `\n\n${actionLabel} : ${actionUrl}` : '';
+    try {
+      await mailer.sendMail({
+        to: user.email,
+        subject: `Jogolinga - ${title}`,
+        text: `Bonjour ${user.name || ''},\n\n${message}${link}\n`,
+        html: `<p>Bonjour ${user.name || ''},</p><p>${message}</p>` +
+          (actionUrl ? `<p><a href="${actionUrl}">${actionLabel}</a></p>` : '')
+      });
+    } catch (mailError) {
+      console.warn(`⚠️ Email "${type}" non envoyé à userId ${userId}:`, mailError.message);
+    }
+    return notice;
+  }
+
+  async listNotices(userId, { unreadOnly = false, limit = 50 } = {}) {
+    let query = supabase
+      .from('user_notices')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data: notices, error } = await query;
+    if (error) throw error;
+    return (notices || []).map(notice => this.formatNotice(notice));
+  }
+
+  async markAsRead(userId, noticeId) {
+    const { data: updated, error } = await supabase
+      .from('user_notices')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', noticeId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    return Boolean(updated && updated.length > 0);
+  }
+}
+
+// Export singleton
+const noticeService = new NoticeService();
+module.exports = noticeService;
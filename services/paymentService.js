@@ -0,0 +1,409 @@
+// ===================================================================
+// services/paymentService.js - FOURNISSEURS DE PAIEMENT ET PASS D'ACCÈS
+// ===================================================================
+// Un fournisseur est un objet (même principe que les transports de mailer) :
+// - name, recurring, currencies (optionnel : devises acceptées)
+// - isAvailable()
+// - createCheckout({ reference, user, plan, amount, currency, operator, successUrl, cancelUrl, callbackUrl })
+//     → { checkoutUrl, providerReference, callbackToken? }
+// - parseCallback({ headers, rawBody, query }) → résultat ou null (notification sans objet)
+// - getPaymentStatus(transaction) → résultat
+// - usesCallbackToken(operator) (optionnel) : notification authentifiée seulement par le
+//   callbackToken renvoyé à la création, qui devient alors obligatoire
+// Résultat : { reference, providerReference, status: 'succeeded' | 'failed' | 'pending', amount?, currency?, callbackToken? }
+//
+// Stripe (recurring) gère un abonnement renouvelé automatiquement et confirmé par ses
+// webhooks (voir subscriptionService / stripeEventService).
+// Les autres fournisseurs (mobile money, factice) vendent des pass : chaque paiement est
+// une ligne de payment_transactions (id = référence transmise au fournisseur) et, une fois
+// confirmé, prolonge la même ligne subscriptions d'une période du plan.
+// Un rappel de renouvellement est envoyé PASS_REMINDER_DAYS jours avant la fin du pass.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const subscriptionService = require('./subscriptionService');
+const planService = require('./planService');
+const currencyService = require('./currencyService');
+const noticeService = require('./noticeService');
+const stripePaymentProvider = require('./stripePaymentProvider');
+const mobileMoneyProvider = require('./mobileMoneyProvider');
+const fakePaymentProvider = require('./fakePaymentProvider');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const PASS_REMINDER_DAYS = parseInt(process.env.PASS_REMINDER_DAYS, 10) || 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const paymentError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+    [stripePaymentProvider, mobileMoneyProvider, fakePaymentProvider].forEach(provider => this.registerProvider(provider));
+
+    console.log(`💸 PaymentService initialisé (fournisseurs: ${this.listProviders().map(p => p.name).join(', ') || 'aucun'})`);
+  }
+
+  // Ajouter ou remplacer un fournisseur (stand-in de test...)
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider || !provider.isAvailable()) {
+      throw paymentError(`Moyen de paiement indisponible: ${name}`, 400, 'PROVIDER_UNAVAILABLE');
+    }
+    return provider;
+  }
+
+  // Moyens de paiement proposés à l'utilisateur
+  listProviders() {
+    return [...this.providers.values()]
+      .filter(provider => provider.isAvailable())
+      .map(provider => ({
+        name: provider.name,
+        recurring: provider.recurring,
+        currencies: provider.currencies ? provider.currencies.map(currency => currency.toUpperCase()) : null,
+        ...(provider.listOperators && { operators: provider.listOperators() })
+      }));
+  }
+
+  getCallbackUrl(providerName, params) {
+    const baseUrl = (process.env.PUBLIC_API_URL || '').replace(/\/$/, '');
+    return `${baseUrl}/api/payments/callback/${providerName}?${new URLSearchParams(params)}`;
+  }
+
+  formatTransaction(transaction) {
+    return {
+      reference: transaction.id,
+      provider: transaction.provider,
+      operator: transaction.operator,
+      planId: transaction.plan_id,
+      amount: transaction.amount,
+      currency: transaction.currency.toUpperCase(),
+      status: transaction.status,
+      createdAt: transaction.created_at,
+      completedAt: transaction.completed_at
+    };
+  }
+
+  // ===================================================================
+  // ACHAT D'UN PASS
+  // ===================================================================
+
+  // currency : choix explicite de l'utilisateur, validé pour sa région (voir currencyService)
+  async createPassCheckout({ userId, planId, providerName, operator, currency, successPath = '/payment-success', cancelPath = '/subscription' }) {
+    const provider = this.getProvider(providerName);
+    if (provider.recurring) {
+      throw paymentError('Ce moyen de paiement passe par l\'abonnement classique', 400, 'PROVIDER_RECURRING');
+    }
+
+    const basePlan = await planService.getPlan(planId);
+    if (!basePlan || !basePlan.active || !basePlan.interval) {
+      throw paymentError(`Plan inconnu ou indisponible: ${planId}`, 400, 'INVALID_PLAN');
+    }
+    const available = Object.keys(basePlan.prices)
+      .filter(code => !provider.currencies || provider.currencies.includes(code));
+    const resolvedCurrency = await currencyService.resolveUserCurrency(userId, currency, available);
+    const plan = planService.priceIn(basePlan, resolvedCurrency);
+    if (!plan || !plan.amount || (provider.currencies && !provider.currencies.includes(plan.currency))) {
+      throw paymentError('Ce plan n\'est pas proposé avec ce moyen de paiement dans cette devise', 400, 'CURRENCY_UNSUPPORTED');
+    }
+
+    // Un abonnement qui se renouvelle seul ne se cumule pas avec un pass
+    const current = await subscriptionService.verifyUserSubscription(userId);
+    if (current.isPremium && current.autoRenew) {
+      throw paymentError('Vous avez déjà un abonnement actif renouvelé automatiquement', 409, 'ALREADY_SUBSCRIBED');
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, name')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      throw paymentError('Utilisateur non trouvé', 404, 'USER_NOT_FOUND');
+    }
+
+    const reference = crypto.randomUUID();
+    const { error: insertError } = await supabase
+      .from('payment_transactions')
+      .insert([{
+        id: reference,
+        user_id: userId,
+        provider: provider.name,
+        operator: operator || null,
+        plan_id: plan.id,
+        amount: plan.amount,
+        currency: plan.currency,
+        status: 'pending',
+        created_at: new Date().toISOString()
+      }]);
+
+    if (insertError) throw insertError;
+
+    let checkout;
+    try {
+      checkout = await provider.createCheckout({
+        reference,
+        user,
+        plan,
+        amount: plan.amount,
+        currency: plan.currency,
+        operator,
+        successUrl: subscriptionService.constructFullUrl(successPath),
+        cancelUrl: subscriptionService.constructFullUrl(cancelPath),
+        callbackUrl: this.getCallbackUrl(provider.name, { operator: operator || '', reference })
+      });
+    } catch (providerError) {
+      await this.updateTransaction(reference, { status: 'failed', failure_reason: providerError.message });
+      if (providerError.status) throw providerError;
+      console.error(`❌ Erreur création paiement ${provider.name}:`, providerError);
+      throw paymentError('Le fournisseur de paiement est indisponible', 502, 'PROVIDER_ERROR');
+    }
+
+    // Sans jeton, aucune notification de ce paiement ne pourrait être authentifiée
+    if (provider.usesCallbackToken?.(operator) && !checkout.callbackToken) {
+      console.error(`❌ Jeton de notification absent pour le paiement ${reference}`);
+      await this.updateTransaction(reference, {
+        status: 'failed',
+        provider_reference: checkout.providerReference || null,
+        failure_reason: 'Jeton de notification absent'
+      });
+      throw paymentError('Le fournisseur de paiement est indisponible', 502, 'PROVIDER_ERROR');
+    }
+
+    await this.updateTransaction(reference, {
+      provider_reference: checkout.providerReference || null,
+      callback_token_hash: checkout.callbackToken ? hashToken(checkout.callbackToken) : null
+    });
+
+    console.log(`💸 Paiement ${provider.name}${operator ? '/' + operator : ''} créé: ${reference} (${plan.amount} ${plan.currency.toUpperCase()})`);
+    return {
+      provider: provider.name,
+      operator: operator || null,
+      reference,
+      checkoutUrl: checkout.checkoutUrl
+    };
+  }
+
+  async updateTransaction(reference, values) {
+    const { error } = await supabase
+      .from('payment_transactions')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', reference);
+
+    if (error) throw error;
+  }
+
+  // ===================================================================
+  // CONFIRMATION (NOTIFICATION DU FOURNISSEUR OU VÉRIFICATION AU RETOUR)
+  // ===================================================================
+
+  async handleCallback(providerName, request) {
+    const provider = this.getProvider(providerName);
+    if (provider.recurring) {
+      throw paymentError('Notification non prise en charge', 400, 'PROVIDER_RECURRING');
+    }
+
+    const result = await provider.parseCallback(request);
+    if (!result) {
+      return null;
+    }
+
+    const { data: transaction, error } = await supabase
+      .from('payment_transactions')
+      .select('*')
+      .eq('id', result.reference)
+      .eq('provider', provider.name)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!transaction) {
+      throw paymentError('Paiement inconnu', 404, 'TRANSACTION_NOT_FOUND');
+    }
+    const requiresToken = provider.usesCallbackToken?.(transaction.operator) || Boolean(transaction.callback_token_hash);
+    if (requiresToken &&
+        (!transaction.callback_token_hash || !result.callbackToken ||
+         hashToken(result.callbackToken) !== transaction.callback_token_hash)) {
+      throw paymentError('Notification non authentifiée', 400, 'INVALID_CALLBACK');
+    }
+
+    if (transaction.status !== 'pending' || result.status === 'pending') {
+      return transaction;
+    }
+
+    // La notification signale un changement : l'état appliqué est celui que renvoie le fournisseur
+    let verified;
+    try {
+      verified = await provider.getPaymentStatus(transaction);
+    } catch (statusError) {
+      console.error(`❌ Vérification du paiement ${transaction.id} impossible:`, statusError.message);
+      throw paymentError('Vérification du paiement impossible', 502, 'PROVIDER_ERROR');
+    }
+
+    return this.applyResult(transaction, { ...verified, reference: transaction.id });
+  }
+
+  // Appliquer le résultat d'un paiement une seule fois (notification et vérification peuvent se croiser)
+  async applyResult(transaction, result) {
+    if (transaction.status !== 'pending' || result.status === 'pending') {
+      return transaction;
+    }
+
+    let status = result.status;
+    let failureReason = status === 'failed' ? 'Paiement refusé ou annulé' : null;
+
+    // Montant ou devise différents de ce qui a été demandé : pas d'activation
+    if (status === 'succeeded' &&
+        ((result.amount !== undefined && result.amount !== transaction.amount) ||
+         (result.currency && result.currency !== transaction.currency))) {
+      console.error(`🚨 Montant inattendu pour ${transaction.id}:`, result.amount, result.currency);
+      status = 'failed';
+      failureReason = 'Montant ou devise incohérents';
+    }
+
+    const completedAt = new Date().toISOString();
+    const { data: claimed, error } = await supabase
+      .from('payment_transactions')
+      .update({
+        status,
+        provider_reference: result.providerReference || transaction.provider_reference,
+        failure_reason: failureReason,
+        completed_at: completedAt,
+        updated_at: completedAt
+      })
+      .eq('id', transaction.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    // Déjà traité par un autre appel
+    if (!claimed) {
+      return transaction;
+    }
+
+    if (status === 'succeeded') {
+      try {
+        const plan = await planService.getPlan(transaction.plan_id);
+        await subscriptionService.activateAccessPass(transaction.user_id, planService.priceIn(plan, transaction.currency) || plan, {
+          provider: transaction.provider,
+          reference: transaction.id
+        });
+      } catch (activationError) {
+        // Remettre en attente : la prochaine notification ou vérification réessaiera
+        await this.updateTransaction(transaction.id, { status: 'pending', completed_at: null });
+        throw activationError;
+      }
+    }
+
+    await subscriptionService.recordPayment({
+      userId: transaction.user_id,
+      provider: transaction.provider,
+      providerReference: transaction.id,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      status: status === 'succeeded' ? 'completed' : 'failed'
+    });
+
+    console.log(`${status === 'succeeded' ? '✅' : '❌'} Paiement ${transaction.id}: ${status}`);
+    return claimed;
+  }
+
+  // Retour dans l'application : état du paiement, en interrogeant le fournisseur s'il est encore en attente
+  async getTransaction(userId, reference) {
+    const { data: transaction, error } = await supabase
+      .from('payment_transactions')
+      .select('*')
+      .eq('id', reference)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!transaction) {
+      throw paymentError('Paiement inconnu', 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    if (transaction.status === 'pending' && transaction.provider_reference) {
+      const provider = this.providers.get(transaction.provider);
+      try {
+        const result = await provider.getPaymentStatus(transaction);
+        return this.formatTransaction(await this.applyResult(transaction, result));
+      } catch (statusError) {
+        console.warn(`⚠️ Vérification du paiement ${reference} impossible:`, statusError.message);
+      }
+    }
+
+    return this.formatTransaction(transaction);
+  }
+
+  // ===================================================================
+  // RAPPELS DE RENOUVELLEMENT DES PASS
+  // ===================================================================
+
+  async processPassReminders() {
+    try {
+      const now = new Date();
+      const { data: subscriptions, error } = await supabase
+        .from('subscriptions')
+        .select('user_id, provider, plan_id, expires_at')
+        .eq('status', 'active')
+        .in('provider', [...this.providers.values()].filter(provider => !provider.recurring).map(provider => provider.name))
+        .gt('expires_at', now.toISOString())
+        .lte('expires_at', new Date(now.getTime() + PASS_REMINDER_DAYS * DAY_MS).toISOString());
+
+      if (error) throw error;
+
+      const results = { remindersSent: 0, failed: 0 };
+      for (const subscription of subscriptions || []) {
+        try {
+          const expiresAt = new Date(subscription.expires_at);
+          const daysLeft = Math.max(1, Math.ceil((expiresAt - now) / DAY_MS));
+          const notice = await noticeService.notify(subscription.user_id, {
+            type: 'pass_expiring',
+            severity: 'warning',
+            title: 'Votre accès Premium arrive à échéance',
+            message: `Votre pass Premium se termine dans ${daysLeft} jour${daysLeft > 1 ? 's' : ''} ` +
+              `(le ${expiresAt.toLocaleDateString('fr-FR')}). Il ne se renouvelle pas automatiquement : ` +
+              'rachetez un pass pour garder vos avantages.',
+            actionUrl: subscriptionService.constructFullUrl('/subscription'),
+            actionLabel: 'Renouveler mon pass',
+            dedupeKey: `pass_expiring:${subscription.expires_at}`
+          });
+          if (notice) {
+            results.remindersSent++;
+          }
+        } catch (reminderError) {
+          results.failed++;
+          console.error(`❌ Erreur rappel de pass userId ${subscription.user_id}:`, reminderError.message);
+        }
+      }
+
+      if (results.remindersSent || results.failed) {
+        console.log(`💸 Rappels de fin de pass: ${results.remindersSent} envoyés, ${results.failed} échecs`);
+      }
+      return results;
+    } catch (error) {
+      console.error('❌ Erreur traitement des rappels de pass:', error);
+      return { remindersSent: 0, failed: 0, error: error.message };
+    }
+  }
+}
+
+// Export singleton
+const paymentService = new PaymentService();
+module.exports = paymentService;
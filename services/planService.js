@@ -0,0 +1,159 @@
+// ===================================================================
+// services/planService.js - CATALOGUE DES PLANS D'ABONNEMENT
+// ===================================================================
+// Table subscription_plans : une ligne par plan (id = planId utilisé partout).
+// Le prix Stripe est résolu côté serveur à partir du plan : le client n'envoie
+// jamais de priceId. Le catalogue est relu toutes les 5 minutes, ou sur demande
+// (reload) après une modification en base.
+// Prix par devise : amount/currency/stripe_price_id donnent le prix principal, la colonne
+// prices (JSON) les prix régionaux, ex. { "xof": { "amount": 3000, "stripe_price_id": "price_..." } }.
+// priceIn() renvoie le plan avec amount/currency/stripePriceId de la devise demandée.
+// Produits des boutiques mobiles : app_store_product_id, google_play_product_id.
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const PLAN_CACHE_TTL_MS = 5 * 60 * 1000;
+
+class PlanService {
+  constructor() {
+    this.plans = [];
+    this.loadedAt = 0;
+    this.loading = null;
+
+    console.log('📋 PlanService initialisé');
+  }
+
+  async loadPlans() {
+    const { data: rows, error } = await supabase
+      .from('subscription_plans')
+      .select('*')
+      .order('sort_order', { ascending: true });
+
+    if (error) {
+      console.error('❌ Erreur chargement du catalogue de plans:', error);
+      throw new Error('Impossible de charger le catalogue de plans: ' + error.message);
+    }
+
+    this.plans = (rows || []).map(row => {
+      const currency = (row.currency || 'eur').toLowerCase();
+      const prices = { [currency]: { amount: row.amount, stripePriceId: row.stripe_price_id || null } };
+      Object.entries(row.prices || {}).forEach(([code, price]) => {
+        prices[code.toLowerCase()] = { amount: price.amount, stripePriceId: price.stripe_price_id || null };
+      });
+
+      return {
+        id: row.id,
+        name: row.name,
+        description: row.description || null,
+        tier: row.tier,
+        stripePriceId: row.stripe_price_id || null,
+        amount: row.amount,
+        currency,
+        prices,
+        storeProducts: {
+          app_store: row.app_store_product_id || null,
+          google_play: row.google_play_product_id || null
+        },
+        interval: row.billing_interval || null,
+        trialDays: row.trial_days || 0,
+        features: row.features || [],
+        limits: row.limits || {},
+        active: row.active !== false
+      };
+    });
+    this.loadedAt = Date.now();
+  }
+
+  async ensureLoaded({ force = false } = {}) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < PLAN_CACHE_TTL_MS) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = this.loadPlans().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async reload() {
+    await this.ensureLoaded({ force: true });
+    console.log(`📋 Catalogue rechargé: ${this.plans.length} plans`);
+    return this.plans.length;
+  }
+
+  // Plan par id (y compris inactif : les abonnés existants le conservent)
+  async getPlan(planId) {
+    await this.ensureLoaded();
+    return this.plans.find(plan => plan.id === planId) || null;
+  }
+
+  // Plan au prix d'une devise donnée (null si le plan n'y est pas proposé)
+  priceIn(plan, currency) {
+    const price = plan.prices[String(currency).toLowerCase()];
+    if (!price) {
+      return null;
+    }
+    return { ...plan, currency: String(currency).toLowerCase(), amount: price.amount, stripePriceId: price.stripePriceId };
+  }
+
+  // Plan vendu sous cet identifiant de produit par une boutique mobile (y compris inactif)
+  async getPlanByStoreProduct(store, productId) {
+    await this.ensureLoaded();
+    return this.plans.find(plan => plan.storeProducts[store] && plan.storeProducts[store] === productId) || null;
+  }
+
+  // Devises dans lesquelles le plan peut être acheté par Stripe
+  getPurchasableCurrencies(plan) {
+    return Object.keys(plan.prices).filter(currency => plan.prices[currency].stripePriceId);
+  }
+
+  // Plan proposé à la vente : actif et associé à un prix Stripe (dans la devise demandée)
+  async getPurchasablePlan(planId, currency = null) {
+    const plan = await this.getPlan(planId);
+    if (!plan || !plan.active) {
+      return null;
+    }
+    const priced = currency ? this.priceIn(plan, currency) : plan;
+    if (!priced || !priced.stripePriceId) {
+      return null;
+    }
+    return priced;
+  }
+
+  async listPlans({ includeInactive = false } = {}) {
+    await this.ensureLoaded();
+    return includeInactive ? this.plans : this.plans.filter(plan => plan.active);
+  }
+
+  // Vue publique (sans identifiant Stripe), au prix de la devise du plan reçu
+  formatPlan(plan) {
+    return {
+      id: plan.id,
+      name: plan.name,
+      description: plan.description,
+      tier: plan.tier,
+      amount: plan.amount,
+      currency: plan.currency.toUpperCase(),
+      interval: plan.interval,
+      trialDays: plan.trialDays,
+      features: plan.features,
+      limits: plan.limits,
+      purchasable: Boolean(plan.stripePriceId),
+      storeProducts: plan.storeProducts,
+      prices: Object.entries(plan.prices).map(([currency, price]) => ({
+        currency: currency.toUpperCase(),
+        amount: price.amount
+      }))
+    };
+  }
+}
+
+// Export singleton
+const planService = new PlanService();
+module.exports = planService;
@@ -0,0 +1,230 @@
+// ===================================================================
+// services/storeProviders/appStoreProvider.js - ABONNEMENTS APP STORE (iOS)
+// ===================================================================
+// L'application envoie l'identifiant de transaction StoreKit 2 ; l'état de l'abonnement
+// est toujours relu depuis l'App Store Server API (jamais depuis le client).
+// Les notifications App Store Server V2 ne servent qu'à savoir quel abonnement relire.
+// L'appel à l'API est isolé dans un objet api, remplaçable par setApi() :
+// { name, isConfigured(), getSubscriptionStatuses(transactionId), decodeSignedData(jws) }
+// (voir fakeStoreApis pour le stand-in local). Interface commune : voir iapService.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fetch = require('node-fetch');
+const currencyService = require('../currencyService');
+
+const APPLE_API_URLS = {
+  Production: 'https://api.storekit.itunes.apple.com',
+  Sandbox: 'https://api.storekit-sandbox.itunes.apple.com'
+};
+
+// Empreinte SHA-256 du certificat racine Apple Root CA - G3 (chaîne x5c des données signées)
+const APPLE_ROOT_CA_SHA256 = process.env.APPLE_ROOT_CA_SHA256 ||
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
+// Statuts de l'App Store Server API → état commun
+const APPLE_SUBSCRIPTION_STATUS = {
+  1: 'active',
+  2: 'expired',
+  3: 'expired', // relance de facturation sans délai de grâce : plus d'accès
+  4: 'grace',
+  5: 'revoked'
+};
+
+const NOTIFICATION_EVENTS = {
+  SUBSCRIBED: 'purchased',
+  DID_RENEW: 'renewed',
+  REFUND: 'refunded',
+  EXPIRED: 'expired',
+  GRACE_PERIOD_EXPIRED: 'expired'
+};
+
+const storeError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Client de l'App Store Server API (jeton ES256 signé avec la clé In-App Purchase)
+const appStoreServerApi = {
+  name: 'app_store_server_api',
+
+  isConfigured() {
+    return Boolean(
+      process.env.APPLE_IAP_KEY_ID &&
+      process.env.APPLE_IAP_ISSUER_ID &&
+      process.env.APPLE_IAP_PRIVATE_KEY &&
+      process.env.APPLE_BUNDLE_ID
+    );
+  },
+
+  createToken() {
+    return jwt.sign({ bid: process.env.APPLE_BUNDLE_ID }, process.env.APPLE_IAP_PRIVATE_KEY.replace(/\\n/g, '\n'), {
+      algorithm: 'ES256',
+      keyid: process.env.APPLE_IAP_KEY_ID,
+      issuer: process.env.APPLE_IAP_ISSUER_ID,
+      audience: 'appstoreconnect-v1',
+      expiresIn: '5m'
+    });
+  },
+
+  // Environnements interrogés dans l'ordre : la sandbox en second recours pour
+  // les builds TestFlight et la revue Apple (APPLE_IAP_SANDBOX_FALLBACK=true)
+  getEnvironments() {
+    const primary = process.env.APPLE_IAP_ENVIRONMENT === 'Sandbox' ? 'Sandbox' : 'Production';
+    return primary === 'Production' && process.env.APPLE_IAP_SANDBOX_FALLBACK === 'true'
+      ? ['Production', 'Sandbox']
+      : [primary];
+  },
+
+  async getSubscriptionStatuses(transactionId) {
+    for (const environment of this.getEnvironments()) {
+      const response = await fetch(`${APPLE_API_URLS[environment]}/inApps/v1/subscriptions/${encodeURIComponent(transactionId)}`, {
+        headers: { Authorization: `Bearer ${this.createToken()}` }
+      });
+
+      if (response.status === 404) {
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`App Store Server API a refusé la requête (${response.status})`);
+      }
+      return response.json();
+    }
+
+    throw storeError('Transaction App Store introuvable', 400, 'INVALID_PURCHASE');
+  },
+
+  // JWS signé par Apple : chaîne x5c vérifiée jusqu'à la racine Apple épinglée
+  decodeSignedData(jws) {
+    const [encodedHeader, encodedPayload, signature] = String(jws || '').split('.');
+    if (!encodedHeader || !encodedPayload || !signature) {
+      throw storeError('Données signées Apple invalides', 400, 'INVALID_SIGNATURE');
+    }
+
+    let header;
+    let chain;
+    try {
+      header = decodeSegment(encodedHeader);
+      chain = (header.x5c || []).map(cert => new crypto.X509Certificate(Buffer.from(cert, 'base64')));
+    } catch (error) {
+      throw storeError('Données signées Apple illisibles', 400, 'INVALID_SIGNATURE');
+    }
+
+    const [leaf, intermediate, root] = chain;
+    const chainValid = header.alg === 'ES256' && chain.length === 3 &&
+      root.fingerprint256 === APPLE_ROOT_CA_SHA256 &&
+      intermediate.verify(root.publicKey) &&
+      leaf.verify(intermediate.publicKey);
+    const signatureValid = chainValid && crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: leaf.publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64url')
+    );
+
+    if (!signatureValid) {
+      throw storeError('Signature Apple invalide', 400, 'INVALID_SIGNATURE');
+    }
+    return decodeSegment(encodedPayload);
+  }
+};
+
+class AppStoreProvider {
+  constructor() {
+    this.name = 'app_store';
+    this.api = appStoreServerApi;
+  }
+
+  // Remplacer le client de l'API (stand-in local, tests...)
+  setApi(api) {
+    this.api = api;
+  }
+
+  isAvailable() {
+    return this.api.isConfigured();
+  }
+
+  checkBundle(bundleId) {
+    if (process.env.APPLE_BUNDLE_ID && bundleId !== process.env.APPLE_BUNDLE_ID) {
+      throw storeError('Achat émis pour une autre application', 400, 'INVALID_PURCHASE');
+    }
+  }
+
+  // État courant de l'abonnement auquel appartient la transaction
+  async getSubscription(transactionId) {
+    const statuses = await this.api.getSubscriptionStatuses(transactionId);
+    this.checkBundle(statuses.bundleId);
+
+    // Une entrée par abonnement du groupe : la plus récente fait foi
+    const candidates = (statuses.data || [])
+      .flatMap(group => group.lastTransactions || [])
+      .map(entry => ({
+        status: entry.status,
+        transaction: this.api.decodeSignedData(entry.signedTransactionInfo),
+        renewal: entry.signedRenewalInfo ? this.api.decodeSignedData(entry.signedRenewalInfo) : {}
+      }))
+      .sort((a, b) => (b.transaction.expiresDate || 0) - (a.transaction.expiresDate || 0));
+
+    if (candidates.length === 0) {
+      throw storeError('Aucun abonnement App Store pour cette transaction', 400, 'INVALID_PURCHASE');
+    }
+
+    const { status, transaction, renewal } = candidates[0];
+    const state = APPLE_SUBSCRIPTION_STATUS[status] || 'expired';
+    const expiresAt = state === 'grace' && renewal.gracePeriodExpiresDate
+      ? renewal.gracePeriodExpiresDate
+      : transaction.expiresDate;
+
+    return {
+      store: this.name,
+      storeSubscriptionId: transaction.originalTransactionId,
+      linkedSubscriptionId: null,
+      productId: transaction.productId,
+      accountId: transaction.appAccountToken || null,
+      state,
+      expiresAt: new Date(expiresAt).toISOString(),
+      autoRenew: renewal.autoRenewStatus === 1,
+      transactionId: transaction.transactionId,
+      price: this.getPrice(transaction),
+      needsAcknowledgement: false
+    };
+  }
+
+  // Prix payé (millièmes de l'unité principale côté Apple), si transmis
+  getPrice(transaction) {
+    if (typeof transaction.price !== 'number' || !transaction.currency) {
+      return null;
+    }
+    return {
+      amount: currencyService.toMinorUnits(transaction.price / 1000, transaction.currency),
+      currency: transaction.currency.toLowerCase()
+    };
+  }
+
+  // Notification App Store Server V2 : { signedPayload }
+  async parseNotification({ body }) {
+    const payload = this.api.decodeSignedData(body?.signedPayload);
+    if (payload.notificationType === 'TEST' || !payload.data?.signedTransactionInfo) {
+      return null;
+    }
+    this.checkBundle(payload.data.bundleId);
+
+    const transaction = this.api.decodeSignedData(payload.data.signedTransactionInfo);
+    return {
+      type: payload.subtype ? `${payload.notificationType}/${payload.subtype}` : payload.notificationType,
+      event: NOTIFICATION_EVENTS[payload.notificationType] || 'updated',
+      storeSubscriptionId: transaction.originalTransactionId,
+      payment: {
+        reference: transaction.transactionId,
+        price: this.getPrice(transaction)
+      }
+    };
+  }
+}
+
+// Export singleton
+const appStoreProvider = new AppStoreProvider();
+module.exports = appStoreProvider;
@@ -0,0 +1,221 @@
+// ===================================================================
+// services/storeProviders/fakeStoreApis.js - STAND-INS LOCAUX DES API DES BOUTIQUES
+// ===================================================================
+// Même interface que les clients réels de appStoreProvider et googlePlayProvider,
+// avec des achats gardés en mémoire : à injecter par setApi() dans les tests, ou au
+// démarrage si IAP_FAKE_STORES=true (hors production, voir iapService).
+// Les données "signées" ne sont pas signées : jamais à utiliser en production.
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// JWS factice : en-tête "none", pas de signature
+const fakeSign = (payload) => `${encodeSegment({ alg: 'none' })}.${encodeSegment(payload)}.`;
+
+// ===================================================================
+// APP STORE
+// ===================================================================
+
+// Statuts de l'App Store Server API
+const APPLE_STATUS = { active: 1, expired: 2, grace: 4, revoked: 5 };
+
+const createFakeAppStoreApi = () => ({
+  name: 'fake_app_store_api',
+  // originalTransactionId → { productId, appAccountToken, state, expiresDate, autoRenew, price, currency, transactions }
+  subscriptions: new Map(),
+
+  isConfigured() {
+    return true;
+  },
+
+  // Achat ou renouvellement : nouvelle transaction, période prolongée de `days` jours
+  purchase({ originalTransactionId = crypto.randomUUID(), productId, appAccountToken = null, days = 30, price = 4990, currency = 'EUR' }) {
+    const existing = this.subscriptions.get(originalTransactionId);
+    const transactionId = crypto.randomUUID();
+    const start = existing && existing.expiresDate > Date.now() ? existing.expiresDate : Date.now();
+
+    this.subscriptions.set(originalTransactionId, {
+      productId: productId || existing?.productId,
+      appAccountToken: appAccountToken || existing?.appAccountToken || null,
+      state: 'active',
+      expiresDate: start + days * DAY_MS,
+      autoRenew: true,
+      price,
+      currency,
+      transactionId
+    });
+    return { originalTransactionId, transactionId };
+  },
+
+  update(originalTransactionId, changes) {
+    Object.assign(this.subscriptions.get(originalTransactionId), changes);
+  },
+
+  findOriginalTransactionId(transactionId) {
+    if (this.subscriptions.has(transactionId)) {
+      return transactionId;
+    }
+    return [...this.subscriptions.entries()].find(([, sub]) => sub.transactionId === transactionId)?.[0] || null;
+  },
+
+  signTransaction(originalTransactionId) {
+    const sub = this.subscriptions.get(originalTransactionId);
+    return fakeSign({
+      originalTransactionId,
+      transactionId: sub.transactionId,
+      productId: sub.productId,
+      appAccountToken: sub.appAccountToken,
+      bundleId: process.env.APPLE_BUNDLE_ID,
+      expiresDate: sub.expiresDate,
+      price: sub.price,
+      currency: sub.currency
+    });
+  },
+
+  async getSubscriptionStatuses(transactionId) {
+    const originalTransactionId = this.findOriginalTransactionId(transactionId);
+    if (!originalTransactionId) {
+      const error = new Error('Transaction App Store introuvable');
+      error.status = 400;
+      error.code = 'INVALID_PURCHASE';
+      throw error;
+    }
+
+    const sub = this.subscriptions.get(originalTransactionId);
+    return {
+      bundleId: process.env.APPLE_BUNDLE_ID,
+      data: [{
+        lastTransactions: [{
+          originalTransactionId,
+          status: APPLE_STATUS[sub.state],
+          signedTransactionInfo: this.signTransaction(originalTransactionId),
+          signedRenewalInfo: fakeSign({ autoRenewStatus: sub.autoRenew ? 1 : 0 })
+        }]
+      }]
+    };
+  },
+
+  decodeSignedData(jws) {
+    return JSON.parse(Buffer.from(String(jws).split('.')[1], 'base64url').toString('utf8'));
+  },
+
+  // Corps de notification App Store Server V2 (SUBSCRIBED, DID_RENEW, REFUND, EXPIRED...)
+  buildNotification(notificationType, originalTransactionId, subtype = null) {
+    return {
+      headers: {},
+      body: {
+        signedPayload: fakeSign({
+          notificationType,
+          subtype,
+          data: {
+            bundleId: process.env.APPLE_BUNDLE_ID,
+            signedTransactionInfo: this.signTransaction(originalTransactionId)
+          }
+        })
+      }
+    };
+  }
+});
+
+// ===================================================================
+// GOOGLE PLAY
+// ===================================================================
+
+const GOOGLE_STATES = {
+  active: 'SUBSCRIPTION_STATE_ACTIVE',
+  canceled: 'SUBSCRIPTION_STATE_CANCELED',
+  grace: 'SUBSCRIPTION_STATE_IN_GRACE_PERIOD',
+  expired: 'SUBSCRIPTION_STATE_EXPIRED',
+  pending: 'SUBSCRIPTION_STATE_PENDING'
+};
+
+const createFakeGooglePlayApi = () => ({
+  name: 'fake_google_play_api',
+  // purchaseToken → { productId, accountId, state, expiryTime, autoRenew, units, currencyCode, orderId, acknowledged, linkedPurchaseToken }
+  purchases: new Map(),
+
+  isConfigured() {
+    return true;
+  },
+
+  purchase({ purchaseToken = crypto.randomBytes(24).toString('hex'), productId, accountId = null, days = 30, units = 4, currencyCode = 'EUR', linkedPurchaseToken = null }) {
+    const existing = this.purchases.get(purchaseToken);
+    const start = existing && new Date(existing.expiryTime) > new Date() ? new Date(existing.expiryTime).getTime() : Date.now();
+    const orderId = `GPA.fake-${crypto.randomBytes(4).toString('hex')}`;
+
+    this.purchases.set(purchaseToken, {
+      productId: productId || existing?.productId,
+      accountId: accountId || existing?.accountId || null,
+      state: 'active',
+      expiryTime: new Date(start + days * DAY_MS).toISOString(),
+      autoRenew: true,
+      units,
+      currencyCode,
+      orderId,
+      acknowledged: existing?.acknowledged || false,
+      linkedPurchaseToken
+    });
+    return { purchaseToken, orderId };
+  },
+
+  update(purchaseToken, changes) {
+    Object.assign(this.purchases.get(purchaseToken), changes);
+  },
+
+  async getSubscription(purchaseToken) {
+    const purchase = this.purchases.get(purchaseToken);
+    if (!purchase) {
+      const error = new Error('Achat Google Play introuvable');
+      error.status = 400;
+      error.code = 'INVALID_PURCHASE';
+      throw error;
+    }
+
+    return {
+      subscriptionState: GOOGLE_STATES[purchase.state],
+      latestOrderId: purchase.orderId,
+      linkedPurchaseToken: purchase.linkedPurchaseToken,
+      acknowledgementState: purchase.acknowledged ? 'ACKNOWLEDGEMENT_STATE_ACKNOWLEDGED' : 'ACKNOWLEDGEMENT_STATE_PENDING',
+      externalAccountIdentifiers: purchase.accountId ? { obfuscatedExternalAccountId: purchase.accountId } : undefined,
+      lineItems: [{
+        productId: purchase.productId,
+        expiryTime: purchase.expiryTime,
+        autoRenewingPlan: {
+          autoRenewEnabled: purchase.autoRenew,
+          recurringPrice: { currencyCode: purchase.currencyCode, units: String(purchase.units), nanos: 990000000 }
+        }
+      }]
+    };
+  },
+
+  async acknowledgeSubscription(productId, purchaseToken) {
+    this.purchases.get(purchaseToken).acknowledged = true;
+  },
+
+  async verifyPushRequest() {},
+
+  // Push Pub/Sub d'une notification d'abonnement (notificationType) ou d'un achat annulé (voided)
+  buildNotification(notificationType, purchaseToken, { voided = false } = {}) {
+    const purchase = this.purchases.get(purchaseToken);
+    const notification = {
+      packageName: process.env.GOOGLE_PLAY_PACKAGE_NAME,
+      ...(voided
+        ? { voidedPurchaseNotification: { purchaseToken, orderId: purchase.orderId, productType: 1 } }
+        : { subscriptionNotification: { notificationType, purchaseToken, subscriptionId: purchase.productId } })
+    };
+
+    return {
+      headers: {},
+      body: {
+        message: {
+          data: Buffer.from(JSON.stringify(notification)).toString('base64'),
+          messageId: crypto.randomUUID()
+        }
+      }
+    };
+  }
+});
+
+module.exports = { createFakeAppStoreApi, createFakeGooglePlayApi };
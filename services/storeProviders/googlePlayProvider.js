@@ -0,0 +1,224 @@
+// ===================================================================
+// services/storeProviders/googlePlayProvider.js - ABONNEMENTS GOOGLE PLAY (ANDROID)
+// ===================================================================
+// L'application envoie le purchaseToken ; l'état est relu avec l'API Google Play
+// Developer (purchases.subscriptionsv2) via le compte de service GOOGLE_PLAY_SERVICE_ACCOUNT.
+// Les notifications en temps réel arrivent par un abonnement push Pub/Sub, authentifié
+// par le jeton OIDC que Pub/Sub joint à chaque requête.
+// Un achat doit être confirmé (acknowledge) sous 3 jours, sinon Google le rembourse.
+// L'appel à l'API est isolé dans un objet api, remplaçable par setApi() :
+// { name, isConfigured(), getSubscription(token), acknowledgeSubscription(productId, token), verifyPushRequest(headers) }
+// (voir fakeStoreApis pour le stand-in local). Interface commune : voir iapService.
+const { GoogleAuth, OAuth2Client } = require('google-auth-library');
+const currencyService = require('../currencyService');
+
+const ANDROID_PUBLISHER_URL = 'https://androidpublisher.googleapis.com/androidpublisher/v3';
+
+// subscriptionState → état commun (CANCELED : renouvellement coupé, accès jusqu'à l'échéance)
+const GOOGLE_SUBSCRIPTION_STATES = {
+  SUBSCRIPTION_STATE_ACTIVE: 'active',
+  SUBSCRIPTION_STATE_CANCELED: 'active',
+  SUBSCRIPTION_STATE_IN_GRACE_PERIOD: 'grace',
+  SUBSCRIPTION_STATE_ON_HOLD: 'expired',
+  SUBSCRIPTION_STATE_PAUSED: 'expired',
+  SUBSCRIPTION_STATE_EXPIRED: 'expired',
+  SUBSCRIPTION_STATE_PENDING: 'pending',
+  SUBSCRIPTION_STATE_PENDING_PURCHASE_CANCELED: 'expired'
+};
+
+// subscriptionNotification.notificationType
+const NOTIFICATION_EVENTS = {
+  1: 'renewed', // RECOVERED
+  2: 'renewed', // RENEWED
+  4: 'purchased', // PURCHASED
+  7: 'renewed', // RESTARTED
+  12: 'refunded', // REVOKED
+  13: 'expired' // EXPIRED
+};
+
+const storeError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Client de l'API Google Play Developer
+const googlePlayDeveloperApi = {
+  name: 'google_play_developer_api',
+  client: null,
+
+  isConfigured() {
+    return Boolean(process.env.GOOGLE_PLAY_PACKAGE_NAME && process.env.GOOGLE_PLAY_SERVICE_ACCOUNT);
+  },
+
+  async getClient() {
+    if (!this.client) {
+      const auth = new GoogleAuth({
+        credentials: JSON.parse(process.env.GOOGLE_PLAY_SERVICE_ACCOUNT),
+        scopes: ['https://www.googleapis.com/auth/androidpublisher']
+      });
+      this.client = await auth.getClient();
+    }
+    return this.client;
+  },
+
+  getPackageUrl() {
+    return `${ANDROID_PUBLISHER_URL}/applications/${encodeURIComponent(process.env.GOOGLE_PLAY_PACKAGE_NAME)}`;
+  },
+
+  async getSubscription(purchaseToken) {
+    const client = await this.getClient();
+    try {
+      const { data } = await client.request({
+        url: `${this.getPackageUrl()}/purchases/subscriptionsv2/tokens/${encodeURIComponent(purchaseToken)}`
+      });
+      return data;
+    } catch (error) {
+      if ([400, 404, 410].includes(error.response?.status)) {
+        throw storeError('Achat Google Play introuvable', 400, 'INVALID_PURCHASE');
+      }
+      throw error;
+    }
+  },
+
+  async acknowledgeSubscription(productId, purchaseToken) {
+    const client = await this.getClient();
+    await client.request({
+      url: `${this.getPackageUrl()}/purchases/subscriptions/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(purchaseToken)}:acknowledge`,
+      method: 'POST',
+      data: {}
+    });
+  },
+
+  // Jeton OIDC du push Pub/Sub : audience et compte de service configurés sur l'abonnement push
+  async verifyPushRequest(headers) {
+    const token = (headers.authorization || '').replace(/^Bearer /, '');
+    if (!token || !process.env.GOOGLE_PLAY_PUSH_AUDIENCE) {
+      throw storeError('Notification Google Play non authentifiée', 401, 'INVALID_SIGNATURE');
+    }
+
+    try {
+      const ticket = await new OAuth2Client().verifyIdToken({
+        idToken: token,
+        audience: process.env.GOOGLE_PLAY_PUSH_AUDIENCE
+      });
+      const payload = ticket.getPayload();
+      if (process.env.GOOGLE_PLAY_PUSH_SERVICE_ACCOUNT && payload.email !== process.env.GOOGLE_PLAY_PUSH_SERVICE_ACCOUNT) {
+        throw new Error('Compte de service inattendu');
+      }
+    } catch (error) {
+      throw storeError('Notification Google Play non authentifiée', 401, 'INVALID_SIGNATURE');
+    }
+  }
+};
+
+class GooglePlayProvider {
+  constructor() {
+    this.name = 'google_play';
+    this.api = googlePlayDeveloperApi;
+  }
+
+  // Remplacer le client de l'API (stand-in local, tests...)
+  setApi(api) {
+    this.api = api;
+  }
+
+  isAvailable() {
+    return this.api.isConfigured();
+  }
+
+  // État courant de l'abonnement du purchaseToken
+  async getSubscription(purchaseToken) {
+    const purchase = await this.api.getSubscription(purchaseToken);
+    const lineItem = [...(purchase.lineItems || [])]
+      .sort((a, b) => new Date(b.expiryTime) - new Date(a.expiryTime))[0];
+
+    if (!lineItem) {
+      throw storeError('Achat Google Play sans abonnement', 400, 'INVALID_PURCHASE');
+    }
+
+    let state = GOOGLE_SUBSCRIPTION_STATES[purchase.subscriptionState] || 'expired';
+    if (state === 'active' && new Date(lineItem.expiryTime) <= new Date()) {
+      state = 'expired';
+    }
+
+    return {
+      store: this.name,
+      storeSubscriptionId: purchaseToken,
+      // Ancien jeton remplacé par ce nouvel achat (changement de plan, réabonnement)
+      linkedSubscriptionId: purchase.linkedPurchaseToken || null,
+      productId: lineItem.productId,
+      accountId: purchase.externalAccountIdentifiers?.obfuscatedExternalAccountId || null,
+      state,
+      expiresAt: new Date(lineItem.expiryTime).toISOString(),
+      autoRenew: Boolean(lineItem.autoRenewingPlan?.autoRenewEnabled),
+      transactionId: purchase.latestOrderId || null,
+      price: this.getPrice(lineItem.autoRenewingPlan?.recurringPrice),
+      needsAcknowledgement: purchase.acknowledgementState === 'ACKNOWLEDGEMENT_STATE_PENDING'
+    };
+  }
+
+  // Prix renouvelé (google.type.Money : units + nanos)
+  getPrice(money) {
+    if (!money || !money.currencyCode) {
+      return null;
+    }
+    const amount = Number(money.units || 0) + (money.nanos || 0) / 1e9;
+    return {
+      amount: currencyService.toMinorUnits(amount, money.currencyCode),
+      currency: money.currencyCode.toLowerCase()
+    };
+  }
+
+  async acknowledge(storeSubscription) {
+    if (!storeSubscription.needsAcknowledgement) {
+      return;
+    }
+    await this.api.acknowledgeSubscription(storeSubscription.productId, storeSubscription.storeSubscriptionId);
+    console.log('✅ Achat Google Play confirmé:', storeSubscription.productId);
+  }
+
+  // Push Pub/Sub : { message: { data: base64(DeveloperNotification) } }
+  async parseNotification({ headers, body }) {
+    await this.api.verifyPushRequest(headers);
+
+    let notification;
+    try {
+      notification = JSON.parse(Buffer.from(body?.message?.data || '', 'base64').toString('utf8'));
+    } catch (error) {
+      throw storeError('Notification Google Play illisible', 400, 'INVALID_NOTIFICATION');
+    }
+
+    if (process.env.GOOGLE_PLAY_PACKAGE_NAME && notification.packageName !== process.env.GOOGLE_PLAY_PACKAGE_NAME) {
+      throw storeError('Notification émise pour une autre application', 400, 'INVALID_NOTIFICATION');
+    }
+
+    // Remboursement ou rétrofacturation
+    const voided = notification.voidedPurchaseNotification;
+    if (voided) {
+      return {
+        type: 'VOIDED_PURCHASE',
+        event: 'refunded',
+        storeSubscriptionId: voided.purchaseToken,
+        payment: { reference: voided.orderId, price: null }
+      };
+    }
+
+    const subscription = notification.subscriptionNotification;
+    if (!subscription) {
+      return null;
+    }
+    return {
+      type: `SUBSCRIPTION_${subscription.notificationType}`,
+      event: NOTIFICATION_EVENTS[subscription.notificationType] || 'updated',
+      storeSubscriptionId: subscription.purchaseToken,
+      // Référence et prix du paiement : ceux de l'état relu (latestOrderId)
+      payment: null
+    };
+  }
+}
+
+// Export singleton
+const googlePlayProvider = new GooglePlayProvider();
+module.exports = googlePlayProvider;
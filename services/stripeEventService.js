@@ -0,0 +1,281 @@
+// ===================================================================
+// services/stripeEventService.js - JOURNAL ET TRAITEMENT DES WEBHOOKS STRIPE
+// ===================================================================
+// Chaque événement vérifié est enregistré dans stripe_events (id = id Stripe) :
+// - received   : enregistré, pas encore traité
+// - processing : en cours de traitement
+// - processed  : traité avec succès
+// - failed     : le handler a levé une erreur (rejoué par Stripe ou par un admin)
+// - stale      : état d'abonnement plus ancien qu'un événement déjà traité, ignoré
+// - ignored    : type d'événement sans handler
+// Un id déjà traité n'est jamais rejoué, ce qui rend les relances Stripe sans effet.
+const { createClient } = require('@supabase/supabase-js');
+const subscriptionService = require('./subscriptionService');
+const trialService = require('./trialService');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Un traitement bloqué plus longtemps (processus arrêté en cours de route) peut être repris
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Événements qui transportent l'état complet de l'abonnement : un état plus ancien
+// que le dernier appliqué écraserait des données plus récentes.
+// La suppression est définitive et s'applique toujours.
+const SNAPSHOT_EVENT_TYPES = [
+  'customer.subscription.created',
+  'customer.subscription.updated'
+];
+const SUBSCRIPTION_EVENT_TYPES = [...SNAPSHOT_EVENT_TYPES, 'customer.subscription.deleted'];
+
+class StripeEventService {
+  constructor() {
+    console.log('🪝 StripeEventService initialisé');
+
+    this.handlers = {
+      'checkout.session.completed': session => subscriptionService.handleCheckoutCompleted(session),
+      'invoice.paid': invoice => subscriptionService.handleInvoicePaid(invoice),
+      'invoice.payment_failed': invoice => subscriptionService.handleInvoicePaymentFailed(invoice),
+      'payment_intent.succeeded': paymentIntent => subscriptionService.handleSuccessfulPayment(paymentIntent),
+      'customer.subscription.created': subscription => subscriptionService.handleSubscriptionUpdate(subscription),
+      'customer.subscription.updated': subscription => subscriptionService.handleSubscriptionUpdate(subscription),
+      'customer.subscription.deleted': subscription => subscriptionService.handleSubscriptionCancellation(subscription),
+      'customer.subscription.trial_will_end': subscription => trialService.handleTrialWillEnd(subscription)
+    };
+  }
+
+  // Objet Stripe concerné, pour comparer l'ordre des événements
+  getObjectId(event) {
+    const object = event.data.object;
+    if (event.type.startsWith('customer.subscription.')) {
+      return object.id;
+    }
+    return object.subscription || object.id;
+  }
+
+  // ===================================================================
+  // JOURNAL
+  // ===================================================================
+
+  async recordEvent(event) {
+    const { data: inserted, error } = await supabase
+      .from('stripe_events')
+      .insert([{
+        id: event.id,
+        type: event.type,
+        object_id: this.getObjectId(event),
+        livemode: event.livemode,
+        event_created: new Date(event.created * 1000).toISOString(),
+        payload: event,
+        status: 'received',
+        attempts: 0,
+        received_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    // Id déjà connu : relance Stripe ou livraison en double
+    if (error?.code === '23505') {
+      const { data: existing, error: fetchError } = await supabase
+        .from('stripe_events')
+        .select('*')
+        .eq('id', event.id)
+        .single();
+
+      if (fetchError) throw fetchError;
+      return { record: existing, duplicate: true };
+    }
+    if (error) throw error;
+
+    return { record: inserted, duplicate: false };
+  }
+
+  isRetryable(record) {
+    if (['received', 'failed'].includes(record.status)) {
+      return true;
+    }
+    return record.status === 'processing' &&
+      Date.now() - new Date(record.updated_at || record.received_at).getTime() > PROCESSING_TIMEOUT_MS;
+  }
+
+  // Prendre la main sur l'événement (mise à jour conditionnelle sur le nombre de tentatives)
+  async claimEvent(record) {
+    const { data: claimed, error } = await supabase
+      .from('stripe_events')
+      .update({
+        status: 'processing',
+        attempts: record.attempts + 1,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', record.id)
+      .eq('attempts', record.attempts)
+      .select('id');
+
+    if (error) throw error;
+    return Boolean(claimed && claimed.length > 0);
+  }
+
+  async setStatus(eventId, status, extra = {}) {
+    const { error } = await supabase
+      .from('stripe_events')
+      .update({
+        status,
+        ...extra,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', eventId);
+
+    if (error) {
+      console.error(`❌ Erreur mise à jour statut événement ${eventId}:`, error);
+    }
+  }
+
+  // Un événement déjà traité pour le même objet est-il plus récent que celui-ci ?
+  async findNewerProcessedEvent(record, { types } = {}) {
+    if (!record.object_id) {
+      return null;
+    }
+
+    let query = supabase
+      .from('stripe_events')
+      .select('id, type, event_created')
+      .eq('object_id', record.object_id)
+      .eq('status', 'processed')
+      .gt('event_created', record.event_created)
+      .order('event_created', { ascending: false })
+      .limit(1);
+
+    if (types) query = query.in('type', types);
+
+    const { data: newer, error } = await query;
+
+    if (error) throw error;
+    return newer && newer.length > 0 ? newer[0] : null;
+  }
+
+  // ===================================================================
+  // TRAITEMENT
+  // ===================================================================
+
+  // Point d'entrée du webhook : enregistrer puis traiter un événement vérifié
+  async handleEvent(event) {
+    const { record, duplicate } = await this.recordEvent(event);
+
+    if (duplicate && !this.isRetryable(record)) {
+      console.log(`ℹ️ Événement ${event.id} déjà reçu (${record.status}), ignoré`);
+      return { eventId: event.id, status: record.status, duplicate: true };
+    }
+
+    return this.processRecord(record);
+  }
+
+  async processRecord(record) {
+    const event = record.payload;
+
+    if (!(await this.claimEvent(record))) {
+      console.log(`ℹ️ Événement ${record.id} déjà pris en charge par un autre traitement`);
+      return { eventId: record.id, status: 'processing', duplicate: true };
+    }
+
+    const handler = this.handlers[record.type];
+    if (!handler) {
+      console.log(`⚠️ Événement webhook non géré: ${record.type}`);
+      await this.setStatus(record.id, 'ignored', { processed_at: new Date().toISOString() });
+      return { eventId: record.id, status: 'ignored' };
+    }
+
+    try {
+      const isSnapshot = SNAPSHOT_EVENT_TYPES.includes(record.type);
+      const newer = await this.findNewerProcessedEvent(record, {
+        types: isSnapshot ? SUBSCRIPTION_EVENT_TYPES : undefined
+      });
+
+      if (newer && isSnapshot) {
+        console.warn(`⏪ Événement ${record.id} plus ancien que ${newer.id} (${newer.type}), non appliqué`);
+        await this.setStatus(record.id, 'stale', {
+          out_of_order: true,
+          processed_at: new Date().toISOString()
+        });
+        return { eventId: record.id, status: 'stale', outOfOrder: true };
+      }
+
+      console.log(`🪝 Traitement ${record.type} (${record.id}), tentative ${record.attempts + 1}`);
+      await handler(event.data.object);
+
+      await this.setStatus(record.id, 'processed', {
+        out_of_order: Boolean(newer),
+        last_error: null,
+        processed_at: new Date().toISOString()
+      });
+      return { eventId: record.id, status: 'processed', outOfOrder: Boolean(newer) };
+    } catch (error) {
+      console.error(`❌ Échec traitement événement ${record.id}:`, error.message);
+      await this.setStatus(record.id, 'failed', { last_error: error.message });
+      error.eventId = record.id;
+      throw error;
+    }
+  }
+
+  // ===================================================================
+  // ADMINISTRATION
+  // ===================================================================
+
+  async listEvents({ status, type, limit = 50 } = {}) {
+    let query = supabase
+      .from('stripe_events')
+      .select('id, type, object_id, event_created, status, attempts, last_error, out_of_order, received_at, processed_at')
+      .order('event_created', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data: events, error } = await query;
+    if (error) throw error;
+    return events || [];
+  }
+
+  // Rejouer les événements en échec (ou un événement précis), du plus ancien au plus récent
+  async replayFailedEvents({ eventId, limit = 100 } = {}) {
+    let query = supabase
+      .from('stripe_events')
+      .select('*')
+      .order('event_created', { ascending: true })
+      .limit(limit);
+
+    query = eventId ? query.eq('id', eventId) : query.eq('status', 'failed');
+
+    const { data: records, error } = await query;
+    if (error) throw error;
+
+    const results = { replayed: 0, processed: 0, failed: 0, skipped: 0, events: [] };
+
+    for (const record of records || []) {
+      if (!this.isRetryable(record)) {
+        results.skipped++;
+        results.events.push({ eventId: record.id, status: record.status, skipped: true });
+        continue;
+      }
+
+      results.replayed++;
+      try {
+        const outcome = await this.processRecord(record);
+        results.processed++;
+        results.events.push(outcome);
+      } catch (replayError) {
+        results.failed++;
+        results.events.push({ eventId: record.id, status: 'failed', error: replayError.message });
+      }
+    }
+
+    console.log(`🔁 Rejeu webhooks: ${results.processed} traités, ${results.failed} échecs, ${results.skipped} ignorés`);
+    return results;
+  }
+}
+
+// Export singleton
+const stripeEventService = new StripeEventService();
+module.exports = stripeEventService;
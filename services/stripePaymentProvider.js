@@ -0,0 +1,56 @@
+// ===================================================================
+// services/stripePaymentProvider.js - FOURNISSEUR DE PAIEMENT STRIPE (CARTE)
+// ===================================================================
+// Abonnement récurrent : Stripe renouvelle seul et confirme par ses propres
+// webhooks (voir stripeEventService), d'où l'absence de parseCallback/getPaymentStatus.
+// Interface commune des fournisseurs : voir paymentService.
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const CHECKOUT_SESSION_TTL_SECONDS = 30 * 60;
+
+const stripePaymentProvider = {
+  name: 'stripe',
+  recurring: true,
+
+  isAvailable() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  },
+
+  // Session Stripe Checkout en mode abonnement
+  async createCheckout({ user, plan, trialDays, successUrl, cancelUrl }) {
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [{
+        price: plan.stripePriceId,
+        quantity: 1,
+      }],
+      mode: 'subscription',
+      success_url: `${successUrl}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl,
+      customer_email: user.email,
+      client_reference_id: user.id,
+      metadata: {
+        userId: user.id,
+        planId: plan.id
+      },
+      subscription_data: {
+        ...(trialDays && { trial_period_days: trialDays }),
+        metadata: {
+          userId: user.id,
+          planId: plan.id
+        }
+      },
+      allow_promotion_codes: true,
+      billing_address_collection: 'required',
+      expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_TTL_SECONDS,
+    });
+
+    return {
+      sessionId: session.id,
+      checkoutUrl: session.url,
+      providerReference: session.id
+    };
+  }
+};
+
+module.exports = stripePaymentProvider;
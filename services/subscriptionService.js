@@ -3,6 +3,52 @@
 // ===================================================================
 const { createClient } = require('@supabase/supabase-js');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const dunningService = require('./dunningService');
+const trialService = require('./trialService');
+const planService = require('./planService');
+const entitlementService = require('./entitlementService');
+const usageService = require('./usageService');
+const stripePaymentProvider = require('./stripePaymentProvider');
+const currencyService = require('./currencyService');
+
+// Durée de vie du statut d'abonnement en cache : Stripe n'est interrogé qu'à l'expiration,
+// les webhooks invalident l'entrée dès qu'un changement arrive.
+// Le cache est propre à chaque instance et seule celle qui reçoit le webhook est
+// invalidée : sur les autres, un statut peut rester périmé jusqu'à cette durée.
+const SUBSCRIPTION_CACHE_TTL_MS = (parseInt(process.env.SUBSCRIPTION_CACHE_TTL_SECONDS, 10) || 300) * 1000;
+// Taille maximale du cache : au-delà, les entrées les plus anciennes sont retirées
+const SUBSCRIPTION_CACHE_MAX_ENTRIES = parseInt(process.env.SUBSCRIPTION_CACHE_MAX_ENTRIES, 10) || 10000;
+// Intervalle minimal entre deux purges des entrées expirées
+const SUBSCRIPTION_CACHE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Ordre des intervalles de facturation pour comparer deux plans
+const INTERVAL_RANK = { day: 0, week: 1, month: 2, year: 3 };
+
+// Durée de validité d'un aperçu de changement de plan (date de proratisation)
+const PLAN_CHANGE_PREVIEW_TTL_SECONDS = 30 * 60;
+
+// Fin d'une période de facturation commençant à start
+function addBillingInterval(start, interval) {
+  const end = new Date(start);
+  if (interval === 'year') {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  } else if (interval === 'week') {
+    end.setUTCDate(end.getUTCDate() + 7);
+  } else if (interval === 'day') {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  }
+  return end;
+}
+
+// Erreur de gestion d'abonnement avec code exploitable par les routes
+function billingError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
 
 // Initialisation Supabase
 const supabase = createClient(
@@ -14,18 +60,12 @@ class SubscriptionService {
   constructor() {
     console.log('💳 SubscriptionService initialisé');
     
-    // Définition des fonctionnalités premium
-    this.premiumFeatures = [
-      'grammar_full',
-      'sentence_construction',
-      'sentence_gap',
-      'exercise_unlimited',
-      'offline_mode',
-      'google_drive_sync',
-      'advanced_stats',
-      'custom_audio_upload',
-      'priority_support'
-    ];
+    // Les fonctionnalités accordées par palier/plan sont en base (voir entitlementService)
+    // Droits calculés par requête, partagés entre les middlewares d'accès
+    this.requestEntitlements = new WeakMap();
+    // Statut vérifié par compte payeur : { result, syncedAt, expiresAt }
+    this.statusCache = new Map();
+    this.statusCacheSweptAt = 0;
 
     // Vérifications de configuration
     if (!process.env.STRIPE_SECRET_KEY) {
@@ -69,11 +109,112 @@ class SubscriptionService {
   // ===================================================================
   // VÉRIFICATION D'ABONNEMENT
   // ===================================================================
-  async verifyUserSubscription(userId) {
+
+  // Statut Stripe → statut local (active, past_due ou cancelled)
+  mapStripeStatus(stripeStatus) {
+    if (['active', 'trialing'].includes(stripeStatus)) {
+      return 'active';
+    }
+    // Renouvellement en échec, Stripe relance encore : délai de grâce
+    if (stripeStatus === 'past_due') {
+      return 'past_due';
+    }
+    return 'cancelled';
+  }
+
+  // ===================================================================
+  // CACHE DU STATUT D'ABONNEMENT
+  // ===================================================================
+
+  getCachedStatus(userId) {
+    const entry = this.statusCache.get(userId);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() >= entry.expiresAt) {
+      this.statusCache.delete(userId);
+      return null;
+    }
+    return entry;
+  }
+
+  // L'entrée expire au plus tard à la prochaine échéance connue (fin d'essai,
+  // fin du délai de grâce, expiration) pour ne jamais prolonger un accès
+  cacheStatus(userId, result) {
+    const now = Date.now();
+    const deadlines = [result.trialEndsAt, result.gracePeriodEndsAt, result.isPremium ? result.expiresAt : null]
+      .filter(Boolean)
+      .map(date => new Date(date).getTime())
+      .filter(time => time > now);
+
+    const entry = {
+      result,
+      syncedAt: new Date(now).toISOString(),
+      expiresAt: Math.min(now + SUBSCRIPTION_CACHE_TTL_MS, ...deadlines)
+    };
+    // Réinsertion : l'ordre de la Map reste celui des écritures, du plus ancien au plus récent
+    this.statusCache.delete(userId);
+    this.statusCache.set(userId, entry);
+    this.pruneStatusCache(now);
+    return entry;
+  }
+
+  // Les entrées expirées de comptes qui ne reviennent pas ne sont jamais relues :
+  // purge périodique à l'écriture, puis retrait des plus anciennes au-delà de la taille maximale
+  pruneStatusCache(now = Date.now()) {
+    if (now - this.statusCacheSweptAt >= SUBSCRIPTION_CACHE_SWEEP_INTERVAL_MS) {
+      this.statusCacheSweptAt = now;
+      for (const [userId, entry] of this.statusCache) {
+        if (now >= entry.expiresAt) {
+          this.statusCache.delete(userId);
+        }
+      }
+    }
+
+    for (const userId of this.statusCache.keys()) {
+      if (this.statusCache.size <= SUBSCRIPTION_CACHE_MAX_ENTRIES) {
+        break;
+      }
+      this.statusCache.delete(userId);
+    }
+  }
+
+  // Appelée après toute modification de l'abonnement (webhooks, annulation...)
+  invalidateSubscriptionStatus(userId) {
+    if (userId && this.statusCache.delete(userId)) {
+      console.log('🧹 Statut d\'abonnement en cache invalidé pour userId:', userId);
+    }
+  }
+
+  // Les profils enfants partagent l'abonnement de leur parent
+  async resolveBillingUserId(userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('guardian_id')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('⚠️ Erreur résolution compte payeur:', error.message);
+      return userId;
+    }
+    return user?.guardian_id || userId;
+  }
+
+  // source indique l'origine de la réponse : cache, synchronisation Stripe ou base seule.
+  // forceSync ignore le cache (retour de paiement, action explicite de l'utilisateur).
+  async verifyUserSubscription(requestedUserId, { forceSync = false } = {}) {
     try {
+      const userId = await this.resolveBillingUserId(requestedUserId);
+
+      const cached = !forceSync && this.getCachedStatus(userId);
+      if (cached) {
+        return { ...cached.result, source: 'cache', syncedAt: cached.syncedAt };
+      }
+
       console.log('🔍 Vérification abonnement pour userId:', userId);
       
-      const { data: subscription, error } = await supabase
+      let { data: subscription, error } = await supabase
         .from('subscriptions')
         .select('*')
         .eq('user_id', userId)
@@ -93,14 +234,18 @@ class SubscriptionService {
             created_at: new Date().toISOString()
           }]);
 
-        return {
+        const freeStatus = {
           isPremium: false,
+          isTrial: false,
           tier: 'free',
           status: 'active',
           expiresAt: null,
+          trialEndsAt: null,
           billingPeriod: null,
           planId: 'free_plan'
         };
+        const { syncedAt } = this.cacheStatus(userId, freeStatus);
+        return { ...freeStatus, source: 'database', syncedAt };
       }
 
       if (error) {
@@ -108,14 +253,15 @@ class SubscriptionService {
         throw error;
       }
 
-      // Vérifier l'expiration
-      let isActive = subscription.status === 'active';
-      if (subscription.expires_at && new Date() > new Date(subscription.expires_at)) {
+      // Vérifier l'expiration (ignorée pendant le délai de grâce d'un paiement en échec)
+      let isActive = subscription.status === 'active' || dunningService.isInGracePeriod(subscription);
+      if (subscription.status === 'active' && subscription.expires_at && new Date() > new Date(subscription.expires_at)) {
         isActive = false;
         console.log('⏰ Abonnement expiré');
       }
 
       // Si abonnement Stripe, vérifier côté Stripe
+      let source = 'database';
       if (subscription.stripe_subscription_id && isActive) {
         try {
           console.log('🔄 Vérification Stripe pour:', subscription.stripe_subscription_id);
@@ -124,54 +270,85 @@ class SubscriptionService {
             subscription.stripe_subscription_id
           );
           
-          const stripeIsActive = ['active', 'trialing'].includes(stripeSubscription.status);
+          const stripeStatus = this.mapStripeStatus(stripeSubscription.status);
           
           // Mettre à jour en base si statut différent
-          if (isActive !== stripeIsActive) {
-            console.log('🔄 Mise à jour statut depuis Stripe:', stripeIsActive);
+          if (stripeStatus !== subscription.status) {
+            console.log('🔄 Mise à jour statut depuis Stripe:', stripeStatus);
             
-            await supabase
-              .from('subscriptions')
-              .update({
-                status: stripeIsActive ? 'active' : 'cancelled',
-                expires_at: stripeIsActive ? 
-                  new Date(stripeSubscription.current_period_end * 1000).toISOString() : 
-                  new Date().toISOString()
-              })
-              .eq('user_id', userId);
+            if (stripeStatus === 'past_due') {
+              subscription = await dunningService.startGracePeriod(userId);
+            } else {
+              await supabase
+                .from('subscriptions')
+                .update({
+                  status: stripeStatus,
+                  expires_at: stripeStatus === 'active' ? 
+                    new Date(stripeSubscription.current_period_end * 1000).toISOString() : 
+                    new Date().toISOString()
+                })
+                .eq('user_id', userId);
+
+              if (stripeStatus === 'active') {
+                await dunningService.clearGracePeriod(userId);
+              }
+              subscription = { ...subscription, status: stripeStatus };
+            }
           }
           
-          isActive = stripeIsActive;
+          isActive = stripeStatus === 'active' || dunningService.isInGracePeriod(subscription);
+          source = 'stripe';
         } catch (stripeError) {
           console.error('⚠️ Erreur vérification Stripe:', stripeError.message);
           // Continuer avec les données locales en cas d'erreur Stripe
         }
       }
 
+      const inGracePeriod = isActive && dunningService.isInGracePeriod(subscription);
+      // Essai en cours : premium actif mais aucun paiement encore encaissé
+      const isTrial = isActive && Boolean(subscription.trial_ends_at) && new Date() < new Date(subscription.trial_ends_at);
+
       const result = {
         isPremium: isActive && subscription.tier === 'premium',
+        isTrial,
         tier: isActive ? subscription.tier : 'free',
-        status: isActive ? 'active' : 'expired',
+        status: inGracePeriod ? 'past_due' : (isActive ? 'active' : 'expired'),
+        gracePeriodEndsAt: inGracePeriod ? subscription.grace_period_ends_at : null,
         expiresAt: subscription.expires_at,
+        trialEndsAt: isTrial ? subscription.trial_ends_at : null,
         billingPeriod: subscription.billing_period,
+        currency: subscription.currency || null,
         planId: subscription.plan_id || (subscription.tier === 'premium' ? 'premium_plan' : 'free_plan'),
-        stripeSubscriptionId: subscription.stripe_subscription_id
+        stripeSubscriptionId: subscription.stripe_subscription_id,
+        cancelAtPeriodEnd: isActive && Boolean(subscription.cancel_at_period_end),
+        // Les pass (mobile money...) ne se renouvellent pas
+        provider: subscription.provider || (subscription.stripe_subscription_id ? 'stripe' : null),
+        autoRenew: isActive && Boolean(subscription.stripe_subscription_id || subscription.provider_subscription_id) &&
+          !subscription.cancel_at_period_end,
+        pendingChange: isActive && subscription.pending_plan_id
+          ? { planId: subscription.pending_plan_id, effectiveAt: subscription.pending_plan_effective_at }
+          : null
       };
 
+      const { syncedAt } = this.cacheStatus(userId, result);
       console.log('✅ Statut abonnement:', result);
-      return result;
+      return { ...result, source, syncedAt };
       
     } catch (error) {
       console.error('❌ Erreur verifyUserSubscription:', error);
       
-      // Retourner un abonnement gratuit en cas d'erreur
+      // Retourner un abonnement gratuit en cas d'erreur (jamais mis en cache)
       return {
         isPremium: false,
+        isTrial: false,
         tier: 'free',
         status: 'active',
         expiresAt: null,
+        trialEndsAt: null,
         billingPeriod: null,
-        planId: 'free_plan'
+        planId: 'free_plan',
+        source: 'fallback',
+        syncedAt: null
       };
     }
   }
@@ -179,20 +356,50 @@ class SubscriptionService {
   // ===================================================================
   // VÉRIFICATION D'ACCÈS AUX FONCTIONNALITÉS
   // ===================================================================
+
+  // Ensemble des droits de l'utilisateur (fonctionnalités et limites)
+  async getEntitlements(userId) {
+    const subscription = await this.verifyUserSubscription(userId);
+    const plan = subscription.planId ? await planService.getPlan(subscription.planId) : null;
+    return entitlementService.resolveEntitlements(subscription, plan);
+  }
+
   async checkFeatureAccess(userId, feature) {
     try {
       console.log(`🔑 Vérification accès feature "${feature}" pour userId:`, userId);
       
-      const subscription = await this.verifyUserSubscription(userId);
-      const hasAccess = !this.premiumFeatures.includes(feature) || subscription.isPremium;
+      const entitlements = await this.getEntitlements(userId);
+
+      // Fonctionnalité comptée : accès tant que le quota de la période n'est pas épuisé
+      let hasAccess;
+      let quota = null;
+      let reason = null;
+      if (usageService.isMetered(feature)) {
+        const requiredFeature = usageService.getRequiredFeature(feature);
+        const included = !requiredFeature || entitlementService.hasFeature(entitlements, requiredFeature);
+        quota = await usageService.getQuota(userId, feature, entitlements);
+        hasAccess = included && (quota.remaining === null || quota.remaining > 0);
+        if (!included || quota.limit === 0) {
+          reason = 'Cette fonctionnalité n\'est pas incluse dans votre abonnement';
+        } else if (!hasAccess) {
+          reason = 'Quota atteint pour cette période';
+        }
+      } else {
+        // Fonctionnalité inconnue = refusée
+        hasAccess = entitlementService.hasFeature(entitlements, feature);
+        reason = !hasAccess ? 'Cette fonctionnalité n\'est pas incluse dans votre abonnement' : null;
+      }
 
       const result = {
         hasAccess,
-        isPremium: subscription.isPremium,
-        tier: subscription.tier,
+        isPremium: entitlements.isPremium,
+        tier: entitlements.tier,
         feature,
-        reason: !hasAccess ? 'Cette fonctionnalité nécessite un abonnement Premium' : null,
-        expiresAt: subscription.expiresAt
+        limit: quota ? quota.limit : entitlementService.getLimit(entitlements, feature) ?? null,
+        remaining: quota ? quota.remaining : null,
+        resetsAt: quota ? quota.resetsAt : null,
+        reason,
+        expiresAt: entitlements.expiresAt
       };
 
       console.log('✅ Résultat accès:', result);
@@ -210,17 +417,71 @@ class SubscriptionService {
     }
   }
 
+  // ===================================================================
+  // MIDDLEWARES D'ACCÈS
+  // ===================================================================
+
+  // Droits de l'utilisateur pour la requête en cours : un seul calcul (et un seul
+  // appel Stripe éventuel) même si plusieurs middlewares sont montés sur la route
+  getRequestEntitlements(req) {
+    if (!this.requestEntitlements.has(req)) {
+      this.requestEntitlements.set(req, this.getEntitlements(req.user.id));
+    }
+    return this.requestEntitlements.get(req);
+  }
+
+  // Réponse 403 commune à tous les middlewares d'accès
+  async sendAccessDenied(res, entitlements, {
+    feature = null,
+    requiredTier,
+    error = 'Fonctionnalité non incluse',
+    code = 'FEATURE_NOT_INCLUDED',
+    message = 'Cette fonctionnalité n\'est pas incluse dans votre abonnement',
+    ...details
+  } = {}) {
+    return res.status(403).json({
+      error,
+      code,
+      message,
+      feature,
+      currentTier: entitlements.tier,
+      requiredTier: requiredTier !== undefined ? requiredTier : await entitlementService.getRequiredTier(feature),
+      upgradeUrl: this.constructFullUrl('/subscription'),
+      ...details
+    });
+  }
+
+  // Middleware par fonctionnalité, à monter après verifyToken :
+  // app.get('/api/...', authService.verifyToken, subscriptionService.requireFeature('grammar_full'), ...)
+  requireFeature(feature) {
+    return async (req, res, next) => {
+      try {
+        const entitlements = await this.getRequestEntitlements(req);
+
+        if (!entitlementService.hasFeature(entitlements, feature)) {
+          console.log(`🚫 Fonctionnalité "${feature}" refusée pour userId ${req.user.id} (palier ${entitlements.tier})`);
+          return this.sendAccessDenied(res, entitlements, { feature });
+        }
+
+        next();
+      } catch (error) {
+        console.error(`❌ Erreur middleware fonctionnalité "${feature}":`, error);
+        res.status(500).json({ error: 'Erreur de vérification des permissions' });
+      }
+    };
+  }
+
   // Middleware pour les fonctionnalités Premium
   requirePremium = async (req, res, next) => {
     try {
-      const access = await this.checkFeatureAccess(req.user.id, 'premium_required');
+      const entitlements = await this.getRequestEntitlements(req);
       
-      if (!access.hasAccess) {
-        return res.status(403).json({
+      if (!entitlements.isPremium) {
+        return this.sendAccessDenied(res, entitlements, {
+          requiredTier: 'premium',
           error: 'Accès Premium requis',
-          message: 'Cette fonctionnalité nécessite un abonnement Premium',
-          currentTier: access.tier,
-          upgradeUrl: this.constructFullUrl('/subscription')
+          code: 'PREMIUM_REQUIRED',
+          message: 'Cette fonctionnalité nécessite un abonnement Premium'
         });
       }
       
@@ -231,14 +492,80 @@ class SubscriptionService {
     }
   }
 
+  // Middleware de quota : consomme une unité de la fonctionnalité comptée,
+  // 403 si elle n'est pas incluse (limite 0 ou fonctionnalité requise absente),
+  // 429 jusqu'à la réinitialisation si le quota est épuisé.
+  // Le quota restant est exposé dans req.quota.
+  requireQuota(feature) {
+    const requiredFeature = usageService.getRequiredFeature(feature);
+    const featureGuard = requiredFeature ? this.requireFeature(requiredFeature) : null;
+
+    const consumeQuota = async (req, res, next) => {
+      try {
+        const entitlements = await this.getRequestEntitlements(req);
+        const quota = await usageService.consume(req.user.id, feature, entitlements);
+
+        if (!quota.allowed) {
+          const details = {
+            limit: quota.limit,
+            used: quota.used,
+            remaining: quota.remaining,
+            period: quota.period,
+            resetsAt: quota.resetsAt
+          };
+
+          if (quota.limit === 0) {
+            return this.sendAccessDenied(res, entitlements, { feature, ...details });
+          }
+
+          const retryAfter = Math.max(1, Math.ceil((new Date(quota.resetsAt) - Date.now()) / 1000));
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            error: 'Quota atteint',
+            code: 'QUOTA_EXCEEDED',
+            message: 'Vous avez atteint la limite de votre abonnement pour cette période',
+            feature,
+            currentTier: entitlements.tier,
+            upgradeUrl: this.constructFullUrl('/subscription'),
+            ...details
+          });
+        }
+
+        req.quota = quota;
+        next();
+      } catch (error) {
+        console.error(`❌ Erreur middleware quota "${feature}":`, error);
+        res.status(500).json({ error: 'Erreur de vérification du quota' });
+      }
+    };
+
+    return featureGuard
+      ? (req, res, next) => featureGuard(req, res, () => consumeQuota(req, res, next))
+      : consumeQuota;
+  }
+
   // ===================================================================
   // GESTION STRIPE - VERSION CORRIGÉE
   // ===================================================================
 
-  // Créer une session de paiement Stripe avec URLs corrigées
-  async createCheckoutSession({ userId, userEmail, planId, priceId, successPath = '/payment-success', cancelPath = '/payment-cancel' }) {
+  // Créer une session de paiement Stripe avec URLs corrigées.
+  // Le prix est toujours résolu depuis le catalogue : le client ne choisit que le plan
+  // et, éventuellement, la devise (validée pour sa région, voir currencyService).
+  async createCheckoutSession({ userId, userEmail, planId, currency = null, successPath = '/payment-success', cancelPath = '/payment-cancel' }) {
   try {
     console.log(`💳 Création session Stripe pour userId: ${userId}, planId: ${planId}`);
+
+    const basePlan = await planService.getPlan(planId);
+    const available = basePlan && basePlan.active ? planService.getPurchasableCurrencies(basePlan) : [];
+    if (available.length === 0) {
+      throw billingError(`Plan inconnu ou indisponible: ${planId}`, 'INVALID_PLAN', 400);
+    }
+
+    const resolvedCurrency = await currencyService.resolveUserCurrency(userId, currency, available);
+    const plan = await planService.getPurchasablePlan(planId, resolvedCurrency);
+    if (!plan) {
+      throw billingError(`Ce plan n'est pas proposé en ${currencyService.normalizeCurrency(resolvedCurrency)}`, 'CURRENCY_UNAVAILABLE', 400);
+    }
     
     // Vérifier que l'utilisateur existe
     const { data: user, error: userError } = await supabase
@@ -257,47 +584,36 @@ class SubscriptionService {
 
     console.log('🔗 URLs générées:', { successUrl, cancelUrl });
 
+    // Essai gratuit selon le plan, une seule fois par utilisateur
+    const trialDays = await trialService.getEligibleTrialDays(userId, user.email, plan);
+    if (trialDays) {
+      console.log(`🎁 Essai gratuit de ${trialDays} jours proposé`);
+    }
+
     // Créer la session Stripe avec URLs corrigées
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [{
-        price: priceId,
-        quantity: 1,
-      }],
-      mode: 'subscription',
-      success_url: `${successUrl}?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: cancelUrl,
-      customer_email: userEmail,
-      client_reference_id: userId,
-      metadata: {
-        userId: userId,
-        planId: planId
-      },
-      subscription_data: {
-        metadata: {
-          userId: userId,
-          planId: planId
-        }
-      },
-      allow_promotion_codes: true,
-      billing_address_collection: 'required',
-      expires_at: Math.floor(Date.now() / 1000) + (30 * 60), // Expire dans 30 minutes
+    const { sessionId } = await stripePaymentProvider.createCheckout({
+      user,
+      plan,
+      trialDays,
+      successUrl,
+      cancelUrl
     });
 
-    console.log('✅ Session Stripe créée:', session.id);
+    console.log('✅ Session Stripe créée:', sessionId);
     
     // 🔧 FIX PRINCIPAL : Retourner seulement l'ID de la session
-    return session.id; // ← CHANGEMENT ICI : au lieu de "return session;"
+    return sessionId; // ← CHANGEMENT ICI : au lieu de "return session;"
     
   } catch (error) {
     console.error('❌ Erreur création session Stripe:', error);
     console.error('Details:', error.message);
+    if (error.status) throw error;
     throw new Error('Impossible de créer la session de paiement: ' + error.message);
   }
 }
 
   // Méthode alternative pour compatibilité avec l'ancien code
-  async createCheckoutSessionLegacy({ userId, userEmail, planId, priceId, successUrl, cancelUrl }) {
+  async createCheckoutSessionLegacy({ userId, userEmail, planId, successUrl, cancelUrl }) {
     // Si les URLs sont déjà passées, les valider
     if (successUrl && cancelUrl) {
       // Vérifier que les URLs ont un schéma
@@ -312,14 +628,13 @@ class SubscriptionService {
         userId,
         userEmail,
         planId,
-        priceId,
         successPath: new URL(successUrl).pathname,
         cancelPath: new URL(cancelUrl).pathname
       });
     }
     
     // Utiliser les chemins par défaut
-    return this.createCheckoutSession({ userId, userEmail, planId, priceId });
+    return this.createCheckoutSession({ userId, userEmail, planId });
   }
 
   // ===================================================================
@@ -340,34 +655,20 @@ class SubscriptionService {
         throw new Error('Session non autorisée pour cet utilisateur');
       }
 
-      if (session.payment_status === 'paid') {
+      // no_payment_required : checkout d'un essai gratuit
+      if (['paid', 'no_payment_required'].includes(session.payment_status)) {
         console.log('✅ Paiement confirmé');
         
-        // Mettre à jour l'abonnement en base
-        if (session.mode === 'subscription' && session.subscription) {
-          const stripeSubscription = typeof session.subscription === 'string' 
-            ? await stripe.subscriptions.retrieve(session.subscription)
-            : session.subscription;
-
-          await this.updateUserSubscription(userId, {
-            stripeCustomerId: session.customer.id || session.customer,
-            stripeSubscriptionId: stripeSubscription.id,
-            tier: 'premium',
-            status: 'active',
-            expiresAt: new Date(stripeSubscription.current_period_end * 1000).toISOString(),
-            planId: session.metadata?.planId || 'premium_plan',
-            billingPeriod: stripeSubscription.items.data[0]?.price?.recurring?.interval || 'monthly'
-          });
-
-          console.log('✅ Abonnement mis à jour en base');
-        }
+        // Mettre à jour l'abonnement en base (le webhook a pu le faire avant nous)
+        await this.fulfillCheckoutSession(session, userId);
 
         return {
           status: 'completed',
           planId: session.metadata?.planId,
           subscriptionId: session.subscription?.id || session.subscription,
           customerEmail: session.customer_email,
-          amountTotal: session.amount_total ? session.amount_total / 100 : null
+          amountTotal: currencyService.toMajorUnits(session.amount_total, session.currency),
+          currency: currencyService.normalizeCurrency(session.currency)
         };
       }
 
@@ -383,15 +684,89 @@ class SubscriptionService {
     }
   }
 
-  // Mettre à jour l'abonnement utilisateur
-  async updateUserSubscription(userId, subscriptionData) {
+  // Activer l'abonnement d'une session de checkout payée.
+  // Appelé par le webhook et par verifyPayment : l'upsert rend l'opération idempotente.
+  async fulfillCheckoutSession(session, userId) {
+    if (session.mode !== 'subscription' || !session.subscription) {
+      return null;
+    }
+
+    const stripeSubscription = typeof session.subscription === 'string' 
+      ? await stripe.subscriptions.retrieve(session.subscription)
+      : session.subscription;
+
+    const subscription = await this.updateUserSubscription(userId, {
+      ...(await this.toSubscriptionData(stripeSubscription)),
+      stripeCustomerId: session.customer?.id || session.customer,
+      status: 'active'
+    });
+
+    await trialService.recordTrialStart(userId, stripeSubscription);
+
+    console.log('✅ Abonnement mis à jour en base');
+    return subscription;
+  }
+
+  // Données locales d'un abonnement Stripe (palier issu du catalogue de plans)
+  async toSubscriptionData(stripeSubscription) {
+    const planId = stripeSubscription.metadata?.planId || 'premium_plan';
+    const plan = await planService.getPlan(planId);
+
+    return {
+      stripeCustomerId: stripeSubscription.customer?.id || stripeSubscription.customer,
+      stripeSubscriptionId: stripeSubscription.id,
+      tier: plan?.tier || 'premium',
+      status: this.mapStripeStatus(stripeSubscription.status),
+      expiresAt: new Date(stripeSubscription.current_period_end * 1000).toISOString(),
+      planId,
+      billingPeriod: stripeSubscription.items.data[0]?.price?.recurring?.interval || 'monthly',
+      currency: stripeSubscription.items.data[0]?.price?.currency || stripeSubscription.currency,
+      trialEndsAt: stripeSubscription.status === 'trialing' && stripeSubscription.trial_end
+        ? new Date(stripeSubscription.trial_end * 1000).toISOString()
+        : null,
+      cancelAtPeriodEnd: Boolean(stripeSubscription.cancel_at_period_end)
+    };
+  }
+
+  // La ligne de l'utilisateur suit-elle cet abonnement Stripe ? Non si elle a été reprise
+  // par un pass, un achat en boutique (applyStoreSubscription) ou un autre abonnement
+  // Stripe : même périmètre que l'annulation
+  // (handleSubscriptionCancellation, filtrée sur stripe_subscription_id)
+  async isCurrentStripeSubscription(userId, stripeSubscriptionId) {
+    const { data: current, error } = await supabase
+      .from('subscriptions')
+      .select('provider, stripe_subscription_id')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!current) {
+      return true;
+    }
+    if (current.provider && current.provider !== 'stripe') {
+      return false;
+    }
+    return !current.stripe_subscription_id || current.stripe_subscription_id === stripeSubscriptionId;
+  }
+
+  // Mettre à jour l'abonnement utilisateur.
+  // onlyIfCurrent (webhooks) : rien n'est écrit, et null est retourné, si la ligne
+  // suit un autre abonnement ; un événement tardif de l'ancien ne l'écrase pas
+  async updateUserSubscription(userId, subscriptionData, { onlyIfCurrent = false } = {}) {
     try {
+      if (onlyIfCurrent && !(await this.isCurrentStripeSubscription(userId, subscriptionData.stripeSubscriptionId))) {
+        console.log(`ℹ️ Abonnement Stripe ${subscriptionData.stripeSubscriptionId} remplacé pour userId ${userId}, ligne non modifiée`);
+        return null;
+      }
+
       console.log('🔄 Mise à jour abonnement pour userId:', userId);
       
       const { data, error } = await supabase
         .from('subscriptions')
         .upsert([{
           user_id: userId,
+          provider: 'stripe',
+          provider_subscription_id: null,
           stripe_customer_id: subscriptionData.stripeCustomerId,
           stripe_subscription_id: subscriptionData.stripeSubscriptionId,
           tier: subscriptionData.tier,
@@ -399,6 +774,9 @@ class SubscriptionService {
           expires_at: subscriptionData.expiresAt,
           plan_id: subscriptionData.planId,
           billing_period: subscriptionData.billingPeriod,
+          currency: currencyService.normalizeCurrency(subscriptionData.currency),
+          trial_ends_at: subscriptionData.trialEndsAt || null,
+          cancel_at_period_end: Boolean(subscriptionData.cancelAtPeriodEnd),
           updated_at: new Date().toISOString()
         }], {
           onConflict: 'user_id'
@@ -410,7 +788,20 @@ class SubscriptionService {
         console.error('❌ Erreur mise à jour abonnement:', error);
         throw error;
       }
+
+      // Changement de plan programmé appliqué par Stripe
+      if (data.pending_plan_id && data.pending_plan_id === data.plan_id) {
+        const { error: pendingError } = await supabase
+          .from('subscriptions')
+          .update({ pending_plan_id: null, pending_plan_effective_at: null, stripe_schedule_id: null })
+          .eq('user_id', userId)
+          .eq('pending_plan_id', data.plan_id);
+
+        if (pendingError) throw pendingError;
+        console.log('🔀 Changement de plan programmé appliqué:', data.plan_id);
+      }
       
+      this.invalidateSubscriptionStatus(userId);
       console.log('✅ Abonnement mis à jour:', data);
       return data;
     } catch (error) {
@@ -419,6 +810,102 @@ class SubscriptionService {
     }
   }
 
+  // Pass d'accès payé hors abonnement récurrent (mobile money...) : une période du plan,
+  // ajoutée à la fin de l'accès en cours s'il y en a un (pas de chevauchement perdu).
+  // plan est au prix de la devise payée (planService.priceIn)
+  async activateAccessPass(userId, plan, { provider, reference }) {
+    const { data: current, error: currentError } = await supabase
+      .from('subscriptions')
+      .select('status, expires_at')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    const now = new Date();
+    const currentEnd = current?.status === 'active' && current.expires_at ? new Date(current.expires_at) : null;
+    const start = currentEnd && currentEnd > now ? currentEnd : now;
+    const expiresAt = addBillingInterval(start, plan.interval);
+
+    // L'éventuel ancien abonnement Stripe (annulé) n'a plus d'effet sur cette ligne
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .upsert([{
+        user_id: userId,
+        provider,
+        provider_subscription_id: null,
+        stripe_subscription_id: null,
+        tier: plan.tier,
+        status: 'active',
+        expires_at: expiresAt.toISOString(),
+        plan_id: plan.id,
+        billing_period: plan.interval,
+        currency: currencyService.normalizeCurrency(plan.currency),
+        trial_ends_at: null,
+        cancel_at_period_end: false,
+        pending_plan_id: null,
+        pending_plan_effective_at: null,
+        stripe_schedule_id: null,
+        past_due_since: null,
+        grace_period_ends_at: null,
+        dunning_stage: null,
+        updated_at: now.toISOString()
+      }], {
+        onConflict: 'user_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    this.invalidateSubscriptionStatus(userId);
+    console.log(`🎫 Pass ${plan.id} (${provider}, ${reference}) actif pour userId ${userId} jusqu'au ${expiresAt.toISOString()}`);
+    return data;
+  }
+
+  // Abonnement acheté dans une boutique mobile (App Store, Google Play), état relu par iapService.
+  // La boutique renouvelle et encaisse : la ligne suit son état (grâce incluse dans expires_at).
+  async applyStoreSubscription(userId, plan, storeSubscription) {
+    const { store, storeSubscriptionId, state, expiresAt, autoRenew, price } = storeSubscription;
+    const isActive = state === 'active' || state === 'grace';
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .upsert([{
+        user_id: userId,
+        provider: store,
+        provider_subscription_id: storeSubscriptionId,
+        stripe_subscription_id: null,
+        tier: plan.tier,
+        status: isActive ? 'active' : 'cancelled',
+        // Remboursement : l'accès s'arrête immédiatement
+        expires_at: state === 'revoked' ? now : expiresAt,
+        plan_id: plan.id,
+        billing_period: plan.interval,
+        currency: currencyService.normalizeCurrency(price?.currency || plan.currency),
+        trial_ends_at: null,
+        cancel_at_period_end: isActive && !autoRenew,
+        pending_plan_id: null,
+        pending_plan_effective_at: null,
+        stripe_schedule_id: null,
+        past_due_since: null,
+        grace_period_ends_at: null,
+        dunning_stage: null,
+        updated_at: now
+      }], {
+        onConflict: 'user_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    this.invalidateSubscriptionStatus(userId);
+    console.log(`📱 Abonnement ${store} (${plan.id}, ${state}) appliqué pour userId ${userId} jusqu'au ${data.expires_at}`);
+    return data;
+  }
+
   // ===================================================================
   // GESTION PROGRESSION UTILISATEUR
   // ===================================================================
@@ -491,6 +978,167 @@ class SubscriptionService {
   // WEBHOOKS STRIPE
   // ===================================================================
 
+  // Retrouver l'utilisateur d'un objet Stripe : métadonnées, sinon abonnement ou client connus en base
+  async resolveStripeUserId({ metadataUserId, stripeSubscriptionId, stripeCustomerId }) {
+    if (metadataUserId) {
+      return metadataUserId;
+    }
+
+    for (const [column, value] of [
+      ['stripe_subscription_id', stripeSubscriptionId],
+      ['stripe_customer_id', stripeCustomerId]
+    ]) {
+      if (!value) continue;
+
+      const { data, error } = await supabase
+        .from('subscriptions')
+        .select('user_id')
+        .eq(column, value)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data) return data.user_id;
+    }
+
+    return null;
+  }
+
+  // Enregistrer un paiement une seule fois (Stripe peut renvoyer le même événement).
+  // Hors Stripe, providerReference est la référence de la transaction (payment_transactions).
+  async recordPayment({ userId, provider = 'stripe', paymentIntentId = null, providerReference = null, amount, currency, status }) {
+    if (paymentIntentId || providerReference) {
+      const { data: existing, error } = await supabase
+        .from('payment_history')
+        .select('id')
+        .eq(paymentIntentId ? 'stripe_payment_intent_id' : 'provider_reference', paymentIntentId || providerReference)
+        .eq('status', status)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (existing) {
+        console.log('ℹ️ Paiement déjà enregistré:', paymentIntentId || providerReference);
+        return;
+      }
+    }
+
+    const { error } = await supabase
+      .from('payment_history')
+      .insert([{
+        user_id: userId,
+        provider,
+        stripe_payment_intent_id: paymentIntentId,
+        provider_reference: providerReference,
+        amount,
+        currency: currencyService.normalizeCurrency(currency),
+        status,
+        completed_at: status === 'completed' ? new Date().toISOString() : null
+      }]);
+
+    if (error) throw error;
+  }
+
+  // Checkout terminé : activer l'abonnement sans attendre le retour du navigateur
+  async handleCheckoutCompleted(session) {
+    const userId = session.client_reference_id || session.metadata?.userId;
+    if (!userId) {
+      console.error('❌ UserId manquant dans la session de checkout:', session.id);
+      return;
+    }
+
+    // Paiement asynchrone (virement...) : l'activation viendra avec invoice.paid.
+    // no_payment_required : essai gratuit, rien à encaisser avant la fin de l'essai.
+    if (!['paid', 'no_payment_required'].includes(session.payment_status)) {
+      console.log(`⏳ Webhook: Checkout ${session.id} en attente de paiement (${session.payment_status})`);
+      return;
+    }
+
+    console.log('💳 Webhook: Activation abonnement après checkout pour userId:', userId);
+    await this.fulfillCheckoutSession(session, userId);
+  }
+
+  // Facture payée (premier paiement ou renouvellement) : prolonger l'abonnement
+  async handleInvoicePaid(invoice) {
+    if (!invoice.subscription) {
+      return;
+    }
+
+    const stripeSubscription = await stripe.subscriptions.retrieve(invoice.subscription);
+    const userId = await this.resolveStripeUserId({
+      metadataUserId: stripeSubscription.metadata?.userId,
+      stripeSubscriptionId: stripeSubscription.id,
+      stripeCustomerId: invoice.customer
+    });
+
+    if (!userId) {
+      console.error('❌ Utilisateur introuvable pour la facture:', invoice.id);
+      return;
+    }
+
+    console.log(`🧾 Webhook: Facture ${invoice.id} payée pour userId:`, userId);
+
+    const updated = await this.updateUserSubscription(userId, {
+      ...(await this.toSubscriptionData(stripeSubscription)),
+      stripeCustomerId: invoice.customer,
+      status: 'active'
+    }, { onlyIfCurrent: true });
+
+    // Renouvellement régularisé après un échec : fin du délai de grâce
+    if (updated) {
+      await dunningService.clearGracePeriod(userId);
+    }
+
+    // Première facture payante après l'essai (la facture à 0 de début d'essai ne compte pas)
+    if (invoice.amount_paid > 0) {
+      await trialService.markTrialConverted(stripeSubscription.id);
+    }
+
+    await this.recordPayment({
+      userId,
+      paymentIntentId: invoice.payment_intent,
+      amount: invoice.amount_paid,
+      currency: invoice.currency,
+      status: 'completed'
+    });
+    this.invalidateSubscriptionStatus(userId);
+  }
+
+  // Échec de paiement d'une facture : tracer l'échec et, pour un renouvellement,
+  // ouvrir le délai de grâce (Stripe relance le prélèvement de son côté)
+  async handleInvoicePaymentFailed(invoice) {
+    const userId = await this.resolveStripeUserId({
+      stripeSubscriptionId: invoice.subscription,
+      stripeCustomerId: invoice.customer
+    });
+
+    if (!userId) {
+      console.error('❌ Utilisateur introuvable pour la facture:', invoice.id);
+      return;
+    }
+
+    console.warn(`⚠️ Webhook: Échec de paiement de la facture ${invoice.id} (tentative ${invoice.attempt_count}) pour userId:`, userId);
+
+    await this.recordPayment({
+      userId,
+      paymentIntentId: invoice.payment_intent,
+      amount: invoice.amount_due,
+      currency: invoice.currency,
+      status: 'failed'
+    });
+
+    // Premier paiement refusé au checkout : il n'y a pas encore d'accès à préserver
+    if (invoice.billing_reason === 'subscription_create' || !invoice.subscription) {
+      return;
+    }
+    // Facture d'un ancien abonnement (ligne reprise par un pass, une boutique...) : rien à suspendre
+    if (!(await this.isCurrentStripeSubscription(userId, invoice.subscription))) {
+      console.log(`ℹ️ Facture ${invoice.id} d'un abonnement Stripe remplacé, délai de grâce non ouvert`);
+      return;
+    }
+
+    await dunningService.startGracePeriod(userId);
+    this.invalidateSubscriptionStatus(userId);
+  }
+
   // Gérer les mises à jour d'abonnement
   async handleSubscriptionUpdate(subscription) {
     try {
@@ -502,18 +1150,27 @@ class SubscriptionService {
 
       console.log('🔄 Webhook: Mise à jour abonnement pour userId:', userId);
 
-      await this.updateUserSubscription(userId, {
-        stripeSubscriptionId: subscription.id,
-        tier: 'premium',
-        status: subscription.status === 'active' ? 'active' : 'cancelled',
-        expiresAt: new Date(subscription.current_period_end * 1000).toISOString(),
-        billingPeriod: subscription.items.data[0]?.price?.recurring?.interval || 'monthly',
-        planId: subscription.metadata?.planId || 'premium_plan'
-      });
+      const subscriptionData = await this.toSubscriptionData(subscription);
+      const status = subscriptionData.status;
+
+      const updated = await this.updateUserSubscription(userId, subscriptionData, { onlyIfCurrent: true });
+      if (!updated) {
+        return;
+      }
+      await trialService.recordTrialStart(userId, subscription);
+
+      if (status === 'past_due') {
+        await dunningService.startGracePeriod(userId);
+      } else if (status === 'active') {
+        await dunningService.clearGracePeriod(userId);
+      }
+      this.invalidateSubscriptionStatus(userId);
 
       console.log('✅ Webhook: Abonnement mis à jour');
     } catch (error) {
       console.error('❌ Erreur webhook subscription update:', error);
+      // Remonter l'erreur : l'événement est marqué en échec et sera rejoué
+      throw error;
     }
   }
 
@@ -528,18 +1185,26 @@ class SubscriptionService {
 
       console.log('🚫 Webhook: Annulation abonnement pour userId:', userId);
 
-      await supabase
+      const { error } = await supabase
         .from('subscriptions')
         .update({
           status: 'cancelled',
+          cancel_at_period_end: false,
+          pending_plan_id: null,
+          pending_plan_effective_at: null,
+          stripe_schedule_id: null,
           cancelled_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         })
         .eq('stripe_subscription_id', subscription.id);
 
+      if (error) throw error;
+      this.invalidateSubscriptionStatus(userId);
+
       console.log('✅ Webhook: Abonnement annulé');
     } catch (error) {
       console.error('❌ Erreur webhook cancellation:', error);
+      throw error;
     }
   }
 
@@ -548,21 +1213,24 @@ class SubscriptionService {
     try {
       console.log('💰 Webhook: Paiement réussi:', paymentIntent.id);
       
+      // Les paiements de factures d'abonnement sont enregistrés par invoice.paid
+      if (paymentIntent.invoice) {
+        return;
+      }
+
       // Enregistrer dans l'historique des paiements si nécessaire
       if (paymentIntent.metadata?.userId) {
-        await supabase
-          .from('payment_history')
-          .insert([{
-            user_id: paymentIntent.metadata.userId,
-            stripe_payment_intent_id: paymentIntent.id,
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency.toUpperCase(),
-            status: 'completed',
-            completed_at: new Date().toISOString()
-          }]);
+        await this.recordPayment({
+          userId: paymentIntent.metadata.userId,
+          paymentIntentId: paymentIntent.id,
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          status: 'completed'
+        });
       }
     } catch (error) {
       console.error('❌ Erreur webhook payment success:', error);
+      throw error;
     }
   }
 
@@ -590,18 +1258,53 @@ class SubscriptionService {
     try {
       const { data: subscriptions, error } = await supabase
         .from('subscriptions')
-        .select('tier, status, created_at, billing_period');
+        .select('tier, status, created_at, billing_period, trial_ends_at, currency');
 
       if (error) throw error;
 
+      const { data: payments, error: paymentsError } = await supabase
+        .from('payment_history')
+        .select('amount, currency, completed_at')
+        .eq('status', 'completed');
+
+      if (paymentsError) throw paymentsError;
+
       const now = new Date();
       const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
+      // Revenus par devise (jamais additionnés entre devises), montants en unité mineure
+      const revenueByCurrency = {};
+      const revenueFor = (code) => {
+        const currency = currencyService.normalizeCurrency(code);
+        if (!revenueByCurrency[currency]) {
+          revenueByCurrency[currency] = { payments: 0, totalAmount: 0, thisMonthAmount: 0, activeSubscriptions: 0 };
+        }
+        return revenueByCurrency[currency];
+      };
+
+      (payments || []).forEach(payment => {
+        const revenue = revenueFor(payment.currency);
+        revenue.payments++;
+        revenue.totalAmount += payment.amount;
+        if (payment.completed_at && new Date(payment.completed_at) >= thisMonth) {
+          revenue.thisMonthAmount += payment.amount;
+        }
+      });
+      subscriptions
+        .filter(s => s.tier === 'premium' && s.status === 'active' && s.currency)
+        .forEach(s => {
+          revenueFor(s.currency).activeSubscriptions++;
+        });
+
       const stats = {
         totalSubscriptions: subscriptions.length,
         freeUsers: subscriptions.filter(s => s.tier === 'free').length,
         premiumUsers: subscriptions.filter(s => s.tier === 'premium' && s.status === 'active').length,
         cancelledUsers: subscriptions.filter(s => s.status === 'cancelled').length,
+        pastDueUsers: subscriptions.filter(s => s.status === 'past_due').length,
+        trialUsers: subscriptions.filter(s =>
+          s.status === 'active' && s.trial_ends_at && new Date(s.trial_ends_at) > now
+        ).length,
         newSubscriptionsThisMonth: subscriptions.filter(s => 
           new Date(s.created_at) >= thisMonth && s.tier === 'premium'
         ).length,
@@ -610,7 +1313,8 @@ class SubscriptionService {
         ).length,
         yearlySubscriptions: subscriptions.filter(s => 
           s.billing_period === 'yearly' && s.status === 'active'
-        ).length
+        ).length,
+        revenueByCurrency
       };
 
       // Calculer le taux de conversion
@@ -628,10 +1332,13 @@ class SubscriptionService {
         freeUsers: 0,
         premiumUsers: 0,
         cancelledUsers: 0,
+        pastDueUsers: 0,
+        trialUsers: 0,
         newSubscriptionsThisMonth: 0,
         monthlySubscriptions: 0,
         yearlySubscriptions: 0,
-        conversionRate: 0
+        conversionRate: 0,
+        revenueByCurrency: {}
       };
     }
   }
@@ -641,7 +1348,7 @@ class SubscriptionService {
     try {
       const { data: payments, error } = await supabase
         .from('payment_history')
-        .select('*')
+        .select('id, amount, currency, status, created_at, completed_at')
         .eq('user_id', userId)
         .order('created_at', { ascending: false });
 
@@ -654,20 +1361,39 @@ class SubscriptionService {
     }
   }
 
-  // Annuler un abonnement (côté utilisateur)
+  // Abonnement Stripe de l'utilisateur (404 s'il n'en a pas)
+  async getStripeSubscriptionRecord(userId) {
+    const { data: subscription, error } = await supabase
+      .from('subscriptions')
+      .select('status, plan_id, provider, provider_subscription_id, stripe_customer_id, stripe_subscription_id, cancel_at_period_end, pending_plan_id, stripe_schedule_id')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (subscription?.provider_subscription_id) {
+      throw billingError('Cet abonnement se gère depuis la boutique où il a été acheté', 'MANAGED_BY_STORE', 409);
+    }
+    if (!subscription || !subscription.stripe_subscription_id) {
+      throw billingError('Aucun abonnement payant trouvé', 'NO_SUBSCRIPTION', 404);
+    }
+    return subscription;
+  }
+
+  // Annuler un abonnement (côté utilisateur) : l'accès est conservé jusqu'à la fin de la période payée
   async cancelUserSubscription(userId) {
     try {
       console.log('🚫 Demande d\'annulation pour userId:', userId);
       
-      // Récupérer l'abonnement actuel
-      const { data: subscription, error } = await supabase
-        .from('subscriptions')
-        .select('stripe_subscription_id')
-        .eq('user_id', userId)
-        .single();
-
-      if (error || !subscription || !subscription.stripe_subscription_id) {
-        throw new Error('Aucun abonnement actif trouvé');
+      const subscription = await this.getStripeSubscriptionRecord(userId);
+      if (subscription.status === 'cancelled') {
+        throw billingError('Cet abonnement est déjà terminé', 'SUBSCRIPTION_ENDED', 409);
+      }
+      if (subscription.cancel_at_period_end) {
+        throw billingError('L\'annulation de cet abonnement est déjà programmée', 'ALREADY_CANCELLED', 409);
+      }
+      // Un changement de plan programmé n'a plus lieu d'être
+      if (subscription.pending_plan_id) {
+        await this.releaseScheduledChange(userId, subscription);
       }
 
       // Annuler l'abonnement sur Stripe (à la fin de la période)
@@ -678,17 +1404,20 @@ class SubscriptionService {
         }
       );
 
-      // Mettre à jour en base
-      await supabase
+      // Mettre à jour en base (le statut reste actif jusqu'à customer.subscription.deleted)
+      const { error: updateError } = await supabase
         .from('subscriptions')
         .update({
-          status: 'cancelled',
+          cancel_at_period_end: true,
           cancelled_at: new Date().toISOString(),
           expires_at: new Date(cancelledSubscription.current_period_end * 1000).toISOString(),
           updated_at: new Date().toISOString()
         })
         .eq('user_id', userId);
 
+      if (updateError) throw updateError;
+      this.invalidateSubscriptionStatus(userId);
+
       console.log('✅ Abonnement programmé pour annulation');
       
       return {
@@ -698,27 +1427,29 @@ class SubscriptionService {
       };
     } catch (error) {
       console.error('❌ Erreur annulation abonnement:', error);
+      if (error.status) throw error;
       throw new Error('Impossible d\'annuler l\'abonnement: ' + error.message);
     }
   }
 
-  // Réactiver un abonnement annulé
+  // Réactiver un abonnement dont l'annulation est programmée
   async reactivateUserSubscription(userId) {
     try {
       console.log('🔄 Réactivation abonnement pour userId:', userId);
       
-      const { data: subscription, error } = await supabase
-        .from('subscriptions')
-        .select('stripe_subscription_id')
-        .eq('user_id', userId)
-        .single();
+      const subscription = await this.getStripeSubscriptionRecord(userId);
+      if (!subscription.cancel_at_period_end) {
+        throw billingError('Aucune annulation programmée pour cet abonnement', 'NOT_CANCELLED', 409);
+      }
 
-      if (error || !subscription || !subscription.stripe_subscription_id) {
-        throw new Error('Aucun abonnement trouvé');
+      // Un abonnement déjà terminé ne se réactive pas : il faut souscrire à nouveau
+      const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripe_subscription_id);
+      if (stripeSubscription.status === 'canceled') {
+        throw billingError('Cet abonnement est terminé, veuillez souscrire à nouveau', 'SUBSCRIPTION_ENDED', 409);
       }
 
       // Réactiver sur Stripe
-      const reactivatedSubscription = await stripe.subscriptions.update(
+      await stripe.subscriptions.update(
         subscription.stripe_subscription_id,
         {
           cancel_at_period_end: false
@@ -726,15 +1457,18 @@ class SubscriptionService {
       );
 
       // Mettre à jour en base
-      await supabase
+      const { error: updateError } = await supabase
         .from('subscriptions')
         .update({
-          status: 'active',
+          cancel_at_period_end: false,
           cancelled_at: null,
           updated_at: new Date().toISOString()
         })
         .eq('user_id', userId);
 
+      if (updateError) throw updateError;
+      this.invalidateSubscriptionStatus(userId);
+
       console.log('✅ Abonnement réactivé');
       
       return {
@@ -743,6 +1477,7 @@ class SubscriptionService {
       };
     } catch (error) {
       console.error('❌ Erreur réactivation abonnement:', error);
+      if (error.status) throw error;
       throw new Error('Impossible de réactiver l\'abonnement: ' + error.message);
     }
   }
@@ -752,20 +1487,36 @@ class SubscriptionService {
     try {
       console.log('💳 Mise à jour mode de paiement pour userId:', userId);
       
-      const { data: subscription, error } = await supabase
-        .from('subscriptions')
-        .select('stripe_customer_id, stripe_subscription_id')
-        .eq('user_id', userId)
-        .single();
-
-      if (error || !subscription) {
-        throw new Error('Abonnement non trouvé');
+      const subscription = await this.getStripeSubscriptionRecord(userId);
+
+      // Le moyen de paiement doit exister et ne pas appartenir à un autre client
+      let paymentMethod;
+      try {
+        paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+      } catch (stripeError) {
+        if (stripeError.code === 'resource_missing') {
+          throw billingError('Moyen de paiement introuvable', 'INVALID_PAYMENT_METHOD', 400);
+        }
+        throw stripeError;
+      }
+      if (paymentMethod.customer && paymentMethod.customer !== subscription.stripe_customer_id) {
+        throw billingError('Ce moyen de paiement ne vous appartient pas', 'PAYMENT_METHOD_NOT_OWNED', 403);
       }
 
       // Attacher le nouveau mode de paiement au client
-      await stripe.paymentMethods.attach(paymentMethodId, {
-        customer: subscription.stripe_customer_id,
-      });
+      if (!paymentMethod.customer) {
+        try {
+          await stripe.paymentMethods.attach(paymentMethodId, {
+            customer: subscription.stripe_customer_id,
+          });
+        } catch (stripeError) {
+          // Carte refusée à l'enregistrement
+          if (stripeError.type === 'StripeCardError') {
+            throw billingError(stripeError.message, 'PAYMENT_METHOD_DECLINED', 402);
+          }
+          throw stripeError;
+        }
+      }
 
       // Définir comme mode de paiement par défaut
       await stripe.customers.update(subscription.stripe_customer_id, {
@@ -775,11 +1526,9 @@ class SubscriptionService {
       });
 
       // Mettre à jour l'abonnement avec le nouveau mode de paiement
-      if (subscription.stripe_subscription_id) {
-        await stripe.subscriptions.update(subscription.stripe_subscription_id, {
-          default_payment_method: paymentMethodId,
-        });
-      }
+      await stripe.subscriptions.update(subscription.stripe_subscription_id, {
+        default_payment_method: paymentMethodId,
+      });
 
       console.log('✅ Mode de paiement mis à jour');
       
@@ -789,31 +1538,66 @@ class SubscriptionService {
       };
     } catch (error) {
       console.error('❌ Erreur mise à jour mode de paiement:', error);
+      if (error.status) throw error;
       throw new Error('Impossible de mettre à jour le mode de paiement: ' + error.message);
     }
   }
 
-  // Prévisualiser une facture
-  async previewInvoice(userId, priceId) {
-    try {
-      const { data: subscription, error } = await supabase
-        .from('subscriptions')
-        .select('stripe_customer_id, stripe_subscription_id')
-        .eq('user_id', userId)
-        .single();
+  // Factures Stripe du client (avec liens de consultation et PDF)
+  async listInvoices(userId, { limit = 24 } = {}) {
+    const { data: subscription, error } = await supabase
+      .from('subscriptions')
+      .select('stripe_customer_id')
+      .eq('user_id', userId)
+      .maybeSingle();
 
-      if (error || !subscription) {
-        throw new Error('Abonnement non trouvé');
-      }
+    if (error) throw error;
+    if (!subscription?.stripe_customer_id) {
+      return [];
+    }
 
-      const invoice = await stripe.invoices.retrieveUpcoming({
-        customer: subscription.stripe_customer_id,
-        subscription: subscription.stripe_subscription_id,
-        subscription_items: [{
-          id: subscription.stripe_subscription_id,
-          price: priceId,
-        }],
-      });
+    const invoices = await stripe.invoices.list({
+      customer: subscription.stripe_customer_id,
+      limit
+    });
+
+    return invoices.data
+      .filter(invoice => invoice.status !== 'draft')
+      .map(invoice => ({
+        id: invoice.id,
+        number: invoice.number,
+        status: invoice.status,
+        amount: invoice.status === 'paid' ? invoice.amount_paid : invoice.amount_due,
+        currency: invoice.currency.toUpperCase(),
+        createdAt: new Date(invoice.created * 1000).toISOString(),
+        periodStart: invoice.period_start ? new Date(invoice.period_start * 1000).toISOString() : null,
+        periodEnd: invoice.period_end ? new Date(invoice.period_end * 1000).toISOString() : null,
+        hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+        invoicePdf: invoice.invoice_pdf || null
+      }));
+  }
+
+  // Facture à venir si le prix de l'abonnement est remplacé (proratisation facturée immédiatement)
+  async retrieveUpcomingForPrice(stripeSubscription, priceId, prorationDate) {
+    return stripe.invoices.retrieveUpcoming({
+      customer: stripeSubscription.customer?.id || stripeSubscription.customer,
+      subscription: stripeSubscription.id,
+      // L'élément à remplacer est identifié par l'id de l'item, pas celui de l'abonnement
+      subscription_items: [{
+        id: stripeSubscription.items.data[0].id,
+        price: priceId,
+      }],
+      subscription_proration_behavior: 'always_invoice',
+      subscription_proration_date: prorationDate
+    });
+  }
+
+  // Prévisualiser une facture
+  async previewInvoice(userId, priceId, { prorationDate = Math.floor(Date.now() / 1000) } = {}) {
+    try {
+      const subscription = await this.getStripeSubscriptionRecord(userId);
+      const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripe_subscription_id);
+      const invoice = await this.retrieveUpcomingForPrice(stripeSubscription, priceId, prorationDate);
 
       return {
         amount: invoice.amount_due,
@@ -826,6 +1610,240 @@ class SubscriptionService {
     }
   }
 
+  // ===================================================================
+  // CHANGEMENT DE PLAN
+  // ===================================================================
+  // Montée en gamme (prix plus élevé, ou intervalle plus long : mensuel → annuel) :
+  // appliquée immédiatement, la différence proratisée est facturée tout de suite.
+  // Descente : programmée à la fin de la période payée via un subscription schedule
+  // Stripe ; le plan en attente est visible dans verifyUserSubscription (pendingChange).
+
+  // Plan actuel, plan cible et abonnement Stripe, après les vérifications communes
+  async getPlanChangeContext(userId, planId) {
+    const record = await this.getStripeSubscriptionRecord(userId);
+    if (record.status !== 'active') {
+      throw billingError('Le plan ne peut pas être modifié tant que l\'abonnement n\'est pas à jour', 'PLAN_CHANGE_UNAVAILABLE', 409);
+    }
+    if (record.cancel_at_period_end) {
+      throw billingError('Réactivez votre abonnement avant de changer de plan', 'SUBSCRIPTION_CANCELLING', 409);
+    }
+
+    const stripeSubscription = await stripe.subscriptions.retrieve(record.stripe_subscription_id);
+    const currentPrice = stripeSubscription.items.data[0].price;
+
+    // Stripe ne permet pas de changer la devise d'un abonnement existant :
+    // le plan cible est pris au prix de la devise actuelle
+    const targetPlan = await planService.getPurchasablePlan(planId, currentPrice.currency);
+    if (!targetPlan) {
+      if (await planService.getPurchasablePlan(planId)) {
+        throw billingError('Le plan choisi n\'est pas proposé dans la devise de votre abonnement', 'CURRENCY_MISMATCH', 400);
+      }
+      throw billingError(`Plan inconnu ou indisponible: ${planId}`, 'INVALID_PLAN', 400);
+    }
+
+    const plan = await planService.getPlan(stripeSubscription.metadata?.planId || record.plan_id);
+    const currentPlan = (plan && planService.priceIn(plan, currentPrice.currency)) || {
+      id: record.plan_id,
+      amount: currentPrice.unit_amount,
+      currency: currentPrice.currency,
+      interval: currentPrice.recurring?.interval
+    };
+
+    return { record, stripeSubscription, currentPlan, targetPlan };
+  }
+
+  isUpgrade(currentPlan, targetPlan) {
+    const currentRank = INTERVAL_RANK[currentPlan.interval] ?? INTERVAL_RANK.month;
+    const targetRank = INTERVAL_RANK[targetPlan.interval] ?? INTERVAL_RANK.month;
+    if (targetRank !== currentRank) {
+      return targetRank > currentRank;
+    }
+    return targetPlan.amount > currentPlan.amount;
+  }
+
+  // Étape 1 : montant dû immédiatement et date d'effet, sans rien modifier
+  async previewPlanChange(userId, planId) {
+    try {
+      const { record, stripeSubscription, currentPlan, targetPlan } = await this.getPlanChangeContext(userId, planId);
+      const base = {
+        currentPlanId: currentPlan.id,
+        targetPlan: planService.formatPlan(targetPlan),
+        currency: targetPlan.currency.toUpperCase()
+      };
+
+      if (targetPlan.id === currentPlan.id) {
+        if (!record.pending_plan_id) {
+          throw billingError('Vous êtes déjà abonné à ce plan', 'SAME_PLAN', 400);
+        }
+        // Revenir au plan actuel = annuler la descente programmée
+        return { ...base, type: 'cancel_scheduled_change', amountDueNow: 0, effectiveAt: new Date().toISOString(), prorationDate: null };
+      }
+
+      if (!this.isUpgrade(currentPlan, targetPlan)) {
+        return {
+          ...base,
+          type: 'downgrade',
+          amountDueNow: 0,
+          effectiveAt: new Date(stripeSubscription.current_period_end * 1000).toISOString(),
+          prorationDate: null
+        };
+      }
+
+      const prorationDate = Math.floor(Date.now() / 1000);
+      const invoice = await this.retrieveUpcomingForPrice(stripeSubscription, targetPlan.stripePriceId, prorationDate);
+
+      // Changement d'intervalle : nouvelle période facturée tout de suite (crédit du temps restant déduit) ;
+      // même intervalle : seules les lignes de proratisation sont dues maintenant
+      const intervalChanged = targetPlan.interval !== currentPlan.interval;
+      const amountDueNow = intervalChanged
+        ? invoice.amount_due
+        : Math.max(0, invoice.lines.data
+          .filter(line => line.proration)
+          .reduce((total, line) => total + line.amount, 0));
+
+      return {
+        ...base,
+        type: 'upgrade',
+        amountDueNow,
+        effectiveAt: new Date(prorationDate * 1000).toISOString(),
+        prorationDate
+      };
+    } catch (error) {
+      console.error('❌ Erreur prévisualisation changement de plan:', error);
+      throw error;
+    }
+  }
+
+  // Abandonner une descente programmée : le schedule est libéré, l'abonnement reste tel quel
+  async releaseScheduledChange(userId, record) {
+    if (record.stripe_schedule_id) {
+      try {
+        await stripe.subscriptionSchedules.release(record.stripe_schedule_id);
+      } catch (stripeError) {
+        // Schedule déjà terminé ou libéré
+        if (stripeError.code !== 'resource_missing' && stripeError.type !== 'StripeInvalidRequestError') {
+          throw stripeError;
+        }
+      }
+    }
+
+    const { error } = await supabase
+      .from('subscriptions')
+      .update({
+        pending_plan_id: null,
+        pending_plan_effective_at: null,
+        stripe_schedule_id: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    this.invalidateSubscriptionStatus(userId);
+  }
+
+  // Étape 2 : appliquer le changement. prorationDate (issu de l'aperçu) est requis
+  // pour une montée afin que le montant facturé soit celui affiché.
+  async changePlan(userId, planId, { prorationDate } = {}) {
+    try {
+      console.log(`🔀 Changement de plan vers ${planId} pour userId:`, userId);
+
+      const { record, stripeSubscription, currentPlan, targetPlan } = await this.getPlanChangeContext(userId, planId);
+
+      if (targetPlan.id === currentPlan.id) {
+        if (!record.pending_plan_id) {
+          throw billingError('Vous êtes déjà abonné à ce plan', 'SAME_PLAN', 400);
+        }
+        await this.releaseScheduledChange(userId, record);
+        console.log('✅ Changement de plan programmé annulé');
+        return { success: true, type: 'cancel_scheduled_change', planId: currentPlan.id, effectiveAt: new Date().toISOString() };
+      }
+
+      const upgrade = this.isUpgrade(currentPlan, targetPlan);
+      if (upgrade) {
+        const now = Math.floor(Date.now() / 1000);
+        if (!prorationDate) {
+          throw billingError('Prévisualisez le changement de plan avant de le confirmer', 'PREVIEW_REQUIRED', 409);
+        }
+        if (prorationDate > now || now - prorationDate > PLAN_CHANGE_PREVIEW_TTL_SECONDS) {
+          throw billingError('L\'aperçu du changement de plan a expiré, veuillez le renouveler', 'PREVIEW_EXPIRED', 409);
+        }
+      }
+
+      // Une descente déjà programmée est remplacée par la nouvelle demande
+      if (record.pending_plan_id) {
+        await this.releaseScheduledChange(userId, record);
+      }
+
+      const metadata = { ...stripeSubscription.metadata, planId: targetPlan.id };
+
+      if (upgrade) {
+        let updated;
+        try {
+          updated = await stripe.subscriptions.update(stripeSubscription.id, {
+            items: [{ id: stripeSubscription.items.data[0].id, price: targetPlan.stripePriceId }],
+            proration_behavior: 'always_invoice',
+            proration_date: prorationDate,
+            payment_behavior: 'error_if_incomplete',
+            metadata
+          });
+        } catch (stripeError) {
+          if (stripeError.type === 'StripeCardError') {
+            throw billingError(stripeError.message, 'PAYMENT_DECLINED', 402);
+          }
+          throw stripeError;
+        }
+
+        await this.updateUserSubscription(userId, await this.toSubscriptionData(updated));
+        console.log(`✅ Plan changé immédiatement: ${currentPlan.id} → ${targetPlan.id}`);
+        return { success: true, type: 'upgrade', planId: targetPlan.id, effectiveAt: new Date().toISOString() };
+      }
+
+      // Descente : phase actuelle jusqu'à la fin de la période, puis le nouveau prix
+      const schedule = await stripe.subscriptionSchedules.create({ from_subscription: stripeSubscription.id });
+      const currentPhase = schedule.phases[0];
+      await stripe.subscriptionSchedules.update(schedule.id, {
+        end_behavior: 'release',
+        phases: [
+          {
+            items: currentPhase.items.map(item => ({
+              price: item.price?.id || item.price,
+              quantity: item.quantity
+            })),
+            start_date: currentPhase.start_date,
+            end_date: currentPhase.end_date,
+            ...(currentPhase.trial_end ? { trial_end: currentPhase.trial_end } : {}),
+            metadata: stripeSubscription.metadata
+          },
+          {
+            items: [{ price: targetPlan.stripePriceId, quantity: 1 }],
+            iterations: 1,
+            metadata
+          }
+        ]
+      });
+
+      const effectiveAt = new Date(currentPhase.end_date * 1000).toISOString();
+      const { error } = await supabase
+        .from('subscriptions')
+        .update({
+          pending_plan_id: targetPlan.id,
+          pending_plan_effective_at: effectiveAt,
+          stripe_schedule_id: schedule.id,
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      this.invalidateSubscriptionStatus(userId);
+
+      console.log(`✅ Changement de plan programmé: ${currentPlan.id} → ${targetPlan.id} le ${effectiveAt}`);
+      return { success: true, type: 'downgrade', planId: targetPlan.id, effectiveAt };
+    } catch (error) {
+      console.error('❌ Erreur changement de plan:', error);
+      throw error;
+    }
+  }
+
   // Obtenir le portail client Stripe avec URL de retour corrigée
   async createCustomerPortalSession(userId, returnPath = '/subscription') {
     try {
@@ -833,10 +1851,11 @@ class SubscriptionService {
         .from('subscriptions')
         .select('stripe_customer_id')
         .eq('user_id', userId)
-        .single();
+        .maybeSingle();
 
-      if (error || !subscription || !subscription.stripe_customer_id) {
-        throw new Error('Client Stripe non trouvé');
+      if (error) throw error;
+      if (!subscription || !subscription.stripe_customer_id) {
+        throw billingError('Aucun compte de facturation trouvé', 'NO_BILLING_ACCOUNT', 404);
       }
 
       const returnUrl = this.constructFullUrl(returnPath);
@@ -0,0 +1,212 @@
+// ===================================================================
+// services/trialService.js - ESSAIS GRATUITS
+// ===================================================================
+// Durée d'essai par plan : colonne trial_days du catalogue (voir planService),
+// 0 = pas d'essai.
+// Un seul essai par personne, vérifié sur nos propres données (table trial_redemptions) :
+// - par user_id, et par empreinte de l'email pour survivre à une suppression de compte
+// - la ligne est créée quand Stripe démarre l'essai ; si un second essai démarre quand
+//   même (deux checkouts ouverts en parallèle), il est terminé immédiatement.
+// Un rappel (email + message in-app) part TRIAL_REMINDER_DAYS jours avant la conversion.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const noticeService = require('./noticeService');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const TRIAL_REMINDER_DAYS = parseInt(process.env.TRIAL_REMINDER_DAYS, 10) || 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrialService {
+  constructor() {
+    console.log('🎁 TrialService initialisé');
+  }
+
+  hashEmail(email) {
+    return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+  }
+
+  // L'utilisateur (ou son email) a-t-il déjà bénéficié d'un essai ?
+  async hasUsedTrial(userId, email) {
+    let query = supabase
+      .from('trial_redemptions')
+      .select('id')
+      .limit(1);
+
+    query = email
+      ? query.or(`user_id.eq.${userId},email_hash.eq.${this.hashEmail(email)}`)
+      : query.eq('user_id', userId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return Boolean(data && data.length > 0);
+  }
+
+  // Nombre de jours d'essai à accorder pour ce checkout (0 si aucun)
+  async getEligibleTrialDays(userId, email, plan) {
+    const trialDays = plan.trialDays;
+    if (!trialDays) {
+      return 0;
+    }
+    if (await this.hasUsedTrial(userId, email)) {
+      console.log('🎁 Essai déjà utilisé pour userId:', userId);
+      return 0;
+    }
+    return trialDays;
+  }
+
+  // Enregistrer l'essai démarré par Stripe ; un essai en trop est converti immédiatement
+  async recordTrialStart(userId, stripeSubscription) {
+    if (stripeSubscription.status !== 'trialing' || !stripeSubscription.trial_end) {
+      return null;
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('email')
+      .eq('id', userId)
+      .maybeSingle();
+
+    const { data: redemption, error } = await supabase
+      .from('trial_redemptions')
+      .insert([{
+        user_id: userId,
+        email_hash: user?.email ? this.hashEmail(user.email) : null,
+        plan_id: stripeSubscription.metadata?.planId || null,
+        stripe_subscription_id: stripeSubscription.id,
+        started_at: new Date((stripeSubscription.trial_start || Date.now() / 1000) * 1000).toISOString(),
+        trial_ends_at: new Date(stripeSubscription.trial_end * 1000).toISOString()
+      }])
+      .select()
+      .single();
+
+    if (!error) {
+      console.log(`🎁 Essai démarré pour userId ${userId} jusqu'au`, redemption.trial_ends_at);
+      return redemption;
+    }
+    if (error.code !== '23505') throw error;
+
+    // Déjà enregistré : même abonnement (événement rejoué) ou second essai à refuser
+    const { data: existing, error: fetchError } = await supabase
+      .from('trial_redemptions')
+      .select('*')
+      .eq('stripe_subscription_id', stripeSubscription.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (existing) {
+      return existing;
+    }
+
+    console.warn(`🚫 Essai déjà utilisé, facturation immédiate de ${stripeSubscription.id}`);
+    await stripe.subscriptions.update(stripeSubscription.id, { trial_end: 'now' });
+    return null;
+  }
+
+  async markTrialConverted(stripeSubscriptionId) {
+    const { error } = await supabase
+      .from('trial_redemptions')
+      .update({ converted_at: new Date().toISOString() })
+      .eq('stripe_subscription_id', stripeSubscriptionId)
+      .is('converted_at', null);
+
+    if (error) throw error;
+  }
+
+  // ===================================================================
+  // RAPPELS AVANT CONVERSION
+  // ===================================================================
+
+  async sendTrialReminder(redemption) {
+    // Réserver l'envoi : un seul rappel par essai
+    const { data: reserved, error } = await supabase
+      .from('trial_redemptions')
+      .update({ reminder_sent_at: new Date().toISOString() })
+      .eq('id', redemption.id)
+      .is('reminder_sent_at', null)
+      .select('id');
+
+    if (error) throw error;
+    if (!reserved || reserved.length === 0) {
+      return false;
+    }
+
+    const trialEndsAt = new Date(redemption.trial_ends_at);
+    const daysLeft = Math.max(1, Math.ceil((trialEndsAt - new Date()) / DAY_MS));
+    const baseUrl = (process.env.FRONTEND_URL || 'https://jogolinga.app').replace(/\/$/, '');
+
+    await noticeService.notify(redemption.user_id, {
+      type: 'trial_ending',
+      severity: 'info',
+      title: 'Votre essai gratuit se termine bientôt',
+      message: `Votre essai Premium se termine dans ${daysLeft} jour${daysLeft > 1 ? 's' : ''} ` +
+        `(le ${trialEndsAt.toLocaleDateString('fr-FR')}). Votre abonnement démarrera alors automatiquement. ` +
+        'Vous pouvez l\'annuler à tout moment avant cette date depuis votre compte.',
+      actionUrl: `${baseUrl}/subscription`,
+      actionLabel: 'Gérer mon abonnement',
+      dedupeKey: `trial_ending:${redemption.stripe_subscription_id}`
+    });
+    return true;
+  }
+
+  // Webhook customer.subscription.trial_will_end (Stripe prévient 3 jours avant)
+  async handleTrialWillEnd(stripeSubscription) {
+    const { data: redemption, error } = await supabase
+      .from('trial_redemptions')
+      .select('*')
+      .eq('stripe_subscription_id', stripeSubscription.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (redemption && !redemption.converted_at) {
+      await this.sendTrialReminder(redemption);
+    }
+  }
+
+  // Tâche planifiée : rappels des essais qui se terminent dans TRIAL_REMINDER_DAYS jours
+  async processTrialReminders() {
+    try {
+      const now = new Date();
+      const { data: redemptions, error } = await supabase
+        .from('trial_redemptions')
+        .select('*')
+        .is('reminder_sent_at', null)
+        .is('converted_at', null)
+        .not('user_id', 'is', null)
+        .gt('trial_ends_at', now.toISOString())
+        .lte('trial_ends_at', new Date(now.getTime() + TRIAL_REMINDER_DAYS * DAY_MS).toISOString());
+
+      if (error) throw error;
+
+      const results = { remindersSent: 0, failed: 0 };
+      for (const redemption of redemptions || []) {
+        try {
+          if (await this.sendTrialReminder(redemption)) {
+            results.remindersSent++;
+          }
+        } catch (reminderError) {
+          results.failed++;
+          console.error(`❌ Erreur rappel d'essai ${redemption.id}:`, reminderError.message);
+        }
+      }
+
+      if (results.remindersSent || results.failed) {
+        console.log(`🎁 Rappels de fin d'essai: ${results.remindersSent} envoyés, ${results.failed} échecs`);
+      }
+      return results;
+    } catch (error) {
+      console.error('❌ Erreur traitement des rappels d\'essai:', error);
+      return { remindersSent: 0, failed: 0, error: error.message };
+    }
+  }
+}
+
+// Export singleton
+const trialService = new TrialService();
+module.exports = trialService;
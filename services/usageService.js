@@ -0,0 +1,164 @@
+// ===================================================================
+// services/usageService.js - QUOTAS ET COMPTEURS DE CONSOMMATION
+// ===================================================================
+// Table usage_counters : une ligne par (user_id, feature, period_start) avec le
+// nombre d'unités consommées sur la période (jour ou mois, en UTC).
+// La limite vient des droits de l'utilisateur (limits[feature], voir entitlementService) :
+// - nombre : quota par période (0 = fonctionnalité non incluse)
+// - null ou absente : illimité, de même si l'utilisateur possède la fonctionnalité
+//   "unlimitedFeature" du compteur (ex. exercise_unlimited)
+// Un compteur peut exiger une fonctionnalité (requiredFeature) en plus du quota.
+// Les routes qui servent le contenu consomment elles-mêmes le quota (requireQuota) :
+// POST /api/audio/search compte audio_plays. Les exercices et téléchargements hors ligne
+// ne sont pas servis par ce backend : l'application les déclare via POST /api/usage/:feature.
+// Le compteur est incrémenté par mise à jour conditionnelle sur l'ancienne valeur :
+// deux requêtes simultanées ne peuvent pas dépasser le quota.
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialisation Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Fonctionnalités comptées
+const METERS = {
+  exercises: { period: 'day', unlimitedFeature: 'exercise_unlimited' },
+  audio_plays: { period: 'day' },
+  offline_downloads: { period: 'month', requiredFeature: 'offline_mode' }
+};
+
+const MAX_CONSUME_ATTEMPTS = 5;
+
+class UsageService {
+  constructor() {
+    console.log('📈 UsageService initialisé');
+  }
+
+  getMeteredFeatures() {
+    return Object.keys(METERS);
+  }
+
+  isMetered(feature) {
+    return Object.prototype.hasOwnProperty.call(METERS, feature);
+  }
+
+  getRequiredFeature(feature) {
+    return METERS[feature].requiredFeature || null;
+  }
+
+  // Début et fin (exclue) de la période courante, en UTC
+  getPeriod(feature, now = new Date()) {
+    const { period } = METERS[feature];
+    const start = period === 'month'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const end = period === 'month'
+      ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+      : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+    return { period, start, end };
+  }
+
+  // Limite applicable : null = illimité
+  getQuotaLimit(feature, entitlements) {
+    const { unlimitedFeature } = METERS[feature];
+    if (unlimitedFeature && entitlements.features.includes(unlimitedFeature)) {
+      return null;
+    }
+    const limit = entitlements.limits[feature];
+    return typeof limit === 'number' ? limit : null;
+  }
+
+  async getCounter(userId, feature, periodStart) {
+    const { data: counter, error } = await supabase
+      .from('usage_counters')
+      .select('count')
+      .eq('user_id', userId)
+      .eq('feature', feature)
+      .eq('period_start', periodStart)
+      .maybeSingle();
+
+    if (error) throw error;
+    return counter ? counter.count : null;
+  }
+
+  formatQuota(feature, limit, used, period) {
+    return {
+      feature,
+      period: period.period,
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      resetsAt: period.end.toISOString()
+    };
+  }
+
+  // État du quota sans consommer
+  async getQuota(userId, feature, entitlements) {
+    const period = this.getPeriod(feature);
+    const limit = this.getQuotaLimit(feature, entitlements);
+    const used = await this.getCounter(userId, feature, period.start.toISOString().slice(0, 10));
+    return this.formatQuota(feature, limit, used || 0, period);
+  }
+
+  async getUsageSummary(userId, entitlements) {
+    return Promise.all(this.getMeteredFeatures().map(feature => this.getQuota(userId, feature, entitlements)));
+  }
+
+  // Consommer des unités si le quota le permet ; allowed = false sinon (rien n'est compté)
+  async consume(userId, feature, entitlements, amount = 1) {
+    const period = this.getPeriod(feature);
+    const periodStart = period.start.toISOString().slice(0, 10);
+    const limit = this.getQuotaLimit(feature, entitlements);
+
+    for (let attempt = 0; attempt < MAX_CONSUME_ATTEMPTS; attempt++) {
+      const used = await this.getCounter(userId, feature, periodStart);
+      const current = used || 0;
+
+      if (limit !== null && current + amount > limit) {
+        return { allowed: false, ...this.formatQuota(feature, limit, current, period) };
+      }
+
+      const now = new Date().toISOString();
+      let applied;
+      if (used === null) {
+        const { error } = await supabase
+          .from('usage_counters')
+          .insert([{
+            user_id: userId,
+            feature,
+            period_start: periodStart,
+            count: amount,
+            updated_at: now
+          }]);
+
+        // Ligne créée entre-temps par une autre requête : recommencer
+        if (error && error.code !== '23505') throw error;
+        applied = !error;
+      } else {
+        const { data: updated, error } = await supabase
+          .from('usage_counters')
+          .update({ count: current + amount, updated_at: now })
+          .eq('user_id', userId)
+          .eq('feature', feature)
+          .eq('period_start', periodStart)
+          .eq('count', current)
+          .select('count');
+
+        if (error) throw error;
+        applied = Boolean(updated && updated.length > 0);
+      }
+
+      if (applied) {
+        return { allowed: true, ...this.formatQuota(feature, limit, current + amount, period) };
+      }
+    }
+
+    throw new Error(`Compteur ${feature} trop sollicité pour userId ${userId}`);
+  }
+}
+
+// Export singleton
+const usageService = new UsageService();
+module.exports = usageService;
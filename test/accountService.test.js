@@ -0,0 +1,26 @@
+// ===================================================================
+// test/accountService.test.js - EXPORT DES DONNÉES (RGPD)
+// ===================================================================
+const { db } = require('./helpers/setup');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const accountService = require('../services/accountService');
+
+const USER_ID = 'c1d2e3f4-a5b6-4c7d-8e9f-0a1b2c3d4e5f';
+
+test('l\'export contient toutes les tables rattachées au compte', async () => {
+  db.tables.users = [{ id: USER_ID, email: 'eleve@example.com' }];
+  db.tables.payment_transactions = [{ id: 'tx-1', user_id: USER_ID, provider: 'mobile_money', status: 'succeeded', callback_token_hash: 'hash' }];
+  db.tables.trial_redemptions = [{ user_id: USER_ID, email_hash: 'hash', plan_id: 'premium_monthly' }];
+  db.tables.user_notices = [{ user_id: USER_ID, type: 'payment_failed' }];
+  db.tables.usage_counters = [{ user_id: USER_ID, feature: 'exercises', period_start: '2026-10-19', count: 4 }];
+  db.tables.classroom_members = [{ classroom_id: 'class-1', student_id: USER_ID }];
+
+  const data = await accountService.exportUserData(USER_ID);
+
+  assert.equal(data.paymentTransactions.length, 1);
+  assert.equal(data.trials.length, 1);
+  assert.equal(data.notices.length, 1);
+  assert.equal(data.usage.length, 1);
+  assert.equal(data.classroomMemberships.length, 1);
+});
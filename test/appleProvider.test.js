@@ -0,0 +1,87 @@
+// ===================================================================
+// test/appleProvider.test.js - VÉRIFICATION DES IDENTITY TOKENS APPLE
+// ===================================================================
+require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ID = 'app.jogolinga.web';
+process.env.APPLE_CLIENT_ID = CLIENT_ID;
+
+// Clé locale publiée comme JWKS à la place de celui d'Apple
+const KID = 'test-apple-key';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let jwksServer;
+let jwksRequests = 0;
+let appleProvider;
+
+before(async () => {
+  jwksServer = http.createServer((req, res) => {
+    jwksRequests += 1;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] }));
+  });
+  jwksServer.listen(0, '127.0.0.1');
+  await new Promise(resolve => jwksServer.once('listening', resolve));
+
+  process.env.APPLE_JWKS_URL = `http://127.0.0.1:${jwksServer.address().port}/auth/keys`;
+  appleProvider = require('../services/authProviders/appleProvider');
+});
+
+after(() => {
+  jwksServer.close();
+});
+
+const signIdentityToken = (claims = {}, { kid = KID } = {}) => jwt.sign(
+  {
+    iss: 'https://appleid.apple.com',
+    aud: CLIENT_ID,
+    sub: '001234.apple-user',
+    email: 'eleve@privaterelay.appleid.com',
+    email_verified: 'true',
+    ...claims
+  },
+  privateKey,
+  { algorithm: 'RS256', keyid: kid, expiresIn: '10m' }
+);
+
+test('vérifie un identity token signé par une clé du JWKS', async () => {
+  const identity = await appleProvider.verifyCredential({ identityToken: signIdentityToken(), name: 'Awa' });
+
+  assert.deepEqual(identity, {
+    provider: 'apple',
+    providerUserId: '001234.apple-user',
+    email: 'eleve@privaterelay.appleid.com',
+    emailVerified: true,
+    name: 'Awa',
+    picture: null
+  });
+});
+
+test('refuse une audience qui n\'est pas APPLE_CLIENT_ID', async () => {
+  await assert.rejects(
+    appleProvider.verifyCredential({ identityToken: signIdentityToken({ aud: 'com.autre.app' }) }),
+    /audience invalid/
+  );
+});
+
+test('refuse un émetteur autre qu\'Apple', async () => {
+  await assert.rejects(
+    appleProvider.verifyCredential({ identityToken: signIdentityToken({ iss: 'https://evil.example.com' }) }),
+    /issuer invalid/
+  );
+});
+
+test('un kid inconnu ne recharge pas le JWKS à chaque requête', async () => {
+  const requestsBefore = jwksRequests;
+  const forged = signIdentityToken({}, { kid: 'unknown-kid' });
+
+  await assert.rejects(appleProvider.verifyCredential({ identityToken: forged }), /Clé de signature Apple inconnue/);
+  await assert.rejects(appleProvider.verifyCredential({ identityToken: forged }), /Clé de signature Apple inconnue/);
+
+  assert.equal(jwksRequests, requestsBefore);
+});
@@ -0,0 +1,59 @@
+// ===================================================================
+// test/emailProvider.test.js - CONNEXION PAR LIEN MAGIQUE
+// ===================================================================
+const { db } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mailer = require('../services/mailer');
+const app = require('../server');
+
+// Transport qui garde les emails au lieu de les envoyer
+const sentMails = [];
+mailer.setTransport({
+  name: 'capture',
+  async send(message) {
+    sentMails.push(message);
+    return { id: `capture-${sentMails.length}` };
+  }
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const postJson = (path, body) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('le lien magique envoyé par email connecte une seule fois', async () => {
+  const requested = await postJson('/api/auth/email/request', { email: 'Eleve@Example.com' });
+  assert.equal(requested.status, 200);
+
+  assert.equal(sentMails.length, 1);
+  assert.equal(sentMails[0].to, 'eleve@example.com');
+  const link = new URL(sentMails[0].text.match(/https:\/\/\S+/)[0]);
+  const token = link.searchParams.get('token');
+  assert.equal(link.origin, process.env.FRONTEND_URL);
+  // Seule l'empreinte du token est stockée
+  assert.equal(db.tables.magic_link_tokens.length, 1);
+  assert.notEqual(db.tables.magic_link_tokens[0].token_hash, token);
+
+  const first = await postJson('/api/auth/email/verify', { token });
+  assert.equal(first.status, 200);
+  const session = await first.json();
+  assert.equal(session.user.email, 'eleve@example.com');
+
+  const second = await postJson('/api/auth/email/verify', { token });
+  assert.equal(second.status, 401);
+});
@@ -0,0 +1,41 @@
+// ===================================================================
+// test/entitlementService.test.js - DROITS PAR PALIER
+// ===================================================================
+const { db } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const entitlementService = require('../services/entitlementService');
+
+const FREE = { tier: 'free', planId: 'free_plan', isPremium: false, status: 'active' };
+const PREMIUM = { tier: 'premium', planId: 'premium_monthly', isPremium: true, status: 'active' };
+
+beforeEach(() => {
+  db.reset();
+});
+
+test('sans ligne en base, les droits par défaut s\'appliquent', async () => {
+  await entitlementService.reload();
+
+  const premium = await entitlementService.resolveEntitlements(PREMIUM);
+  const free = await entitlementService.resolveEntitlements(FREE);
+
+  assert.ok(entitlementService.hasFeature(premium, 'grammar_full'));
+  assert.ok(entitlementService.hasFeature(premium, 'offline_mode'));
+  assert.equal(entitlementService.hasFeature(free, 'grammar_full'), false);
+  assert.deepEqual(free.limits, {});
+});
+
+test('les lignes de tier_entitlements remplacent les droits par défaut', async () => {
+  db.tables.tier_entitlements = [
+    { tier: 'free', features: ['sentence_gap'], limits: { exercises: 20 } },
+    { tier: 'premium', features: ['sentence_gap', 'grammar_full'], limits: {} }
+  ];
+  await entitlementService.reload();
+
+  const free = await entitlementService.resolveEntitlements(FREE);
+  const premium = await entitlementService.resolveEntitlements(PREMIUM);
+
+  assert.deepEqual(free.features, ['sentence_gap']);
+  assert.equal(entitlementService.getLimit(free, 'exercises'), 20);
+  assert.equal(entitlementService.hasFeature(premium, 'offline_mode'), false);
+});
@@ -0,0 +1,227 @@
+// ===================================================================
+// test/helpers/fakeSupabase.js - BASE SUPABASE EN MÉMOIRE POUR LES TESTS
+// ===================================================================
+// Remplace @supabase/supabase-js (voir setup.js) : chaque table est un tableau
+// de lignes, les requêtes gèrent les filtres et modificateurs utilisés par les
+// services (eq, in, is, not, gt/lt, or, order, limit, single...).
+// Les colonnes sélectionnées et les jointures sont ignorées : lignes complètes.
+const crypto = require('crypto');
+
+const likeToRegExp = (pattern) => new RegExp(
+  `^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`,
+  'i'
+);
+
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  neq: (value, expected) => value !== expected,
+  gt: (value, expected) => value > expected,
+  gte: (value, expected) => value >= expected,
+  lt: (value, expected) => value < expected,
+  lte: (value, expected) => value <= expected,
+  in: (value, expected) => expected.includes(value),
+  is: (value, expected) => (expected === null ? value === null || value === undefined : value === expected),
+  ilike: (value, expected) => likeToRegExp(expected).test(value || '')
+};
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeBounds = null;
+    this.returnRows = false;
+    this.countOnly = false;
+    this.mode = 'many';
+  }
+
+  get rows() {
+    if (!this.db.tables[this.table]) {
+      this.db.tables[this.table] = [];
+    }
+    return this.db.tables[this.table];
+  }
+
+  select(columns, options = {}) {
+    if (this.action === 'select') {
+      this.countOnly = Boolean(options.head);
+    } else {
+      this.returnRows = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = [].concat(values);
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.values = [].concat(values);
+    this.conflictKeys = (options.onConflict || 'id').split(',').map(key => key.trim());
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push(row => OPERATORS[operator](row[column], value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    this.filters.push(row => !OPERATORS[operator](row[column], value));
+    return this;
+  }
+
+  // Syntaxe PostgREST limitée à "col.op.valeur,col.op.valeur"
+  or(expression) {
+    const clauses = expression.split(',').map(clause => {
+      const [column, operator, ...rest] = clause.split('.');
+      return { column, operator, value: rest.join('.') };
+    });
+    this.filters.push(row => clauses.some(({ column, operator, value }) => OPERATORS[operator](String(row[column]), value)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  duplicateOf(row, keys) {
+    return this.rows.find(existing => keys.every(key => existing[key] !== undefined && existing[key] === row[key]));
+  }
+
+  run() {
+    let result;
+    if (this.action === 'insert') {
+      if (this.values.some(row => row.id !== undefined && this.duplicateOf(row, ['id']))) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      }
+      result = this.values.map(row => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row }));
+      this.rows.push(...result);
+    } else if (this.action === 'upsert') {
+      result = this.values.map(row => {
+        const existing = this.duplicateOf(row, this.conflictKeys);
+        if (existing) {
+          return Object.assign(existing, row);
+        }
+        const inserted = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+        this.rows.push(inserted);
+        return inserted;
+      });
+    } else if (this.action === 'update') {
+      result = this.rows.filter(row => this.matches(row));
+      result.forEach(row => Object.assign(row, this.values));
+    } else if (this.action === 'delete') {
+      result = this.rows.filter(row => this.matches(row));
+      this.db.tables[this.table] = this.rows.filter(row => !result.includes(row));
+    } else {
+      result = this.rows.filter(row => this.matches(row));
+      for (const { column, ascending } of [...this.orders].reverse()) {
+        result.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+      }
+      if (this.rangeBounds) {
+        result = result.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+      }
+      if (this.limitCount !== null) {
+        result = result.slice(0, this.limitCount);
+      }
+      if (this.countOnly) {
+        return { data: null, count: result.length, error: null };
+      }
+    }
+
+    // Copies : les services ne modifient pas la base en modifiant un résultat
+    const data = result.map(row => structuredClone(row));
+    if (this.action !== 'select' && !this.returnRows && this.mode === 'many') {
+      return { data: null, error: null };
+    }
+    if (this.mode === 'single') {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: `${data.length} lignes au lieu d'une` } };
+    }
+    if (this.mode === 'maybeSingle') {
+      return { data: data[0] || null, error: null };
+    }
+    return { data, count: data.length, error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+Object.keys(OPERATORS).forEach(operator => {
+  FakeQuery.prototype[operator] = function (column, value) {
+    return this.filter(column, operator, value);
+  };
+});
+
+const createFakeSupabase = () => {
+  const db = {
+    tables: {},
+
+    from(table) {
+      return new FakeQuery(db, table);
+    },
+
+    reset() {
+      db.tables = {};
+    },
+
+    // Stockage des fichiers audio : non utilisé par les tests
+    storage: {
+      from: () => ({
+        getPublicUrl: () => ({ data: { publicUrl: '' } }),
+        list: async () => ({ data: [], error: null }),
+        upload: async () => ({ data: null, error: null }),
+        remove: async () => ({ data: null, error: null }),
+        createSignedUrl: async () => ({ data: null, error: null })
+      })
+    }
+  };
+  return db;
+};
+
+module.exports = { createFakeSupabase };
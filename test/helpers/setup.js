@@ -0,0 +1,42 @@
+// ===================================================================
+// test/helpers/setup.js - ENVIRONNEMENT COMMUN DES TESTS
+// ===================================================================
+// À importer en premier dans chaque fichier de test : variables d'environnement
+// de test et base Supabase en mémoire à la place de @supabase/supabase-js.
+// Chaque fichier de test tourne dans son propre processus (node --test).
+const { createFakeSupabase } = require('./fakeSupabase');
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-jwt-secret',
+  SUPABASE_URL: 'http://supabase.test',
+  SUPABASE_SERVICE_KEY: 'test-service-key',
+  GOOGLE_CLIENT_ID: 'test-google-client-id',
+  STRIPE_SECRET_KEY: 'sk_test_fake',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test',
+  FRONTEND_URL: 'https://app.test'
+};
+
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+});
+
+// Toutes les instances createClient() des services partagent la même base
+const db = createFakeSupabase();
+const supabasePath = require.resolve('@supabase/supabase-js');
+require.cache[supabasePath] = {
+  id: supabasePath,
+  filename: supabasePath,
+  loaded: true,
+  exports: { createClient: () => db }
+};
+
+// Journaux des services masqués (TEST_VERBOSE=true pour les afficher) : sous Node 20,
+// un flux important sur stdout peut corrompre les rapports des fichiers de test
+if (process.env.TEST_VERBOSE !== 'true') {
+  console.log = () => {};
+}
+
+module.exports = { db };
@@ -0,0 +1,71 @@
+// ===================================================================
+// test/iapNotifications.test.js - NOTIFICATIONS DES BOUTIQUES ET LIGNE COURANTE
+// ===================================================================
+process.env.IAP_FAKE_STORES = 'true';
+process.env.APPLE_BUNDLE_ID = 'app.jogolinga.ios';
+const { db } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const subscriptionService = require('../services/subscriptionService');
+const iapService = require('../services/iapService');
+const appStoreProvider = require('../services/storeProviders/appStoreProvider');
+const planService = require('../services/planService');
+
+const USER_ID = '2b4c6d8e-1f3a-4b5c-8d7e-9f0a1b2c3d4e';
+const PASS_EXPIRES_AT = new Date(Date.now() + 20 * 24 * 60 * 60 * 1000).toISOString();
+
+beforeEach(async () => {
+  db.reset();
+  subscriptionService.statusCache.clear();
+  db.tables.users = [{ id: USER_ID }];
+  db.tables.subscription_plans = [{
+    id: 'premium_monthly',
+    tier: 'premium',
+    amount: 499,
+    currency: 'eur',
+    app_store_product_id: 'premium.monthly',
+    billing_interval: 'month'
+  }];
+  await planService.ensureLoaded({ force: true });
+});
+
+// Ancien achat App Store du compte (appAccountToken), expiré depuis
+const expiredPurchase = () => {
+  const { originalTransactionId } = appStoreProvider.api.purchase({ productId: 'premium.monthly', appAccountToken: USER_ID });
+  appStoreProvider.api.update(originalTransactionId, { state: 'expired', expiresDate: Date.now() - 1000, autoRenew: false });
+  return originalTransactionId;
+};
+
+test('une notification tardive d\'un ancien achat n\'écrase pas un pass', async () => {
+  db.tables.subscriptions = [{
+    user_id: USER_ID,
+    provider: 'mobile_money',
+    provider_subscription_id: null,
+    stripe_subscription_id: null,
+    tier: 'premium',
+    status: 'active',
+    expires_at: PASS_EXPIRES_AT
+  }];
+  const originalTransactionId = expiredPurchase();
+
+  const result = await iapService.handleNotification('app_store', appStoreProvider.api.buildNotification('EXPIRED', originalTransactionId));
+
+  assert.equal(result, null);
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.provider, 'mobile_money');
+  assert.equal(row.status, 'active');
+  assert.equal(row.expires_at, PASS_EXPIRES_AT);
+});
+
+test('une notification d\'achat non rattaché s\'applique à un compte sans accès en cours', async () => {
+  db.tables.subscriptions = [{ user_id: USER_ID, tier: 'free', status: 'active' }];
+  const { originalTransactionId } = appStoreProvider.api.purchase({ productId: 'premium.monthly', appAccountToken: USER_ID });
+
+  const result = await iapService.handleNotification('app_store', appStoreProvider.api.buildNotification('SUBSCRIBED', originalTransactionId));
+
+  assert.equal(result.userId, USER_ID);
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.provider, 'app_store');
+  assert.equal(row.provider_subscription_id, originalTransactionId);
+  assert.equal(row.status, 'active');
+});
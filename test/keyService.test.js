@@ -0,0 +1,67 @@
+// ===================================================================
+// test/keyService.test.js - CLÉ DE SIGNATURE ACTIVE ET ROTATION
+// ===================================================================
+const { db } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const keyService = require('../services/keyService');
+const authService = require('../services/authService');
+
+const resetKeyService = () => {
+  keyService.keys = new Map();
+  keyService.activeKey = null;
+  keyService.loadedAt = 0;
+};
+
+beforeEach(() => {
+  db.reset();
+  resetKeyService();
+});
+
+test('des appels simultanés au premier démarrage ne créent qu\'une clé active', async () => {
+  const keys = await Promise.all([keyService.getActiveKey(), keyService.getActiveKey(), keyService.getActiveKey()]);
+
+  assert.equal(db.tables.signing_keys.length, 1);
+  assert.ok(keys.every(key => key.kid === db.tables.signing_keys[0].kid));
+});
+
+test('une clé active créée par une autre instance est reprise au lieu d\'en créer une seconde', async () => {
+  // Clé de l'autre instance, enregistrée pendant que celle-ci tente son insertion
+  await keyService.createKey();
+  const otherKey = db.tables.signing_keys.pop();
+  resetKeyService();
+
+  const from = db.from;
+  db.from = (table) => {
+    const query = from.call(db, table);
+    if (table === 'signing_keys') {
+      query.insert = () => {
+        db.tables.signing_keys.push(otherKey);
+        return Promise.resolve({ data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } });
+      };
+    }
+    return query;
+  };
+
+  try {
+    const key = await keyService.getActiveKey();
+    assert.equal(key.kid, otherKey.kid);
+    assert.deepEqual(db.tables.signing_keys.map(row => row.kid), [otherKey.kid]);
+  } finally {
+    db.from = from;
+  }
+});
+
+test('l\'ancienne clé reste vérifiable le temps de la relecture du trousseau et d\'un access token', async () => {
+  const { kid: previousKid } = await keyService.getActiveKey();
+  const before = Date.now();
+
+  const result = await authService.rotateSigningKeys();
+
+  assert.notEqual(result.activeKid, previousKid);
+  assert.deepEqual(result.previousKids, [previousKid]);
+  const retireAfterMs = new Date(result.previousRetireAt).getTime() - before;
+  // 15 min d'access token + 5 min de cache + 60 s de tolérance
+  assert.ok(retireAfterMs >= (15 * 60 + 5 * 60 + 60) * 1000 - 1000, `retrait après ${retireAfterMs} ms`);
+  assert.equal(db.tables.signing_keys.filter(row => row.status === 'active').length, 1);
+});
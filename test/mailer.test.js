@@ -0,0 +1,41 @@
+// ===================================================================
+// test/mailer.test.js - TRANSPORT CONSOLE DES EMAILS
+// ===================================================================
+require('./helpers/setup');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mailer = require('../services/mailer');
+
+const NODE_ENV = process.env.NODE_ENV;
+const MESSAGE = {
+  to: 'eleve@example.com',
+  subject: 'Votre lien de connexion Jogolinga',
+  text: 'https://app.test/auth/magic-link?token=secret-token'
+};
+
+afterEach(() => {
+  process.env.NODE_ENV = NODE_ENV;
+});
+
+test('le corps de l\'email n\'est affiché qu\'en développement', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+
+  process.env.NODE_ENV = 'test';
+  await mailer.sendMail(MESSAGE);
+  process.env.NODE_ENV = 'development';
+  await mailer.sendMail(MESSAGE);
+
+  const output = log.mock.calls.map(call => call.arguments.join(' ')).filter(line => line.includes('[mailer:console]'));
+  assert.equal(output.length, 2);
+  assert.doesNotMatch(output[0], /secret-token/);
+  assert.match(output[1], /secret-token/);
+});
+
+test('le transport console refuse d\'envoyer en production', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  process.env.NODE_ENV = 'production';
+
+  await assert.rejects(mailer.sendMail(MESSAGE), /MAILER_API_URL/);
+  assert.ok(log.mock.calls.every(call => !call.arguments.join(' ').includes('secret-token')));
+});
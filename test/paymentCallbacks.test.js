@@ -0,0 +1,122 @@
+// ===================================================================
+// test/paymentCallbacks.test.js - NOTIFICATIONS DES FOURNISSEURS DE PASS
+// ===================================================================
+const { db } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const paymentService = require('../services/paymentService');
+const planService = require('../services/planService');
+const subscriptionService = require('../services/subscriptionService');
+
+const USER_ID = '3f1b6c2e-8a4d-4f0e-9b7a-5c2d1e0f9a83';
+const REFERENCE = '0b6c9d1e-2f3a-4b5c-8d7e-9f0a1b2c3d4e';
+
+// Stand-in d'un fournisseur mobile money : notification authentifiée par jeton (comme Orange Money)
+const tokenProvider = {
+  name: 'token_money',
+  recurring: false,
+  isAvailable: () => true,
+  usesCallbackToken: () => true,
+  checkout: {},
+  status: 'pending',
+  async createCheckout() {
+    return { checkoutUrl: 'https://pay.test/checkout', providerReference: 'pay_1', ...this.checkout };
+  },
+  parseCallback({ query }) {
+    return { reference: query.reference, callbackToken: query.token, status: query.status };
+  },
+  async getPaymentStatus(transaction) {
+    return { reference: transaction.id, providerReference: transaction.provider_reference, status: this.status };
+  }
+};
+paymentService.registerProvider(tokenProvider);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const pendingTransaction = (changes = {}) => ({
+  id: REFERENCE,
+  user_id: USER_ID,
+  provider: 'token_money',
+  operator: null,
+  plan_id: 'pass_monthly',
+  amount: 990,
+  currency: 'eur',
+  status: 'pending',
+  provider_reference: 'pay_1',
+  callback_token_hash: hashToken('notif-secret'),
+  ...changes
+});
+
+const notification = (status, token = 'notif-secret') => ({ headers: {}, rawBody: Buffer.from('{}'), query: { reference: REFERENCE, token, status } });
+
+beforeEach(async () => {
+  db.reset();
+  db.tables.users = [{ id: USER_ID, email: 'pass@example.com', name: 'Pass' }];
+  db.tables.subscription_plans = [{
+    id: 'pass_monthly',
+    name: 'Pass mensuel',
+    tier: 'premium',
+    amount: 990,
+    currency: 'eur',
+    billing_interval: 'month',
+    active: true
+  }];
+  await planService.reload();
+  subscriptionService.statusCache.clear();
+  tokenProvider.checkout = {};
+  tokenProvider.status = 'pending';
+});
+
+test('le paiement échoue si le fournisseur ne renvoie pas de jeton de notification', async () => {
+  await assert.rejects(
+    paymentService.createPassCheckout({ userId: USER_ID, planId: 'pass_monthly', providerName: 'token_money' }),
+    { status: 502, code: 'PROVIDER_ERROR' }
+  );
+
+  const [transaction] = db.tables.payment_transactions;
+  assert.equal(transaction.status, 'failed');
+  assert.equal(transaction.callback_token_hash, undefined);
+});
+
+test('seule l\'empreinte du jeton renvoyé à la création est conservée', async () => {
+  tokenProvider.checkout = { callbackToken: 'notif-secret' };
+
+  await paymentService.createPassCheckout({ userId: USER_ID, planId: 'pass_monthly', providerName: 'token_money' });
+
+  const [transaction] = db.tables.payment_transactions;
+  assert.equal(transaction.status, 'pending');
+  assert.equal(transaction.callback_token_hash, hashToken('notif-secret'));
+});
+
+test('une notification est refusée si aucun jeton n\'a été conservé', async () => {
+  db.tables.payment_transactions = [pendingTransaction({ callback_token_hash: null })];
+  tokenProvider.status = 'succeeded';
+
+  await assert.rejects(paymentService.handleCallback('token_money', notification('succeeded')), { code: 'INVALID_CALLBACK' });
+
+  assert.equal(db.tables.payment_transactions[0].status, 'pending');
+  assert.equal((db.tables.subscriptions || []).length, 0);
+});
+
+test('une notification de succès non confirmée par le fournisseur n\'active rien', async () => {
+  db.tables.payment_transactions = [pendingTransaction()];
+  tokenProvider.status = 'pending';
+
+  await paymentService.handleCallback('token_money', notification('succeeded'));
+
+  assert.equal(db.tables.payment_transactions[0].status, 'pending');
+  assert.equal((db.tables.subscriptions || []).length, 0);
+});
+
+test('une notification confirmée par le fournisseur active le pass', async () => {
+  db.tables.payment_transactions = [pendingTransaction()];
+  tokenProvider.status = 'succeeded';
+
+  await paymentService.handleCallback('token_money', notification('succeeded'));
+
+  assert.equal(db.tables.payment_transactions[0].status, 'succeeded');
+  const [subscription] = db.tables.subscriptions;
+  assert.equal(subscription.provider, 'token_money');
+  assert.equal(subscription.tier, 'premium');
+});
@@ -0,0 +1,147 @@
+// ===================================================================
+// test/requireFeature.test.js - ACCÈS AUX ROUTES PAR FONCTIONNALITÉ
+// ===================================================================
+const { db } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mailer = require('../services/mailer');
+const subscriptionService = require('../services/subscriptionService');
+const entitlementService = require('../services/entitlementService');
+const app = require('../server');
+
+const sentMails = [];
+mailer.setTransport({
+  name: 'capture',
+  async send(message) {
+    sentMails.push(message);
+    return { id: `capture-${sentMails.length}` };
+  }
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  db.tables.tier_entitlements = [
+    { tier: 'free', features: [], limits: {} },
+    { tier: 'premium', features: ['grammar_full', 'advanced_stats'], limits: {} }
+  ];
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const request = (path, { method = 'GET', token, body } = {}) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  },
+  body: body && JSON.stringify(body)
+});
+
+// Compte gratuit connecté par lien magique
+const loginFreeUser = async (email = 'gratuit@example.com') => {
+  await request('/api/auth/email/request', { method: 'POST', body: { email } });
+  const token = new URL(sentMails.at(-1).text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+  const response = await request('/api/auth/email/verify', { method: 'POST', body: { token } });
+  return (await response.json()).token;
+};
+
+test('un compte gratuit sauvegarde et charge sa progression', async () => {
+  const token = await loginFreeUser();
+
+  const save = await request('/api/progress/save', {
+    method: 'POST',
+    token,
+    body: { languageCode: 'fr', progressData: { lessons: 3 }, totalXP: 120 }
+  });
+  assert.equal(save.status, 200);
+
+  const load = await request('/api/progress/fr', { token });
+  assert.equal(load.status, 200);
+  const progress = await load.json();
+  assert.deepEqual(progress.progress_data, { lessons: 3 });
+  assert.equal(progress.total_xp, 120);
+});
+
+test('un compte gratuit recherche les audios', async () => {
+  const token = await loginFreeUser();
+
+  const response = await request('/api/audio/search', { method: 'POST', token, body: { languageCode: 'fr' } });
+
+  assert.equal(response.status, 200);
+});
+
+test('la recherche audio consomme le quota audio_plays', async () => {
+  db.tables.tier_entitlements[0].limits = { audio_plays: 1 };
+  await entitlementService.reload();
+  const token = await loginFreeUser('quota@example.com');
+
+  const first = await request('/api/audio/search', { method: 'POST', token, body: { languageCode: 'fr' } });
+  const second = await request('/api/audio/search', { method: 'POST', token, body: { languageCode: 'fr' } });
+  const invalid = await request('/api/audio/search', { method: 'POST', token, body: { languageCode: 'francais' } });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 429);
+  assert.equal((await second.json()).code, 'QUOTA_EXCEEDED');
+  // Une requête invalide ne consomme rien
+  assert.equal(invalid.status, 400);
+  assert.equal(db.tables.usage_counters.find(counter => counter.feature === 'audio_plays').count, 1);
+
+  db.tables.tier_entitlements[0].limits = {};
+  await entitlementService.reload();
+});
+
+test('une fonctionnalité absente des droits renvoie le 403 commun', async (t) => {
+  t.mock.method(subscriptionService, 'getEntitlements', async () => ({
+    tier: 'free',
+    features: [],
+    limits: {}
+  }));
+  const req = { user: { id: 'user-free' } };
+  let statusCode;
+  let payload;
+  const res = {
+    status(code) {
+      statusCode = code;
+      return this;
+    },
+    json(body) {
+      payload = body;
+      return this;
+    }
+  };
+
+  await subscriptionService.requireFeature('grammar_full')(req, res, () => assert.fail('accès accordé'));
+
+  assert.equal(statusCode, 403);
+  assert.equal(payload.code, 'FEATURE_NOT_INCLUDED');
+  assert.equal(payload.feature, 'grammar_full');
+  assert.equal(payload.currentTier, 'free');
+  assert.equal(payload.requiredTier, 'premium');
+  assert.equal(payload.upgradeUrl, `${process.env.FRONTEND_URL}/subscription`);
+});
+
+test('deux gardes sur la même requête partagent le calcul des droits', async (t) => {
+  const getEntitlements = t.mock.method(subscriptionService, 'getEntitlements', async () => ({
+    tier: 'premium',
+    features: ['grammar_full', 'advanced_stats'],
+    limits: {}
+  }));
+  const req = { user: { id: 'user-1' } };
+  const res = { status: () => assert.fail('accès refusé') };
+  let passed = 0;
+  const next = () => { passed += 1; };
+
+  await subscriptionService.requireFeature('grammar_full')(req, res, next);
+  await subscriptionService.requireFeature('advanced_stats')(req, res, next);
+
+  assert.equal(passed, 2);
+  assert.equal(getEntitlements.mock.callCount(), 1);
+});
@@ -0,0 +1,181 @@
+// ===================================================================
+// test/stripeSubscriptionUpdates.test.js - WEBHOOKS D'ABONNEMENT STRIPE ET LIGNE COURANTE
+// ===================================================================
+process.env.IAP_FAKE_STORES = 'true';
+process.env.APPLE_BUNDLE_ID = 'app.jogolinga.ios';
+const { db } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const subscriptionService = require('../services/subscriptionService');
+const iapService = require('../services/iapService');
+const appStoreProvider = require('../services/storeProviders/appStoreProvider');
+const planService = require('../services/planService');
+const dunningService = require('../services/dunningService');
+
+const USER_ID = '7d7f3a52-0d5e-4a55-9a53-1f0c1c2b9a10';
+const PASS_EXPIRES_AT = new Date(Date.now() + 20 * 24 * 60 * 60 * 1000).toISOString();
+
+// customer.subscription.updated tel que Stripe l'envoie
+const stripeSubscription = (id, changes = {}) => ({
+  id,
+  object: 'subscription',
+  customer: 'cus_test',
+  status: 'active',
+  cancel_at_period_end: false,
+  current_period_end: Math.floor(Date.now() / 1000) + 5 * 24 * 60 * 60,
+  metadata: { userId: USER_ID, planId: 'premium_monthly' },
+  items: { data: [{ price: { currency: 'eur', recurring: { interval: 'month' } } }] },
+  ...changes
+});
+
+beforeEach(() => {
+  db.reset();
+  subscriptionService.statusCache.clear();
+});
+
+test('un événement d\'un ancien abonnement Stripe n\'écrase pas un pass', async () => {
+  db.tables.subscriptions = [{
+    user_id: USER_ID,
+    provider: 'mobile_money',
+    provider_subscription_id: null,
+    stripe_subscription_id: null,
+    tier: 'premium',
+    status: 'active',
+    expires_at: PASS_EXPIRES_AT,
+    plan_id: 'premium_monthly'
+  }];
+
+  await subscriptionService.handleSubscriptionUpdate(stripeSubscription('sub_old', { cancel_at_period_end: true }));
+
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.provider, 'mobile_money');
+  assert.equal(row.stripe_subscription_id, null);
+  assert.equal(row.expires_at, PASS_EXPIRES_AT);
+});
+
+test('un événement d\'un ancien abonnement Stripe n\'écrase pas un achat App Store', async () => {
+  db.tables.users = [{ id: USER_ID }];
+  db.tables.subscription_plans = [{
+    id: 'premium_monthly',
+    tier: 'premium',
+    amount: 499,
+    currency: 'eur',
+    app_store_product_id: 'premium.monthly',
+    billing_interval: 'month'
+  }];
+  await planService.ensureLoaded({ force: true });
+
+  const { transactionId, originalTransactionId } = appStoreProvider.api.purchase({
+    productId: 'premium.monthly',
+    appAccountToken: USER_ID
+  });
+  await iapService.verifyPurchase(USER_ID, 'app_store', transactionId);
+
+  await subscriptionService.handleSubscriptionUpdate(stripeSubscription('sub_old', { status: 'past_due' }));
+
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.provider, 'app_store');
+  assert.equal(row.provider_subscription_id, originalTransactionId);
+  assert.equal(row.stripe_subscription_id, null);
+  assert.equal(row.status, 'active');
+  assert.equal(row.past_due_since, null);
+});
+
+test('un échec de facture d\'un ancien abonnement Stripe ne suspend pas un pass', async () => {
+  db.tables.subscriptions = [{
+    user_id: USER_ID,
+    provider: 'mobile_money',
+    stripe_customer_id: 'cus_test',
+    stripe_subscription_id: null,
+    tier: 'premium',
+    status: 'active',
+    expires_at: PASS_EXPIRES_AT,
+    past_due_since: null
+  }];
+
+  await subscriptionService.handleInvoicePaymentFailed({
+    id: 'in_old',
+    customer: 'cus_test',
+    subscription: 'sub_old',
+    billing_reason: 'subscription_cycle',
+    attempt_count: 2,
+    payment_intent: 'pi_old',
+    amount_due: 499,
+    currency: 'eur'
+  });
+
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.status, 'active');
+  assert.equal(row.past_due_since, null);
+  assert.equal(db.tables.payment_history[0].status, 'failed');
+});
+
+test('un échec de renouvellement de l\'abonnement courant ouvre le délai de grâce', async () => {
+  db.tables.subscriptions = [{
+    user_id: USER_ID,
+    provider: 'stripe',
+    stripe_customer_id: 'cus_test',
+    stripe_subscription_id: 'sub_current',
+    tier: 'premium',
+    status: 'active',
+    past_due_since: null
+  }];
+
+  await subscriptionService.handleInvoicePaymentFailed({
+    id: 'in_current',
+    customer: 'cus_test',
+    subscription: 'sub_current',
+    billing_reason: 'subscription_cycle',
+    attempt_count: 1,
+    payment_intent: 'pi_current',
+    amount_due: 499,
+    currency: 'eur'
+  });
+
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.status, 'past_due');
+  assert.ok(row.grace_period_ends_at);
+});
+
+test('le délai de grâce ne s\'ouvre que sur une ligne Stripe', async () => {
+  db.tables.subscriptions = [{ user_id: USER_ID, provider: 'google_play', tier: 'premium', status: 'active', past_due_since: null }];
+
+  await dunningService.startGracePeriod(USER_ID);
+
+  assert.equal(db.tables.subscriptions[0].status, 'active');
+  assert.equal(db.tables.subscriptions[0].past_due_since, null);
+});
+
+test('un événement d\'un autre abonnement Stripe est ignoré', async () => {
+  db.tables.subscriptions = [{
+    user_id: USER_ID,
+    provider: 'stripe',
+    stripe_subscription_id: 'sub_current',
+    tier: 'premium',
+    status: 'active',
+    cancel_at_period_end: false
+  }];
+
+  await subscriptionService.handleSubscriptionUpdate(stripeSubscription('sub_old', { status: 'past_due' }));
+
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.stripe_subscription_id, 'sub_current');
+  assert.equal(row.status, 'active');
+});
+
+test('l\'abonnement Stripe courant est mis à jour', async () => {
+  db.tables.subscriptions = [{
+    user_id: USER_ID,
+    provider: 'stripe',
+    stripe_subscription_id: 'sub_current',
+    tier: 'premium',
+    status: 'active',
+    cancel_at_period_end: false
+  }];
+
+  await subscriptionService.handleSubscriptionUpdate(stripeSubscription('sub_current', { cancel_at_period_end: true }));
+
+  const [row] = db.tables.subscriptions;
+  assert.equal(row.stripe_subscription_id, 'sub_current');
+  assert.equal(row.cancel_at_period_end, true);
+});
@@ -0,0 +1,56 @@
+// ===================================================================
+// test/stripeWebhook.test.js - SIGNATURE DU WEBHOOK STRIPE
+// ===================================================================
+const { db } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const app = require('../server');
+
+let server;
+let webhookUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  webhookUrl = `http://127.0.0.1:${server.address().port}/api/stripe/webhook`;
+});
+
+after(() => {
+  server.close();
+});
+
+const payload = JSON.stringify({
+  id: 'evt_test_webhook',
+  object: 'event',
+  type: 'customer.created',
+  created: Math.floor(Date.now() / 1000),
+  livemode: false,
+  data: { object: { id: 'cus_test', object: 'customer' } }
+});
+
+const postWebhook = (body, signature) => fetch(webhookUrl, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+  body
+});
+
+test('accepte un événement signé avec STRIPE_WEBHOOK_SECRET', async () => {
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+
+  const response = await postWebhook(payload, signature);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { received: true, status: 'ignored', duplicate: false });
+  assert.equal(db.tables.stripe_events.length, 1);
+});
+
+test('refuse un corps modifié d\'un octet après signature', async () => {
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  const tampered = payload.replace('cus_test', 'cus_tesu');
+
+  const response = await postWebhook(tampered, signature);
+
+  assert.equal(response.status, 400);
+  assert.match(await response.text(), /signature/i);
+});
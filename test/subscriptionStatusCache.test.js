@@ -0,0 +1,35 @@
+// ===================================================================
+// test/subscriptionStatusCache.test.js - CACHE DU STATUT D'ABONNEMENT
+// ===================================================================
+process.env.SUBSCRIPTION_CACHE_MAX_ENTRIES = '3';
+require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const subscriptionService = require('../services/subscriptionService');
+
+const FREE_STATUS = { isPremium: false, tier: 'free', status: 'free' };
+
+beforeEach(() => {
+  subscriptionService.statusCache.clear();
+  subscriptionService.statusCacheSweptAt = 0;
+});
+
+test('les entrées expirées sont purgées à l\'écriture', () => {
+  subscriptionService.cacheStatus('user-1', FREE_STATUS);
+  subscriptionService.statusCache.get('user-1').expiresAt = Date.now() - 1;
+  subscriptionService.statusCacheSweptAt = 0;
+
+  subscriptionService.cacheStatus('user-2', FREE_STATUS);
+
+  assert.deepEqual([...subscriptionService.statusCache.keys()], ['user-2']);
+});
+
+test('au-delà de la taille maximale, les écritures les plus anciennes sont retirées', () => {
+  ['user-1', 'user-2', 'user-3'].forEach(userId => subscriptionService.cacheStatus(userId, FREE_STATUS));
+  // Réécriture : user-1 devient la plus récente
+  subscriptionService.cacheStatus('user-1', FREE_STATUS);
+
+  subscriptionService.cacheStatus('user-4', FREE_STATUS);
+
+  assert.deepEqual([...subscriptionService.statusCache.keys()], ['user-3', 'user-1', 'user-4']);
+});